@@ -0,0 +1,311 @@
+/**
+ * AttractorPatterns - Patterns built from iterated systems
+ * Strange attractors (Lorenz, Aizawa, Thomas, Halvorsen) trace one long RK4 trajectory and
+ * spread the particles along it; the Mandelbulb is ray-marched with its distance estimator and
+ * the Sierpinski tetrahedron is a chaos-game IFS. Everything is rescaled to the ~50-unit radius
+ * of the built-in shapes
+ */
+
+import { PatternGenerator } from './PatternGenerator.js';
+
+const TRANSIENT_STEPS = 1000; // Integration steps thrown away while the trajectory settles
+const ESCAPE_RADIUS = 1e3;    // Attractor state this far out means the coefficients diverged
+const SETTLED_SPREAD = 1e-4;  // Last tenth of the path this small next to the whole: a fixed point
+
+/**
+ * Each system: derivative(x, y, z, params, out), a start point inside the basin and a stable dt.
+ * axes maps the system's (x, y, z) onto world axes so the classic view stands upright
+ */
+const ATTRACTORS = {
+    lorenz: {
+        start: [0.1, 0, 20],
+        dt: 0.005,
+        axes: [0, 2, 1],
+        derivative(x, y, z, { sigma, rho, beta }, out) {
+            out[0] = sigma * (y - x);
+            out[1] = x * (rho - z) - y;
+            out[2] = x * y - beta * z;
+        }
+    },
+    aizawa: {
+        start: [0.1, 0, 0],
+        dt: 0.01,
+        axes: [0, 2, 1],
+        derivative(x, y, z, { a, b, c, d, e, f }, out) {
+            out[0] = (z - b) * x - d * y;
+            out[1] = d * x + (z - b) * y;
+            out[2] = c + a * z - (z * z * z) / 3 - (x * x + y * y) * (1 + e * z) + f * z * x * x * x;
+        }
+    },
+    thomas: {
+        start: [1.1, 1.1, -0.01],
+        dt: 0.05,
+        axes: [0, 1, 2],
+        derivative(x, y, z, { b }, out) {
+            out[0] = Math.sin(y) - b * x;
+            out[1] = Math.sin(z) - b * y;
+            out[2] = Math.sin(x) - b * z;
+        }
+    },
+    halvorsen: {
+        start: [-1.48, -1.51, 2.04],
+        dt: 0.004,
+        axes: [0, 1, 2],
+        derivative(x, y, z, { a }, out) {
+            out[0] = -a * x - 4 * y - 4 * z - y * y;
+            out[1] = -a * y - 4 * z - 4 * x - z * z;
+            out[2] = -a * z - 4 * x - 4 * y - x * x;
+        }
+    }
+};
+
+// Regular tetrahedron corners for the Sierpinski IFS
+const TETRAHEDRON = [
+    [1, 1, 1],
+    [1, -1, -1],
+    [-1, 1, -1],
+    [-1, -1, 1]
+];
+
+export class AttractorPatterns {
+    /**
+     * Integrate an attractor for `iterations` steps and place particles along the trajectory
+     * (stratified, interpolating between steps so dense runs don't stack particles)
+     */
+    static attractor(name, count, params, random) {
+        const system = ATTRACTORS[name];
+        const steps = Math.max(2, Math.round(params.iterations));
+        const path = new Float32Array(steps * 3);
+
+        const k1 = new Float64Array(3);
+        const k2 = new Float64Array(3);
+        const k3 = new Float64Array(3);
+        const k4 = new Float64Array(3);
+        const dt = system.dt;
+        const restart = () => system.start.map(value => value + (random() - 0.5) * 0.1);
+        let [x, y, z] = restart();
+
+        for (let step = -TRANSIENT_STEPS; step < steps; step++) {
+            system.derivative(x, y, z, params, k1);
+            system.derivative(x + k1[0] * dt / 2, y + k1[1] * dt / 2, z + k1[2] * dt / 2, params, k2);
+            system.derivative(x + k2[0] * dt / 2, y + k2[1] * dt / 2, z + k2[2] * dt / 2, params, k3);
+            system.derivative(x + k3[0] * dt, y + k3[1] * dt, z + k3[2] * dt, params, k4);
+            x += (k1[0] + 2 * k2[0] + 2 * k3[0] + k4[0]) * dt / 6;
+            y += (k1[1] + 2 * k2[1] + 2 * k3[1] + k4[1]) * dt / 6;
+            z += (k1[2] + 2 * k2[2] + 2 * k3[2] + k4[2]) * dt / 6;
+
+            // Coefficients outside the chaotic range can blow up; start over rather than emit NaN
+            if (!(Math.abs(x) + Math.abs(y) + Math.abs(z) < ESCAPE_RADIUS)) {
+                [x, y, z] = restart();
+            }
+
+            if (step >= 0) {
+                path[step * 3 + system.axes[0]] = x;
+                path[step * 3 + system.axes[1]] = y;
+                path[step * 3 + system.axes[2]] = z;
+            }
+        }
+
+        // Past a bifurcation the trajectory spirals into a fixed point, which would leave every
+        // particle on one dot
+        if (AttractorPatterns.getSpread(path, Math.floor(steps * 0.9)) < AttractorPatterns.getSpread(path, 0) * SETTLED_SPREAD) {
+            console.warn(`${name}: these coefficients settle to a fixed point instead of an attractor`);
+            return PatternGenerator.sphere(count, params.size);
+        }
+
+        const positions = new Float32Array(count * 3);
+        const stride = (steps - 1) / count;
+        for (let i = 0; i < count; i++) {
+            const along = (i + random()) * stride;
+            const step = Math.min(steps - 2, Math.floor(along));
+            const t = along - step;
+            for (let axis = 0; axis < 3; axis++) {
+                const from = path[step * 3 + axis];
+                positions[i * 3 + axis] = from + (path[step * 3 + 3 + axis] - from) * t;
+            }
+        }
+
+        return PatternGenerator.fitToSize(positions, params.size);
+    }
+
+    /**
+     * Largest bounding-box side of the path from step `from` on
+     */
+    static getSpread(path, from) {
+        const min = [Infinity, Infinity, Infinity];
+        const max = [-Infinity, -Infinity, -Infinity];
+        for (let i = from * 3; i < path.length; i++) {
+            const axis = i % 3;
+            if (path[i] < min[axis]) min[axis] = path[i];
+            if (path[i] > max[axis]) max[axis] = path[i];
+        }
+        return Math.max(max[0] - min[0], max[1] - min[1], max[2] - min[2]);
+    }
+
+    /**
+     * Points on the Mandelbulb surface: march inward from a random direction on the bounding
+     * sphere using the distance estimator until the surface is reached
+     */
+    static mandelbulb(count, { power, iterations, size }, random) {
+        const positions = new Float32Array(count * 3);
+        const maxIterations = Math.max(1, Math.round(iterations));
+        const epsilon = 0.002;
+
+        const estimate = (cx, cy, cz) => {
+            let x = cx, y = cy, z = cz;
+            let dr = 1;
+            let r = 0;
+            for (let i = 0; i < maxIterations; i++) {
+                r = Math.sqrt(x * x + y * y + z * z);
+                if (r > 2) break;
+
+                const theta = Math.acos(r > 0 ? z / r : 0) * power;
+                const phi = Math.atan2(y, x) * power;
+                const zr = Math.pow(r, power);
+                dr = Math.pow(r, power - 1) * power * dr + 1;
+
+                x = zr * Math.sin(theta) * Math.cos(phi) + cx;
+                y = zr * Math.sin(theta) * Math.sin(phi) + cy;
+                z = zr * Math.cos(theta) + cz;
+            }
+            return r > 0 ? 0.5 * Math.log(r) * r / dr : 0;
+        };
+
+        for (let i = 0; i < count; i++) {
+            // Uniform direction
+            const dz = random() * 2 - 1;
+            const angle = random() * Math.PI * 2;
+            const ring = Math.sqrt(1 - dz * dz);
+            const dx = ring * Math.cos(angle);
+            const dy = ring * Math.sin(angle);
+
+            // The origin is always inside, so marching toward it must hit the surface
+            let distance = 1.5;
+            for (let step = 0; step < 64; step++) {
+                const d = estimate(dx * distance, dy * distance, dz * distance);
+                if (d < epsilon) break;
+                distance = Math.max(0, distance - d);
+            }
+
+            positions[i * 3] = dx * distance;
+            positions[i * 3 + 1] = dz * distance;
+            positions[i * 3 + 2] = dy * distance;
+        }
+
+        return PatternGenerator.fitToSize(positions, size);
+    }
+
+    /**
+     * Chaos game on the tetrahedron's four contractions; `iterations` is the subdivision depth
+     * and twist turns each copy about the vertical axis for non-Sierpinski IFS shapes
+     */
+    static sierpinski(count, { iterations, ratio, twist, size }, random) {
+        const positions = new Float32Array(count * 3);
+        const depth = Math.max(1, Math.round(iterations));
+        const cos = Math.cos(twist * Math.PI / 180);
+        const sin = Math.sin(twist * Math.PI / 180);
+
+        for (let i = 0; i < count; i++) {
+            let x = random() * 2 - 1;
+            let y = random() * 2 - 1;
+            let z = random() * 2 - 1;
+
+            for (let level = 0; level < depth; level++) {
+                const [vx, vy, vz] = TETRAHEDRON[Math.floor(random() * 4)];
+                const ox = (x - vx) * ratio;
+                const oz = (z - vz) * ratio;
+                x = vx + ox * cos - oz * sin;
+                y = vy + (y - vy) * ratio;
+                z = vz + ox * sin + oz * cos;
+            }
+
+            // Stand the tetrahedron on a face: rotate the (1,1,1) corner up to +Y
+            positions[i * 3] = (x - z) / Math.SQRT2;
+            positions[i * 3 + 1] = (x + y + z) / Math.sqrt(3);
+            positions[i * 3 + 2] = (x - 2 * y + z) / Math.sqrt(6);
+        }
+
+        return PatternGenerator.fitToSize(positions, size);
+    }
+}
+
+const sizeParam = { name: 'size', label: 'Size', min: 20, max: 80, step: 1, default: 50 };
+const stepsParam = { name: 'iterations', label: 'Steps', min: 2000, max: 100000, step: 1000, default: 30000 };
+
+PatternGenerator.register('lorenz', (count, p, random) => AttractorPatterns.attractor('lorenz', count, p, random), {
+    displayName: 'Lorenz',
+    description: 'Lorenz Attractor',
+    category: 'fractal',
+    params: [
+        { name: 'sigma', label: 'Sigma', min: 6, max: 18, step: 0.1, default: 10 },
+        { name: 'rho', label: 'Rho', min: 25, max: 50, step: 0.5, default: 28 },
+        { name: 'beta', label: 'Beta', min: 0.5, max: 3.5, step: 0.01, default: 8 / 3 },
+        stepsParam,
+        sizeParam
+    ],
+    icon: '<svg viewBox="0 0 40 40"><path d="M20 22 C14 10 4 12 6 20 C8 28 16 26 20 22 C24 18 32 12 34 20 C36 28 26 30 20 22" fill="none" stroke="currentColor" stroke-width="2"/><path d="M20 22 C16 16 10 16 10 20 C10 24 16 24 20 22" fill="none" stroke="currentColor" stroke-width="1"/></svg>'
+});
+
+PatternGenerator.register('aizawa', (count, p, random) => AttractorPatterns.attractor('aizawa', count, p, random), {
+    displayName: 'Aizawa',
+    description: 'Aizawa Attractor',
+    category: 'fractal',
+    params: [
+        { name: 'a', label: 'A', min: 0.5, max: 1.02, step: 0.01, default: 0.95 },
+        { name: 'b', label: 'B', min: 0.58, max: 0.9, step: 0.01, default: 0.7 },
+        { name: 'c', label: 'C', min: 0.45, max: 0.9, step: 0.01, default: 0.6 },
+        { name: 'd', label: 'D', min: 2.5, max: 4.5, step: 0.05, default: 3.5 },
+        stepsParam,
+        sizeParam
+    ],
+    defaultParams: { e: 0.25, f: 0.1 },
+    icon: '<svg viewBox="0 0 40 40"><ellipse cx="20" cy="24" rx="15" ry="6" fill="none" stroke="currentColor" stroke-width="2"/><path d="M20 24 C12 20 12 8 20 4 C28 8 28 20 20 24" fill="none" stroke="currentColor" stroke-width="1.5"/></svg>'
+});
+
+PatternGenerator.register('thomas', (count, p, random) => AttractorPatterns.attractor('thomas', count, p, random), {
+    displayName: 'Thomas',
+    description: 'Thomas Attractor',
+    category: 'fractal',
+    params: [
+        { name: 'b', label: 'Damping', min: 0.1, max: 0.22, step: 0.001, default: 0.208186 },
+        stepsParam,
+        sizeParam
+    ],
+    icon: '<svg viewBox="0 0 40 40"><path d="M8 8 C20 14 20 26 32 32 M32 8 C20 14 20 26 8 32 M20 4 C14 16 26 24 20 36" fill="none" stroke="currentColor" stroke-width="2"/></svg>'
+});
+
+PatternGenerator.register('halvorsen', (count, p, random) => AttractorPatterns.attractor('halvorsen', count, p, random), {
+    displayName: 'Halvorsen',
+    description: 'Halvorsen Attractor',
+    category: 'fractal',
+    params: [
+        { name: 'a', label: 'A', min: 1.3, max: 2.2, step: 0.01, default: 1.89 },
+        stepsParam,
+        sizeParam
+    ],
+    icon: '<svg viewBox="0 0 40 40"><path d="M20 20 C20 8 30 4 32 10 C34 16 26 20 20 20 C10 20 4 26 8 32 C12 36 20 30 20 20 C26 26 36 30 34 22" fill="none" stroke="currentColor" stroke-width="2"/></svg>'
+});
+
+PatternGenerator.register('mandelbulb', (count, p, random) => AttractorPatterns.mandelbulb(count, p, random), {
+    displayName: 'Mandelbulb',
+    category: 'fractal',
+    params: [
+        { name: 'power', label: 'Power', min: 2, max: 12, step: 0.5, default: 8 },
+        { name: 'iterations', label: 'Iterations', min: 3, max: 16, step: 1, default: 8 },
+        sizeParam
+    ],
+    icon: '<svg viewBox="0 0 40 40"><circle cx="20" cy="20" r="9" fill="none" stroke="currentColor" stroke-width="2"/><circle cx="20" cy="7" r="3" fill="none" stroke="currentColor" stroke-width="1.5"/><circle cx="20" cy="33" r="3" fill="none" stroke="currentColor" stroke-width="1.5"/><circle cx="7" cy="20" r="3" fill="none" stroke="currentColor" stroke-width="1.5"/><circle cx="33" cy="20" r="3" fill="none" stroke="currentColor" stroke-width="1.5"/></svg>'
+});
+
+PatternGenerator.register('sierpinski', (count, p, random) => AttractorPatterns.sierpinski(count, p, random), {
+    displayName: 'Sierpinski',
+    description: 'Sierpinski Tetrahedron (IFS)',
+    category: 'fractal',
+    params: [
+        { name: 'iterations', label: 'Depth', min: 1, max: 20, step: 1, default: 10 },
+        { name: 'ratio', label: 'Ratio', min: 0.35, max: 0.65, step: 0.01, default: 0.5 },
+        { name: 'twist', label: 'Twist', min: 0, max: 90, step: 1, default: 0 },
+        sizeParam
+    ],
+    icon: '<svg viewBox="0 0 40 40"><polygon points="20,4 4,34 36,34" fill="none" stroke="currentColor" stroke-width="2"/><polygon points="12,19 28,19 20,34" fill="none" stroke="currentColor" stroke-width="1.5"/></svg>'
+});
@@ -0,0 +1,289 @@
+/**
+ * AudioAnalyzer - Splits an analyser spectrum into frequency bands, follows each with an
+ * attack/release envelope, and detects beats (spectral-flux onsets) with a running BPM estimate
+ * Pure math over a byte spectrum, so it runs the same on live input and in Node
+ */
+
+// Frequency range of each band in Hz; key order is the band order in the panel
+export const AUDIO_BANDS = {
+    bass: { displayName: 'Bass', min: 20, max: 250 },
+    lowMid: { displayName: 'Low Mid', min: 250, max: 2000 },
+    highMid: { displayName: 'High Mid', min: 2000, max: 6000 },
+    treble: { displayName: 'Treble', min: 6000, max: 16000 }
+};
+
+// What a band can drive, and how much one unit of (band level x amount) moves it
+export const AUDIO_TARGETS = {
+    none: { displayName: 'None', range: 0 },
+    scale: { displayName: 'Scale', range: 0.3 },
+    glow: { displayName: 'Glow', range: 1.5 },
+    pointSize: { displayName: 'Point Size', range: 2.5 },
+    turbulence: { displayName: 'Turbulence', range: 0.8 },
+    rotation: { displayName: 'Rotation', range: 0.03 },
+    hue: { displayName: 'Color Hue', range: 0.5 },
+    explosion: { displayName: 'Explosion', range: 0.4 }
+};
+
+const DEFAULT_MAPPING = {
+    attack: 0.01,
+    release: 0.25,
+    bands: {
+        bass: { target: 'scale', amount: 1 },
+        lowMid: { target: 'glow', amount: 1 },
+        highMid: { target: 'none', amount: 1 },
+        treble: { target: 'pointSize', amount: 1 }
+    }
+};
+
+// Band levels are placed between a slowly rising floor and a slowly falling peak, so quiet and
+// loud sources use the whole range and a steady hum settles to zero while hits stand out
+const PEAK_FALL = 4; // Seconds for the peak to fall to 1/e
+const FLOOR_RISE = 3; // Seconds for the floor to close 1/e of the gap up to the level
+const MIN_SPAN = 0.1; // Keeps near-silence from being normalized up to full scale
+
+// Onsets: flux above its running mean by this many deviations, at most one per MIN_BEAT_INTERVAL
+const FLUX_WINDOW = 1; // Seconds the running mean and variance average over
+const ONSET_SENSITIVITY = 3;
+const MIN_FLUX = 0.01;
+const MIN_BEAT_INTERVAL = 0.3; // 200 BPM
+const BEAT_DECAY = 0.15; // Seconds for beatPulse to fall to 1/e
+
+// Tempo from the median of recent beat intervals, folded into one octave of tempi. The octave has to
+// be exactly one (max = 2 x min) for doubled and skipped beats to agree; 90-180 keeps drum & bass
+// (~174) and most dance music at its real tempo, and reads slow songs at double time
+const BPM_HISTORY = 12;
+const MIN_BPM = 90;
+const MAX_BPM = 180;
+const BPM_TIMEOUT = 4; // Seconds without a beat before the tempo is forgotten
+
+export class AudioAnalyzer {
+    constructor() {
+        this.level = 0; // Whole-spectrum average in [0, 1]
+        this.bands = {}; // Enveloped, normalized band levels in [0, 1]
+        this.rawBands = {};
+        this.peaks = {};
+        this.floors = {};
+        Object.keys(AUDIO_BANDS).forEach(band => {
+            this.bands[band] = 0;
+            this.rawBands[band] = 0;
+            this.peaks[band] = 0;
+            this.floors[band] = 0;
+        });
+
+        this.attack = DEFAULT_MAPPING.attack;
+        this.release = DEFAULT_MAPPING.release;
+
+        // Onset detection
+        this.previousSpectrum = null;
+        this.binRanges = null;
+        this.binLayout = '';
+        this.fluxMean = 0;
+        this.fluxVariance = 0;
+        this.fluxHistory = 0; // Seconds of flux the statistics have seen
+        this.beat = false; // True only on the frame a beat lands
+        this.beatPulse = 0; // 1 on a beat, decaying between beats
+        this.beatStrength = 0; // Onset flux of the last beat over the running mean; accented beats score higher
+        this.lastBeatTime = -Infinity;
+        this.recentTempos = [];
+        this.bpm = 0;
+    }
+
+    /**
+     * Fill in and clamp a mapping from a preset; no argument gives the defaults
+     * @returns {Object} { attack, release, bands: { [band]: { target, amount } } }
+     */
+    static normalizeMapping(mapping = {}) {
+        const number = (value, fallback, min, max) => Number.isFinite(Number(value))
+            ? Math.max(min, Math.min(max, Number(value)))
+            : fallback;
+
+        const bands = {};
+        Object.keys(AUDIO_BANDS).forEach(band => {
+            const route = mapping.bands?.[band] || {};
+            const fallback = DEFAULT_MAPPING.bands[band];
+            bands[band] = {
+                target: AUDIO_TARGETS[route.target] ? route.target : fallback.target,
+                amount: number(route.amount, fallback.amount, 0, 2)
+            };
+        });
+
+        return {
+            attack: number(mapping.attack, DEFAULT_MAPPING.attack, 0.001, 1),
+            release: number(mapping.release, DEFAULT_MAPPING.release, 0.01, 2),
+            bands
+        };
+    }
+
+    /**
+     * Envelope times in seconds: how fast band levels rise and fall
+     */
+    setEnvelope(attack, release) {
+        this.attack = Math.max(0.001, attack);
+        this.release = Math.max(0.001, release);
+    }
+
+    /**
+     * Analyze one frame of an AnalyserNode byte spectrum
+     * @param {Uint8Array} spectrum - getByteFrequencyData output
+     * @param {number} sampleRate - Of the AudioContext
+     * @param {number} deltaTime - Seconds since the last frame
+     * @param {number} time - Clock the beat times are measured on
+     */
+    analyze(spectrum, sampleRate, deltaTime, time) {
+        const bins = spectrum.length;
+        this.updateBinRanges(bins, sampleRate);
+
+        let sum = 0;
+        for (let i = 0; i < bins; i++) {
+            sum += spectrum[i];
+        }
+        this.level = sum / bins / 255;
+
+        const attackFactor = 1 - Math.exp(-deltaTime / this.attack);
+        const releaseFactor = 1 - Math.exp(-deltaTime / this.release);
+        const peakFall = Math.exp(-deltaTime / PEAK_FALL);
+        const floorRise = 1 - Math.exp(-deltaTime / FLOOR_RISE);
+
+        Object.keys(AUDIO_BANDS).forEach(band => {
+            const [start, end] = this.binRanges[band];
+            let bandSum = 0;
+            for (let i = start; i < end; i++) {
+                bandSum += spectrum[i];
+            }
+            const raw = bandSum / (end - start) / 255;
+            this.rawBands[band] = raw;
+
+            const floor = this.floors[band];
+            this.floors[band] = raw < floor ? raw : floor + (raw - floor) * floorRise;
+            this.peaks[band] = Math.max(raw, this.peaks[band] * peakFall);
+            const span = Math.max(MIN_SPAN, this.peaks[band] - this.floors[band]);
+            const target = Math.max(0, Math.min(1, (raw - this.floors[band]) / span));
+            const envelope = this.bands[band];
+            this.bands[band] = envelope + (target - envelope) * (target > envelope ? attackFactor : releaseFactor);
+        });
+
+        this.detectBeat(spectrum, deltaTime, time);
+        return this;
+    }
+
+    /**
+     * Which spectrum bins fall in each band, recomputed only when the FFT size or rate changes
+     */
+    updateBinRanges(bins, sampleRate) {
+        const layout = `${bins}@${sampleRate}`;
+        if (layout === this.binLayout) return;
+
+        const binWidth = sampleRate / 2 / bins;
+        this.binRanges = {};
+        Object.entries(AUDIO_BANDS).forEach(([band, { min, max }]) => {
+            const start = Math.min(bins - 1, Math.floor(min / binWidth));
+            const end = Math.max(start + 1, Math.min(bins, Math.ceil(max / binWidth)));
+            this.binRanges[band] = [start, end];
+        });
+        this.binLayout = layout;
+        this.previousSpectrum = null;
+    }
+
+    /**
+     * Spectral flux (summed rises in bass and low-mid bins, where kicks and snares land) against
+     * an adaptive threshold
+     */
+    detectBeat(spectrum, deltaTime, time) {
+        // Nothing to compare the first frame with; it would read as one huge onset
+        if (!this.previousSpectrum) {
+            this.previousSpectrum = Float32Array.from(spectrum, value => value / 255);
+            this.beat = false;
+            return;
+        }
+
+        const end = this.binRanges.lowMid[1];
+        let flux = 0;
+        for (let i = 0; i < end; i++) {
+            const value = spectrum[i] / 255;
+            flux += Math.max(0, value - this.previousSpectrum[i]);
+        }
+        for (let i = 0; i < spectrum.length; i++) {
+            this.previousSpectrum[i] = spectrum[i] / 255;
+        }
+        flux /= end;
+
+        const mean = this.fluxMean;
+        const threshold = mean + ONSET_SENSITIVITY * Math.sqrt(this.fluxVariance);
+        this.beat = flux > threshold && flux > MIN_FLUX && time - this.lastBeatTime >= MIN_BEAT_INTERVAL
+            && this.fluxHistory >= FLUX_WINDOW / 2;
+        this.fluxHistory += deltaTime;
+
+        // Running statistics update after the test, so an onset doesn't raise its own threshold
+        const rate = 1 - Math.exp(-deltaTime / FLUX_WINDOW);
+        const deviation = flux - mean;
+        this.fluxMean += deviation * rate;
+        this.fluxVariance += (deviation * deviation - this.fluxVariance) * rate;
+
+        this.beatPulse *= Math.exp(-deltaTime / BEAT_DECAY);
+        if (this.beat) {
+            this.recordBeat(time);
+            this.beatPulse = 1;
+            this.beatStrength = flux / Math.max(mean, MIN_FLUX);
+        } else if (time - this.lastBeatTime > BPM_TIMEOUT) {
+            this.recentTempos.length = 0;
+            this.bpm = 0;
+        }
+    }
+
+    recordBeat(time) {
+        const interval = time - this.lastBeatTime;
+        this.lastBeatTime = time;
+        if (!Number.isFinite(interval) || interval > BPM_TIMEOUT) return;
+
+        // Fold into one octave so skipped or doubled beats still agree on the tempo
+        let bpm = 60 / interval;
+        while (bpm < MIN_BPM) bpm *= 2;
+        while (bpm >= MAX_BPM) bpm /= 2;
+
+        this.recentTempos.push(bpm);
+        if (this.recentTempos.length > BPM_HISTORY) this.recentTempos.shift();
+
+        if (this.recentTempos.length >= 4) {
+            const sorted = [...this.recentTempos].sort((a, b) => a - b);
+            this.bpm = Math.round(sorted[sorted.length >> 1]);
+        }
+    }
+
+    /**
+     * Sum each band's level x amount into the targets it is routed to, scaled to the target's range
+     * @returns {Object} Offset per target key (none excluded)
+     */
+    getModulation(mapping, out = {}) {
+        Object.keys(AUDIO_TARGETS).forEach(target => {
+            if (target !== 'none') out[target] = 0;
+        });
+        Object.entries(mapping.bands).forEach(([band, { target, amount }]) => {
+            if (target === 'none') return;
+            out[target] += this.bands[band] * amount * AUDIO_TARGETS[target].range;
+        });
+        return out;
+    }
+
+    /**
+     * Drop levels, beats and tempo (audio stopped or source changed)
+     */
+    reset() {
+        Object.keys(AUDIO_BANDS).forEach(band => {
+            this.bands[band] = 0;
+            this.rawBands[band] = 0;
+            this.peaks[band] = 0;
+            this.floors[band] = 0;
+        });
+        this.level = 0;
+        this.previousSpectrum = null;
+        this.fluxMean = 0;
+        this.fluxVariance = 0;
+        this.fluxHistory = 0;
+        this.beat = false;
+        this.beatPulse = 0;
+        this.beatStrength = 0;
+        this.lastBeatTime = -Infinity;
+        this.recentTempos.length = 0;
+        this.bpm = 0;
+    }
+}
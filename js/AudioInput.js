@@ -0,0 +1,297 @@
+/**
+ * AudioInput - Where audio-reactive mode listens: the microphone, a decoded audio file played
+ * through the page, or tab/system audio captured with getDisplayMedia
+ * Every source feeds the analyser directly, so visuals follow the signal itself rather than
+ * speakers picked up by the mic. Files also play to the speakers and have transport controls,
+ * and can be analyzed faster than real time for offline rendering
+ */
+
+// ~21Hz bins so the bass band gets more than one; light smoothing keeps onsets sharp
+const FFT_SIZE = 2048;
+const SMOOTHING = 0.5;
+
+export class AudioInput {
+    constructor() {
+        this.context = null;
+        this.analyser = null;
+        this.kind = null; // Active source: 'mic', 'file', 'display' or null
+        this.node = null; // Source node feeding the analyser
+        this.stream = null; // MediaStream behind mic and display capture
+
+        // File playback
+        this.buffer = null;
+        this.fileName = '';
+        this.playing = false;
+        this.loop = true;
+        this.offset = 0; // Seconds into the file while paused
+        this.startedAt = 0; // Context time the file would have started at to be where it is now
+
+        this.onEnded = null; // Called when a file finishes (without loop) or a capture is stopped
+    }
+
+    /**
+     * Create the context and analyser on first use (needs a user gesture to start running)
+     */
+    ensureContext() {
+        if (!this.context) {
+            this.context = new (window.AudioContext || window.webkitAudioContext)();
+            this.analyser = this.context.createAnalyser();
+            this.analyser.fftSize = FFT_SIZE;
+            this.analyser.smoothingTimeConstant = SMOOTHING;
+        }
+        if (this.context.state === 'suspended') {
+            this.context.resume();
+        }
+        return this.context;
+    }
+
+    get sampleRate() {
+        return this.context ? this.context.sampleRate : 44100;
+    }
+
+    get frequencyBinCount() {
+        return this.analyser ? this.analyser.frequencyBinCount : 1024;
+    }
+
+    /**
+     * Fill array with the analyser's byte spectrum
+     */
+    getSpectrum(array) {
+        if (this.analyser) this.analyser.getByteFrequencyData(array);
+        return array;
+    }
+
+    async useMicrophone() {
+        // The browser's voice processing flattens music, so ask for the raw signal
+        const stream = await navigator.mediaDevices.getUserMedia({
+            audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false }
+        });
+        this.useStream(stream, 'mic');
+    }
+
+    /**
+     * Capture a tab, window or the screen with its audio; the video track is dropped
+     * @throws {Error} When capture isn't supported or no audio was shared
+     */
+    async useDisplay() {
+        if (!navigator.mediaDevices?.getDisplayMedia) {
+            throw new Error('Tab and system audio capture is not supported in this browser');
+        }
+
+        // Browsers only offer audio alongside video, so ask for both and drop the video
+        const stream = await navigator.mediaDevices.getDisplayMedia({ video: true, audio: true, systemAudio: 'include' });
+        stream.getVideoTracks().forEach(track => track.stop());
+        if (!stream.getAudioTracks().length) {
+            throw new Error('No audio was shared; tick "Share audio" when choosing what to share');
+        }
+        this.useStream(stream, 'display');
+    }
+
+    useStream(stream, kind) {
+        this.stop();
+        this.ensureContext();
+
+        this.stream = stream;
+        this.kind = kind;
+        // Not connected to the speakers: the room or the tab already plays it
+        this.node = this.context.createMediaStreamSource(stream);
+        this.node.connect(this.analyser);
+
+        stream.getAudioTracks().forEach(track => {
+            track.addEventListener('ended', () => {
+                if (this.stream !== stream) return;
+                this.stop();
+                if (this.onEnded) this.onEnded();
+            });
+        });
+    }
+
+    /**
+     * Decode an MP3/WAV/OGG (anything the browser decodes) and start playing it from the top
+     * @param {File|Blob} file
+     */
+    async loadFile(file) {
+        this.ensureContext();
+        const data = await file.arrayBuffer();
+        const buffer = await this.context.decodeAudioData(data);
+
+        this.stop();
+        this.buffer = buffer;
+        this.fileName = file.name || 'Audio';
+        this.offset = 0;
+        this.play();
+    }
+
+    hasFile() {
+        return Boolean(this.buffer);
+    }
+
+    /**
+     * Play the loaded file from where it was paused (switching the input to it)
+     */
+    play() {
+        if (!this.buffer || (this.kind === 'file' && this.playing)) return;
+        if (this.kind !== 'file') {
+            this.stop();
+        }
+        this.ensureContext();
+
+        const node = this.context.createBufferSource();
+        node.buffer = this.buffer;
+        node.loop = this.loop;
+        node.connect(this.analyser);
+        node.connect(this.context.destination);
+        node.onended = () => {
+            // Also fires for stop(); only a file running out counts
+            if (this.node !== node) return;
+            this.node = null;
+            this.playing = false;
+            this.offset = 0;
+            if (this.onEnded) this.onEnded();
+        };
+
+        const offset = this.offset % this.buffer.duration;
+        node.start(0, offset);
+        this.startedAt = this.context.currentTime - offset;
+        this.node = node;
+        this.kind = 'file';
+        this.playing = true;
+    }
+
+    pause() {
+        if (this.kind !== 'file' || !this.playing) return;
+
+        this.offset = this.getCurrentTime();
+        this.playing = false;
+        this.disconnectNode();
+    }
+
+    togglePlayback() {
+        if (this.kind === 'file' && this.playing) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    /**
+     * Jump to a time in the file (seconds), keeping it playing or paused
+     */
+    seek(seconds) {
+        if (!this.buffer) return;
+
+        const wasPlaying = this.kind === 'file' && this.playing;
+        this.pause();
+        this.offset = Math.max(0, Math.min(this.buffer.duration, seconds));
+        if (wasPlaying) this.play();
+    }
+
+    setLoop(loop) {
+        if (this.kind === 'file' && this.node) {
+            // Elapsed time wraps while looping; restart the clock from the wrapped position
+            this.startedAt = this.context.currentTime - this.getCurrentTime();
+            this.node.loop = loop;
+        }
+        this.loop = loop;
+    }
+
+    /**
+     * Playback position in seconds
+     */
+    getCurrentTime() {
+        if (!this.buffer) return 0;
+        if (this.kind !== 'file' || !this.playing) return this.offset;
+
+        const elapsed = this.context.currentTime - this.startedAt;
+        return this.loop ? elapsed % this.buffer.duration : Math.min(elapsed, this.buffer.duration);
+    }
+
+    getDuration() {
+        return this.buffer ? this.buffer.duration : 0;
+    }
+
+    /**
+     * Analyser spectra of the whole loaded file, one per frame at fps, rendered in an
+     * OfflineAudioContext with the live analyser's settings so offline visuals match playback
+     * @param {Function} [onProgress] - Called with the fraction done
+     * @returns {Promise<Object>} { spectra (frameCount x frequencyBinCount bytes), frameCount,
+     *                              frequencyBinCount, sampleRate }
+     */
+    async analyzeOffline(fps, onProgress = null) {
+        if (!this.buffer) throw new Error('No audio file loaded');
+
+        const buffer = this.buffer;
+        // The analyser mixes down to mono anyway, so one output channel halves the render
+        const context = new OfflineAudioContext(1, buffer.length, buffer.sampleRate);
+        const analyser = context.createAnalyser();
+        analyser.fftSize = FFT_SIZE;
+        analyser.smoothingTimeConstant = SMOOTHING;
+
+        const node = context.createBufferSource();
+        node.buffer = buffer;
+        node.connect(analyser);
+        analyser.connect(context.destination);
+
+        // Frame n sees the audio up to n / fps, like a live frame drawn at that moment
+        const frameCount = Math.max(1, Math.ceil(buffer.duration * fps));
+        const bins = analyser.frequencyBinCount;
+        const spectra = new Uint8Array(frameCount * bins);
+        for (let frame = 0; frame < frameCount; frame++) {
+            context.suspend(frame / fps).then(() => {
+                analyser.getByteFrequencyData(spectra.subarray(frame * bins, (frame + 1) * bins));
+                if (onProgress) onProgress((frame + 1) / frameCount);
+                context.resume();
+            });
+        }
+
+        node.start(0);
+        await context.startRendering();
+        return { spectra, frameCount, frequencyBinCount: bins, sampleRate: buffer.sampleRate };
+    }
+
+    /**
+     * Snapshot for transport controls
+     */
+    getState() {
+        return {
+            source: this.kind,
+            fileName: this.fileName,
+            playing: this.kind === 'file' && this.playing,
+            time: this.getCurrentTime(),
+            duration: this.getDuration(),
+            loop: this.loop
+        };
+    }
+
+    disconnectNode() {
+        if (!this.node) return;
+
+        const node = this.node;
+        this.node = null;
+        if (node.stop) node.stop();
+        node.disconnect();
+    }
+
+    /**
+     * Stop listening: pause the file (it stays loaded) or end the capture
+     */
+    stop() {
+        this.pause();
+        this.disconnectNode();
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+        this.kind = null;
+    }
+
+    dispose() {
+        this.stop();
+        this.buffer = null;
+        if (this.context) {
+            this.context.close();
+            this.context = null;
+            this.analyser = null;
+        }
+    }
+}
@@ -0,0 +1,142 @@
+/**
+ * BeatSync - Fires a show action (next pattern, next color, explosion pulse) every N beats or
+ * every N bars, from the beats AudioAnalyzer detects
+ * Downbeats are estimated: each position in the bar keeps a running average of how hard its
+ * beats hit, and the strongest position is taken as beat one. Timing runs on ParticleSystem's
+ * update clock, like Sequencer
+ */
+
+// Key order is the option order in the panel
+export const BEAT_ACTIONS = {
+    off: 'Off',
+    pattern: 'Next Pattern',
+    color: 'Next Color',
+    explosion: 'Explosion Pulse'
+};
+
+const DEFAULT_SETTINGS = {
+    action: 'off',
+    unit: 'beat', // 'beat', or 'bar' to fire on downbeats
+    every: 4,
+    barLength: 4, // Beats per bar
+    debounce: 0.5 // Minimum seconds between actions
+};
+
+// How quickly a bar position's accent average follows new beats
+const ACCENT_RATE = 0.25;
+
+export class BeatSync {
+    /**
+     * @param {ParticleSystem} particleSystem - Provides the clock and the audio analyzer
+     */
+    constructor(particleSystem) {
+        this.particleSystem = particleSystem;
+        this.settings = BeatSync.normalize();
+
+        this.beatIndex = -1; // Beats counted since audio started, so beatIndex % barLength is the bar position
+        this.accents = new Float64Array(this.settings.barLength);
+        this.accentedBeats = 0; // Beats in the accents; downbeats are only known after a full bar
+        this.unitsSinceAction = 0;
+        this.lastActionTime = -Infinity;
+
+        // Callbacks
+        this.onTrigger = null; // Called with the action key
+        this.onBeat = null; // Called with { index, position, downbeat } on every beat
+
+        this.removeHook = particleSystem.addUpdateHook(() => this.update());
+    }
+
+    /**
+     * Fill in and clamp settings from a preset; no argument gives the defaults
+     */
+    static normalize(settings = {}) {
+        const integer = (value, fallback, min, max) => Number.isFinite(Number(value))
+            ? Math.max(min, Math.min(max, Math.round(Number(value))))
+            : fallback;
+
+        return {
+            action: BEAT_ACTIONS[settings.action] ? settings.action : DEFAULT_SETTINGS.action,
+            unit: settings.unit === 'bar' ? 'bar' : 'beat',
+            every: integer(settings.every, DEFAULT_SETTINGS.every, 1, 32),
+            barLength: integer(settings.barLength, DEFAULT_SETTINGS.barLength, 2, 8),
+            debounce: Number.isFinite(Number(settings.debounce))
+                ? Math.max(0, Math.min(10, Number(settings.debounce)))
+                : DEFAULT_SETTINGS.debounce
+        };
+    }
+
+    /**
+     * @param {Object} settings - { action, unit, every, barLength, debounce }
+     */
+    setSettings(settings) {
+        const previous = this.settings;
+        this.settings = BeatSync.normalize({ ...previous, ...settings });
+
+        if (this.settings.barLength !== previous.barLength) {
+            this.accents = new Float64Array(this.settings.barLength);
+            this.accentedBeats = 0;
+        }
+        if (this.settings.unit !== previous.unit || this.settings.every !== previous.every) {
+            this.unitsSinceAction = 0;
+        }
+    }
+
+    getSettings() {
+        return { ...this.settings };
+    }
+
+    /**
+     * Bar position (0-based) the accents say is beat one
+     */
+    getDownbeatPosition() {
+        let strongest = 0;
+        for (let position = 1; position < this.accents.length; position++) {
+            if (this.accents[position] > this.accents[strongest]) strongest = position;
+        }
+        return strongest;
+    }
+
+    update() {
+        const { audioEnabled, audioAnalyzer, time } = this.particleSystem;
+        if (!audioEnabled) {
+            // Start counting afresh with the next song or source
+            if (this.beatIndex >= 0) this.reset();
+            return;
+        }
+        if (!audioAnalyzer.beat) return;
+
+        const { barLength } = this.settings;
+        this.beatIndex++;
+        const position = this.beatIndex % barLength;
+        // The first bar seeds each position; later beats are averaged in
+        const rate = this.accentedBeats < barLength ? 1 : ACCENT_RATE;
+        this.accents[position] += (audioAnalyzer.beatStrength - this.accents[position]) * rate;
+        this.accentedBeats++;
+        const downbeat = this.accentedBeats >= barLength && position === this.getDownbeatPosition();
+
+        if (this.onBeat) this.onBeat({ index: this.beatIndex, position, downbeat });
+        if (this.settings.action === 'off') return;
+
+        if (this.settings.unit === 'bar' && !downbeat) return;
+
+        // A debounced action waits for the next counted beat instead of being dropped
+        this.unitsSinceAction++;
+        if (this.unitsSinceAction >= this.settings.every && time - this.lastActionTime >= this.settings.debounce) {
+            this.unitsSinceAction = 0;
+            this.lastActionTime = time;
+            if (this.onTrigger) this.onTrigger(this.settings.action);
+        }
+    }
+
+    reset() {
+        this.beatIndex = -1;
+        this.accents.fill(0);
+        this.accentedBeats = 0;
+        this.unitsSinceAction = 0;
+        this.lastActionTime = -Infinity;
+    }
+
+    dispose() {
+        this.removeHook();
+    }
+}
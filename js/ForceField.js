@@ -0,0 +1,278 @@
+/**
+ * ForceField - Composable forces placed in the scene: attractors, repulsors, vortices, wind and
+ * curl-noise flow. Fields are plain objects (so they survive presets and postMessage to the
+ * worker); accumulate() is the CPU/worker path and FORCE_FIELD_GLSL the GPU one
+ *
+ * Field: { type, position: [x, y, z], direction: [x, y, z], strength, radius, falloff,
+ *          scale, speed, anchor }
+ * anchor 'scene' keeps the field where it was placed while the cloud rotates; 'hand' follows
+ * the tracked hand and switches off when no hand is visible
+ */
+
+import { Noise, NOISE_GLSL } from './Noise.js';
+
+export const MAX_FORCE_FIELDS = 8;
+
+// Shader slots: the placed fields plus the hand's touch points (palm and five fingertips)
+export const FIELD_SLOTS = MAX_FORCE_FIELDS + 6;
+
+// Key order is the type id the GPU shader switches on
+export const FIELD_TYPES = {
+    attractor: {
+        displayName: 'Attractor',
+        description: 'Pulls particles toward a point',
+        defaults: { strength: 1, radius: 60, falloff: 'smooth' }
+    },
+    repulsor: {
+        displayName: 'Repulsor',
+        description: 'Pushes particles away from a point',
+        defaults: { strength: 1, radius: 40, falloff: 'smooth' }
+    },
+    vortex: {
+        displayName: 'Vortex',
+        description: 'Swirls particles around an axis through a point',
+        directional: true,
+        defaults: { strength: 1, radius: 80, falloff: 'smooth' }
+    },
+    wind: {
+        displayName: 'Wind',
+        description: 'Pushes particles in one direction',
+        directional: true,
+        defaults: { strength: 0.5, radius: 100, falloff: 'none', direction: [1, 0, 0] }
+    },
+    flow: {
+        displayName: 'Flow',
+        description: 'Curl-noise currents that swirl without bunching particles up',
+        defaults: { strength: 0.25, radius: 100, falloff: 'none' }
+    }
+};
+
+// Key order is the falloff id the GPU shader switches on
+export const FIELD_FALLOFFS = {
+    none: 'None',
+    linear: 'Linear',
+    smooth: 'Smooth',
+    inverse: 'Inverse Square'
+};
+
+// Slider schema for the panel editor (position sliders only apply to scene-anchored fields)
+export const FIELD_PARAMS = [
+    { name: 'strength', label: 'Strength', min: 0, max: 3, step: 0.05 },
+    { name: 'radius', label: 'Radius', min: 10, max: 150, step: 1 },
+    { name: 'scale', label: 'Noise Scale', min: 0.005, max: 0.1, step: 0.005, types: ['flow'] },
+    { name: 'speed', label: 'Flow Speed', min: 0, max: 2, step: 0.05, types: ['flow'] },
+    { name: 'x', label: 'Position X', min: -100, max: 100, step: 1, axis: 0, anchors: ['scene'] },
+    { name: 'y', label: 'Position Y', min: -100, max: 100, step: 1, axis: 1, anchors: ['scene'] },
+    { name: 'z', label: 'Position Z', min: -100, max: 100, step: 1, axis: 2, anchors: ['scene'] }
+];
+
+const TYPE_IDS = Object.keys(FIELD_TYPES);
+const FALLOFF_IDS = Object.keys(FIELD_FALLOFFS);
+const CORE_RADIUS = 5; // Point forces fade out inside this, so particles settle instead of jittering
+
+const flow = new Float64Array(3);
+
+export class ForceField {
+    /**
+     * New field of the given type, with that type's defaults under any overrides
+     */
+    static create(type, overrides = {}) {
+        return ForceField.normalize({ ...FIELD_TYPES[type]?.defaults, ...overrides, type });
+    }
+
+    /**
+     * Fill in and clamp a field from a preset or script
+     * @returns {Object|null} Null for unknown types
+     */
+    static normalize(field) {
+        if (!field || !FIELD_TYPES[field.type]) return null;
+
+        const vector = (value, fallback) => Array.isArray(value) && value.length === 3 && value.every(Number.isFinite)
+            ? [...value]
+            : [...fallback];
+        const number = (value, fallback) => Number.isFinite(Number(value)) ? Number(value) : fallback;
+
+        const direction = vector(field.direction, [0, 1, 0]);
+        const length = Math.hypot(...direction);
+
+        return {
+            type: field.type,
+            position: vector(field.position, [0, 0, 0]),
+            direction: length > 0 ? direction.map(value => value / length) : [0, 1, 0],
+            strength: number(field.strength, 1),
+            radius: Math.max(1, number(field.radius, 60)),
+            falloff: FIELD_FALLOFFS[field.falloff] ? field.falloff : 'smooth',
+            scale: number(field.scale, 0.03),
+            speed: number(field.speed, 0.3),
+            anchor: field.anchor === 'hand' ? 'hand' : 'scene'
+        };
+    }
+
+    /**
+     * Weight in [0, 1] at distance from the field's position
+     */
+    static falloff(distance, radius, kind) {
+        switch (kind) {
+            case 'linear':
+                return Math.max(0, 1 - distance / radius);
+            case 'smooth': {
+                const t = Math.max(0, 1 - distance / radius);
+                return t * t * (3 - 2 * t);
+            }
+            case 'inverse':
+                return (radius * radius) / (radius * radius + distance * distance);
+            default:
+                return 1;
+        }
+    }
+
+    /**
+     * Add every field's per-frame acceleration at (x, y, z) to out
+     */
+    static accumulate(fields, x, y, z, time, out) {
+        for (let f = 0; f < fields.length; f++) {
+            const field = fields[f];
+            const [px, py, pz] = field.position;
+            const dx = px - x;
+            const dy = py - y;
+            const dz = pz - z;
+            const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+
+            switch (field.type) {
+                case 'attractor':
+                case 'repulsor': {
+                    if (distance === 0) break;
+                    const sign = field.type === 'attractor' ? 1 : -1;
+                    const force = sign * field.strength * Math.min(1, distance / CORE_RADIUS)
+                        * ForceField.falloff(distance, field.radius, field.falloff) / distance;
+                    out[0] += dx * force;
+                    out[1] += dy * force;
+                    out[2] += dz * force;
+                    break;
+                }
+
+                case 'vortex': {
+                    // Tangent around the axis, weighted by distance from the axis
+                    const [ax, ay, az] = field.direction;
+                    const along = -(dx * ax + dy * ay + dz * az);
+                    const rx = -dx - ax * along;
+                    const ry = -dy - ay * along;
+                    const rz = -dz - az * along;
+                    const axisDistance = Math.sqrt(rx * rx + ry * ry + rz * rz);
+                    if (axisDistance === 0) break;
+
+                    const force = field.strength * Math.min(1, axisDistance / CORE_RADIUS)
+                        * ForceField.falloff(axisDistance, field.radius, field.falloff) / axisDistance;
+                    out[0] += (ay * rz - az * ry) * force;
+                    out[1] += (az * rx - ax * rz) * force;
+                    out[2] += (ax * ry - ay * rx) * force;
+                    break;
+                }
+
+                case 'wind': {
+                    const force = field.strength * ForceField.falloff(distance, field.radius, field.falloff);
+                    out[0] += field.direction[0] * force;
+                    out[1] += field.direction[1] * force;
+                    out[2] += field.direction[2] * force;
+                    break;
+                }
+
+                case 'flow': {
+                    const weight = ForceField.falloff(distance, field.radius, field.falloff);
+                    if (weight === 0) break;
+
+                    const drift = time * field.speed;
+                    Noise.curl3(x * field.scale + drift, y * field.scale + drift, z * field.scale + drift, flow);
+                    const force = field.strength * weight;
+                    out[0] += flow[0] * force;
+                    out[1] += flow[1] * force;
+                    out[2] += flow[2] * force;
+                    break;
+                }
+            }
+        }
+        return out;
+    }
+
+    /**
+     * Flatten fields into the GPU uniform layout (FIELD_SLOTS vec4s each):
+     * position = (x, y, z, type id), direction = (x, y, z, strength),
+     * shape = (radius, falloff id, scale, speed)
+     */
+    static pack(fields, target) {
+        const count = Math.min(fields.length, FIELD_SLOTS);
+        for (let f = 0; f < count; f++) {
+            const field = fields[f];
+            target.position[f].set(...field.position, TYPE_IDS.indexOf(field.type));
+            target.direction[f].set(...field.direction, field.strength);
+            target.shape[f].set(field.radius, FALLOFF_IDS.indexOf(field.falloff), field.scale, field.speed);
+        }
+        return count;
+    }
+}
+
+/**
+ * GLSL twin of ForceField.accumulate: vec3 forceFieldAcceleration(vec3 p)
+ * Needs uniforms fieldCount, fieldPosition[], fieldDirection[], fieldShape[] and time
+ */
+export const FORCE_FIELD_GLSL = `
+    ${NOISE_GLSL}
+
+    uniform float fieldCount;
+    uniform vec4 fieldPosition[${FIELD_SLOTS}];
+    uniform vec4 fieldDirection[${FIELD_SLOTS}];
+    uniform vec4 fieldShape[${FIELD_SLOTS}];
+
+    float fieldFalloff(float dist, float radius, float kind) {
+        if (kind < 0.5) return 1.0;
+        if (kind < 1.5) return max(0.0, 1.0 - dist / radius);
+        if (kind < 2.5) {
+            float t = max(0.0, 1.0 - dist / radius);
+            return t * t * (3.0 - 2.0 * t);
+        }
+        return (radius * radius) / (radius * radius + dist * dist);
+    }
+
+    vec3 forceFieldAcceleration(vec3 p) {
+        vec3 acceleration = vec3(0.0);
+
+        for (int i = 0; i < ${FIELD_SLOTS}; i++) {
+            if (float(i) >= fieldCount) break;
+
+            vec3 toField = fieldPosition[i].xyz - p;
+            float type = fieldPosition[i].w;
+            vec3 direction = fieldDirection[i].xyz;
+            float strength = fieldDirection[i].w;
+            vec4 shape = fieldShape[i];
+            float dist = length(toField);
+
+            if (type < 1.5) {
+                // Attractor (0) / repulsor (1)
+                if (dist > 0.0) {
+                    float polarity = type < 0.5 ? 1.0 : -1.0;
+                    acceleration += toField / dist * polarity * strength
+                        * min(1.0, dist / ${CORE_RADIUS.toFixed(1)}) * fieldFalloff(dist, shape.x, shape.y);
+                }
+            } else if (type < 2.5) {
+                // Vortex
+                vec3 radial = -toField - direction * dot(-toField, direction);
+                float axisDistance = length(radial);
+                if (axisDistance > 0.0) {
+                    acceleration += cross(direction, radial) / axisDistance * strength
+                        * min(1.0, axisDistance / ${CORE_RADIUS.toFixed(1)}) * fieldFalloff(axisDistance, shape.x, shape.y);
+                }
+            } else if (type < 3.5) {
+                // Wind
+                acceleration += direction * strength * fieldFalloff(dist, shape.x, shape.y);
+            } else {
+                // Curl-noise flow
+                float weight = fieldFalloff(dist, shape.x, shape.y);
+                if (weight > 0.0) {
+                    acceleration += curlNoise(p * shape.z + time * shape.w) * strength * weight;
+                }
+            }
+        }
+
+        return acceleration;
+    }
+`;
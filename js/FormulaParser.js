@@ -0,0 +1,239 @@
+/**
+ * FormulaParser - Small math expression compiler for user-typed formulas
+ * Parses into a tree of closures (no eval / Function), so formulas can only do arithmetic on
+ * the variables they're given: + - * / % ^, unary minus, parentheses, pi, e and the functions below
+ */
+
+const FUNCTIONS = {
+    sin: Math.sin, cos: Math.cos, tan: Math.tan,
+    asin: Math.asin, acos: Math.acos, atan: Math.atan, atan2: Math.atan2,
+    sinh: Math.sinh, cosh: Math.cosh, tanh: Math.tanh,
+    sqrt: Math.sqrt, cbrt: Math.cbrt, abs: Math.abs, sign: Math.sign,
+    exp: Math.exp, log: Math.log, pow: Math.pow,
+    min: Math.min, max: Math.max,
+    floor: Math.floor, ceil: Math.ceil, round: Math.round,
+    mod: (a, b) => ((a % b) + b) % b
+};
+
+const CONSTANTS = {
+    pi: Math.PI,
+    e: Math.E,
+    tau: Math.PI * 2
+};
+
+const MAX_LENGTH = 500;
+
+function tokenize(source) {
+    const tokens = [];
+    const pattern = /\s*(?:(\d+\.?\d*(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)|([a-z_][a-z0-9_]*)|(\*\*|[-+*/%^(),]))/giy;
+    let index = 0;
+
+    while (index < source.length) {
+        pattern.lastIndex = index;
+        const match = pattern.exec(source);
+        if (!match) {
+            if (source.slice(index).trim() === '') break;
+            throw new SyntaxError(`Unexpected "${source[index]}" at position ${index + 1}`);
+        }
+
+        const position = match.index + match[0].length - (match[1] || match[2] || match[3]).length;
+        if (match[1] !== undefined) tokens.push({ type: 'number', value: parseFloat(match[1]), position });
+        else if (match[2] !== undefined) tokens.push({ type: 'name', value: match[2].toLowerCase(), position });
+        else tokens.push({ type: 'op', value: match[3] === '**' ? '^' : match[3], position });
+
+        index = pattern.lastIndex;
+    }
+
+    return tokens;
+}
+
+/**
+ * Recursive descent over the token list; every node compiles to (env) => number
+ */
+class Parser {
+    constructor(tokens, variables) {
+        this.tokens = tokens;
+        this.variables = variables;
+        this.index = 0;
+    }
+
+    peek() {
+        return this.tokens[this.index];
+    }
+
+    accept(value) {
+        const token = this.peek();
+        if (token && token.type === 'op' && token.value === value) {
+            this.index++;
+            return true;
+        }
+        return false;
+    }
+
+    expect(value) {
+        if (!this.accept(value)) {
+            const token = this.peek();
+            throw new SyntaxError(token ? `Expected "${value}" at position ${token.position + 1}` : `Expected "${value}" at the end`);
+        }
+    }
+
+    parse() {
+        if (this.tokens.length === 0) throw new SyntaxError('Formula is empty');
+
+        const node = this.parseSum();
+        const token = this.peek();
+        if (token) throw new SyntaxError(`Unexpected "${token.value}" at position ${token.position + 1}`);
+        return node;
+    }
+
+    // sum := product (('+' | '-') product)*
+    parseSum() {
+        let node = this.parseProduct();
+        for (;;) {
+            if (this.accept('+')) {
+                const left = node, right = this.parseProduct();
+                node = env => left(env) + right(env);
+            } else if (this.accept('-')) {
+                const left = node, right = this.parseProduct();
+                node = env => left(env) - right(env);
+            } else {
+                return node;
+            }
+        }
+    }
+
+    // product := unary (('*' | '/' | '%') unary)*
+    parseProduct() {
+        let node = this.parseUnary();
+        for (;;) {
+            if (this.accept('*')) {
+                const left = node, right = this.parseUnary();
+                node = env => left(env) * right(env);
+            } else if (this.accept('/')) {
+                const left = node, right = this.parseUnary();
+                node = env => left(env) / right(env);
+            } else if (this.accept('%')) {
+                const left = node, right = this.parseUnary();
+                node = env => left(env) % right(env);
+            } else {
+                return node;
+            }
+        }
+    }
+
+    // unary := ('-' | '+') unary | power
+    parseUnary() {
+        if (this.accept('-')) {
+            const operand = this.parseUnary();
+            return env => -operand(env);
+        }
+        if (this.accept('+')) return this.parseUnary();
+        return this.parsePower();
+    }
+
+    // power := atom ('^' unary)?   (right-associative, so -x^2 = -(x^2) and 2^-1 works)
+    parsePower() {
+        const base = this.parseAtom();
+        if (this.accept('^')) {
+            const exponent = this.parseUnary();
+            return env => Math.pow(base(env), exponent(env));
+        }
+        return base;
+    }
+
+    parseAtom() {
+        const token = this.peek();
+        if (!token) throw new SyntaxError('Formula ends unexpectedly');
+
+        if (token.type === 'number') {
+            this.index++;
+            const value = token.value;
+            return () => value;
+        }
+
+        if (this.accept('(')) {
+            const node = this.parseSum();
+            this.expect(')');
+            return node;
+        }
+
+        if (token.type === 'name') {
+            this.index++;
+            if (this.accept('(')) return this.parseCall(token);
+
+            const slot = this.variables.indexOf(token.value);
+            if (slot >= 0) return env => env[slot];
+            if (Object.prototype.hasOwnProperty.call(CONSTANTS, token.value)) {
+                const value = CONSTANTS[token.value];
+                return () => value;
+            }
+            const allowed = this.variables.length ? this.variables.join(', ') : 'numbers, pi, e or tau';
+            throw new SyntaxError(`Unknown name "${token.value}" (use ${allowed})`);
+        }
+
+        throw new SyntaxError(`Unexpected "${token.value}" at position ${token.position + 1}`);
+    }
+
+    parseCall(token) {
+        const fn = Object.prototype.hasOwnProperty.call(FUNCTIONS, token.value) ? FUNCTIONS[token.value] : null;
+        if (!fn) throw new SyntaxError(`Unknown function "${token.value}"`);
+
+        const args = [];
+        if (!this.accept(')')) {
+            do {
+                args.push(this.parseSum());
+            } while (this.accept(','));
+            this.expect(')');
+        }
+
+        switch (args.length) {
+            case 1: {
+                const [a] = args;
+                return env => fn(a(env));
+            }
+            case 2: {
+                const [a, b] = args;
+                return env => fn(a(env), b(env));
+            }
+            default:
+                return env => fn(...args.map(arg => arg(env)));
+        }
+    }
+}
+
+export class FormulaParser {
+    /**
+     * Compile a formula into a plain function of the given variables
+     * @param {string} source - e.g. "sin(v) * cos(u)"
+     * @param {Array<string>} variables - Allowed variable names, in argument order
+     * @returns {Function} (...values) => number
+     * @throws {SyntaxError} With a readable message for the formula editor
+     */
+    static compile(source, variables) {
+        const text = String(source ?? '');
+        if (text.length > MAX_LENGTH) {
+            throw new SyntaxError(`Formula is longer than ${MAX_LENGTH} characters`);
+        }
+
+        const names = variables.map(name => name.toLowerCase());
+        const node = new Parser(tokenize(text), names).parse();
+        const env = new Float64Array(names.length);
+
+        return (...values) => {
+            for (let i = 0; i < env.length; i++) env[i] = values[i];
+            return node(env);
+        };
+    }
+
+    /**
+     * Error message for a formula, or null when it compiles
+     */
+    static validate(source, variables) {
+        try {
+            FormulaParser.compile(source, variables);
+            return null;
+        } catch (error) {
+            return error.message;
+        }
+    }
+}
@@ -0,0 +1,248 @@
+/**
+ * FormulaPattern - "Custom Formula" pattern built from user-typed math
+ * Parametric mode samples x(u,v), y(u,v), z(u,v) on a jittered UV grid; implicit mode finds the
+ * surface f(x,y,z) = 0 inside a cube and projects particles onto it. Formulas go through
+ * FormulaParser (no eval) and live in the pattern's params, so presets carry them
+ */
+
+import { PatternGenerator } from './PatternGenerator.js';
+import { FormulaParser } from './FormulaParser.js';
+
+const IMPLICIT_GRID = 40; // Cells per axis when searching for the implicit surface
+
+/**
+ * Ready-made formulas for the editor's example picker
+ */
+export const FORMULA_EXAMPLES = {
+    knot: {
+        name: 'Torus Knot',
+        mode: 'parametric',
+        x: '(2 + cos(3*u) + 0.4*cos(v)) * cos(2*u)',
+        y: 'sin(3*u) + 0.4*sin(v)',
+        z: '(2 + cos(3*u) + 0.4*cos(v)) * sin(2*u)',
+        uMin: '0', uMax: '2*pi', vMin: '0', vMax: '2*pi'
+    },
+    shell: {
+        name: 'Seashell',
+        mode: 'parametric',
+        x: '1.2^u * sin(v)^2 * cos(u)',
+        y: '1.2^u * sin(v) * cos(v) - 1.2^u',
+        z: '1.2^u * sin(v)^2 * sin(u)',
+        uMin: '0', uMax: '4*pi', vMin: '0', vMax: 'pi'
+    },
+    klein: {
+        name: 'Figure-8 Klein Bottle',
+        mode: 'parametric',
+        x: '(2 + cos(u/2)*sin(v) - sin(u/2)*sin(2*v)) * cos(u)',
+        y: 'sin(u/2)*sin(v) + cos(u/2)*sin(2*v)',
+        z: '(2 + cos(u/2)*sin(v) - sin(u/2)*sin(2*v)) * sin(u)',
+        uMin: '0', uMax: '2*pi', vMin: '0', vMax: '2*pi'
+    },
+    gyroid: {
+        name: 'Gyroid',
+        mode: 'implicit',
+        implicit: 'sin(x)*cos(y) + sin(y)*cos(z) + sin(z)*cos(x)',
+        range: 4
+    },
+    blobs: {
+        name: 'Metaballs',
+        mode: 'implicit',
+        implicit: '1/((x-1)^2 + y^2 + z^2) + 1/((x+1)^2 + y^2 + z^2) + 1/(x^2 + (y-1.2)^2 + z^2) - 2.2',
+        range: 2.5
+    }
+};
+
+export class FormulaPattern {
+    /**
+     * Error message for the formulas the current mode uses, or null if they all compile
+     */
+    static validate(params) {
+        const checks = params.mode === 'implicit'
+            ? [['f(x,y,z)', params.implicit, ['x', 'y', 'z']]]
+            : [
+                ['x(u,v)', params.x, ['u', 'v']],
+                ['y(u,v)', params.y, ['u', 'v']],
+                ['z(u,v)', params.z, ['u', 'v']],
+                ['u from', params.uMin, []],
+                ['u to', params.uMax, []],
+                ['v from', params.vMin, []],
+                ['v to', params.vMax, []]
+            ];
+
+        for (const [label, source, variables] of checks) {
+            const error = FormulaParser.validate(source, variables);
+            if (error) return `${label}: ${error}`;
+        }
+        return null;
+    }
+
+    /**
+     * Sample count points for the given formula params
+     * @returns {Float32Array|null} Null when the formulas don't compile or produce no finite points
+     */
+    static sample(count, params, random) {
+        try {
+            const positions = params.mode === 'implicit'
+                ? FormulaPattern.sampleImplicit(count, params, random)
+                : FormulaPattern.sampleParametric(count, params, random);
+            return positions && PatternGenerator.fitToSize(positions, params.size);
+        } catch (error) {
+            console.warn('Formula pattern:', error.message);
+            return null;
+        }
+    }
+
+    static sampleParametric(count, params, random) {
+        const fx = FormulaParser.compile(params.x, ['u', 'v']);
+        const fy = FormulaParser.compile(params.y, ['u', 'v']);
+        const fz = FormulaParser.compile(params.z, ['u', 'v']);
+        const uMin = FormulaParser.compile(params.uMin, [])();
+        const uMax = FormulaParser.compile(params.uMax, [])();
+        const vMin = FormulaParser.compile(params.vMin, [])();
+        const vMax = FormulaParser.compile(params.vMax, [])();
+
+        // UV grid with a little jitter, like the built-in surfaces
+        const gridU = Math.ceil(Math.sqrt(count));
+        const gridV = Math.ceil(count / gridU);
+        const positions = new Float32Array(count * 3);
+        const valid = new Uint8Array(count);
+
+        for (let i = 0; i < count; i++) {
+            const u = uMin + ((i % gridU) + 0.5 + (random() - 0.5) * 0.3) / gridU * (uMax - uMin);
+            const v = vMin + (Math.floor(i / gridU) + 0.5 + (random() - 0.5) * 0.3) / gridV * (vMax - vMin);
+            const x = fx(u, v);
+            const y = fy(u, v);
+            const z = fz(u, v);
+
+            if (Number.isFinite(x) && Number.isFinite(y) && Number.isFinite(z)) {
+                positions[i * 3] = x;
+                positions[i * 3 + 1] = y;
+                positions[i * 3 + 2] = z;
+                valid[i] = 1;
+            }
+        }
+
+        return FormulaPattern.fillInvalid(positions, valid, random);
+    }
+
+    /**
+     * Find sign changes of f along grid edges, then drop particles near random crossings and
+     * pull them onto the surface with a few Newton steps
+     */
+    static sampleImplicit(count, params, random) {
+        const f = FormulaParser.compile(params.implicit, ['x', 'y', 'z']);
+        const range = Math.max(0.01, Number(params.range) || 2);
+        const n = IMPLICIT_GRID;
+        const cell = (range * 2) / n;
+        const side = n + 1;
+
+        const values = new Float64Array(side * side * side);
+        const at = (i, j, k) => (i * side + j) * side + k;
+        for (let i = 0; i <= n; i++) {
+            for (let j = 0; j <= n; j++) {
+                for (let k = 0; k <= n; k++) {
+                    values[at(i, j, k)] = f(-range + i * cell, -range + j * cell, -range + k * cell);
+                }
+            }
+        }
+
+        const crossings = [];
+        const addCrossing = (a, b, ax, ay, az, bx, by, bz) => {
+            const fa = values[a];
+            const fb = values[b];
+            if (!Number.isFinite(fa) || !Number.isFinite(fb) || (fa > 0) === (fb > 0)) return;
+            const t = fa / (fa - fb);
+            crossings.push(ax + (bx - ax) * t, ay + (by - ay) * t, az + (bz - az) * t);
+        };
+
+        for (let i = 0; i <= n; i++) {
+            for (let j = 0; j <= n; j++) {
+                for (let k = 0; k <= n; k++) {
+                    const x = -range + i * cell;
+                    const y = -range + j * cell;
+                    const z = -range + k * cell;
+                    if (i < n) addCrossing(at(i, j, k), at(i + 1, j, k), x, y, z, x + cell, y, z);
+                    if (j < n) addCrossing(at(i, j, k), at(i, j + 1, k), x, y, z, x, y + cell, z);
+                    if (k < n) addCrossing(at(i, j, k), at(i, j, k + 1), x, y, z, x, y, z + cell);
+                }
+            }
+        }
+
+        const crossingCount = crossings.length / 3;
+        if (crossingCount === 0) return null;
+
+        const positions = new Float32Array(count * 3);
+        const h = cell * 0.01;
+
+        for (let i = 0; i < count; i++) {
+            const c = Math.min(crossingCount - 1, Math.floor((i + random()) * crossingCount / count));
+            let x = crossings[c * 3] + (random() - 0.5) * cell;
+            let y = crossings[c * 3 + 1] + (random() - 0.5) * cell;
+            let z = crossings[c * 3 + 2] + (random() - 0.5) * cell;
+
+            for (let step = 0; step < 3; step++) {
+                const value = f(x, y, z);
+                const gx = (f(x + h, y, z) - f(x - h, y, z)) / (2 * h);
+                const gy = (f(x, y + h, z) - f(x, y - h, z)) / (2 * h);
+                const gz = (f(x, y, z + h) - f(x, y, z - h)) / (2 * h);
+                const lengthSq = gx * gx + gy * gy + gz * gz;
+                if (!Number.isFinite(value) || !(lengthSq > 1e-12)) break;
+
+                // Keep each step within a cell so a flat gradient can't fling the point away
+                const scale = Math.max(-cell, Math.min(cell, value / Math.sqrt(lengthSq))) / Math.sqrt(lengthSq);
+                x -= gx * scale;
+                y -= gy * scale;
+                z -= gz * scale;
+            }
+
+            positions[i * 3] = Math.max(-range, Math.min(range, x));
+            positions[i * 3 + 1] = Math.max(-range, Math.min(range, y));
+            positions[i * 3 + 2] = Math.max(-range, Math.min(range, z));
+        }
+
+        return positions;
+    }
+
+    /**
+     * Replace points where the formula was undefined with copies of valid ones
+     */
+    static fillInvalid(positions, valid, random) {
+        const validIndices = [];
+        for (let i = 0; i < valid.length; i++) {
+            if (valid[i]) validIndices.push(i);
+        }
+        if (validIndices.length === 0) return null;
+        if (validIndices.length === valid.length) return positions;
+
+        for (let i = 0; i < valid.length; i++) {
+            if (valid[i]) continue;
+            const source = validIndices[Math.floor(random() * validIndices.length)];
+            positions[i * 3] = positions[source * 3];
+            positions[i * 3 + 1] = positions[source * 3 + 1];
+            positions[i * 3 + 2] = positions[source * 3 + 2];
+        }
+        return positions;
+    }
+}
+
+PatternGenerator.register('formula', (count, params, random) => {
+    return FormulaPattern.sample(count, params, random) || PatternGenerator.sphere(count);
+}, {
+    displayName: 'Formula',
+    description: 'Custom Formula (edit in the Custom Formula section)',
+    category: 'custom',
+    params: [
+        { name: 'size', label: 'Size', min: 20, max: 90, step: 1, default: 50 }
+    ],
+    defaultParams: {
+        mode: 'parametric',
+        x: FORMULA_EXAMPLES.knot.x,
+        y: FORMULA_EXAMPLES.knot.y,
+        z: FORMULA_EXAMPLES.knot.z,
+        uMin: '0', uMax: '2*pi', vMin: '0', vMax: '2*pi',
+        implicit: 'x^2 + y^2 + z^2 - 1',
+        range: 2
+    },
+    icon: '<svg viewBox="0 0 40 40"><path d="M24 6 C18 6 18 10 17 16 L14 34 C13 38 9 38 8 36" fill="none" stroke="currentColor" stroke-width="2"/><path d="M11 16 H24" stroke="currentColor" stroke-width="2"/><path d="M26 22 L34 32 M34 22 L26 32" stroke="currentColor" stroke-width="1.5"/></svg>',
+    randomize: false
+});
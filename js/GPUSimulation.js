@@ -0,0 +1,321 @@
+/**
+ * GPUSimulation - GPGPU particle physics using ping-pong float render targets
+ * Mirrors ParticleSystem.updatePositions() as fragment shaders so the CPU never touches positions
+ */
+
+import { ForceField, FORCE_FIELD_GLSL, FIELD_SLOTS } from './ForceField.js';
+import { MAX_NOISE_OCTAVES } from './Noise.js';
+import { ParticlePhysics } from './ParticlePhysics.js';
+
+const QUAD_VERTEX_SHADER = `
+    varying vec2 vUv;
+    void main() {
+        vUv = uv;
+        gl_Position = vec4(position, 1.0);
+    }
+`;
+
+const COPY_FRAGMENT_SHADER = `
+    uniform sampler2D source;
+    varying vec2 vUv;
+    void main() {
+        gl_FragColor = texture2D(source, vUv);
+    }
+`;
+
+// Velocity pass: morph spring, explosion, curl-noise turbulence/idle flow, audio and force-field
+// forces with damping
+const VELOCITY_FRAGMENT_SHADER = `
+    uniform sampler2D positionTexture;
+    uniform sampler2D velocityTexture;
+    uniform sampler2D baseTexture;
+    uniform float morphForce;
+    uniform float scale;
+    uniform float explosionForce;
+    uniform float audioInfluence;
+    uniform float time;
+    uniform float damping;
+    uniform float flowStrength;
+    uniform float noiseScale;
+    uniform float noiseDrift;
+    uniform float noiseOctaves;
+    uniform float frameScale;
+    varying vec2 vUv;
+
+    ${FORCE_FIELD_GLSL}
+
+    void main() {
+        vec3 pos = texture2D(positionTexture, vUv).xyz;
+        vec3 vel = texture2D(velocityTexture, vUv).xyz;
+        vec4 base = texture2D(baseTexture, vUv);
+        float index = base.w;
+
+        // Direction from center
+        float dist = length(pos);
+        vec3 dir = dist > 0.0 ? pos / dist : vec3(0.0);
+
+        vec3 morph = (base.xyz * scale - pos) * morphForce;
+        vec3 explosion = dir * explosionForce * 5.0;
+
+        vec3 turb = flowStrength > 0.0
+            ? fractalCurlNoise(pos * noiseScale + noiseDrift, noiseOctaves) * flowStrength
+            : vec3(0.0);
+
+        vec3 audioMove = audioInfluence * dir * sin(time * 5.0 + index * 0.1) * 2.0;
+
+        vec3 fields = forceFieldAcceleration(pos);
+
+        vel = (vel + (morph + explosion + turb + audioMove + fields) * frameScale) * pow(damping, frameScale);
+        gl_FragColor = vec4(vel, 1.0);
+    }
+`;
+
+// Position pass: integrate velocity
+const POSITION_FRAGMENT_SHADER = `
+    uniform sampler2D positionTexture;
+    uniform sampler2D velocityTexture;
+    uniform float frameScale;
+    varying vec2 vUv;
+
+    void main() {
+        vec3 pos = texture2D(positionTexture, vUv).xyz;
+        vec3 vel = texture2D(velocityTexture, vUv).xyz;
+
+        pos += vel * frameScale;
+
+        gl_FragColor = vec4(pos, 1.0);
+    }
+`;
+
+export class GPUSimulation {
+    /**
+     * Check whether the renderer can render to and sample float textures from the vertex shader
+     */
+    static isSupported(renderer) {
+        const capabilities = renderer.capabilities;
+        if (capabilities.maxVertexTextures === 0) return false;
+
+        if (capabilities.isWebGL2) {
+            return renderer.extensions.has('EXT_color_buffer_float');
+        }
+        return renderer.extensions.has('OES_texture_float');
+    }
+
+    /**
+     * Texture side length needed to hold count particles (one texel each)
+     */
+    static getTextureSize(count) {
+        return Math.max(1, Math.ceil(Math.sqrt(count)));
+    }
+
+    constructor(renderer, particleCount) {
+        this.renderer = renderer;
+        this.particleCount = particleCount;
+        this.size = GPUSimulation.getTextureSize(particleCount);
+
+        // Ping-pong targets: [read, write]
+        this.positionTargets = [this.createTarget(), this.createTarget()];
+        this.velocityTargets = [this.createTarget(), this.createTarget()];
+
+        // Pattern target positions, particle index in w
+        this.baseData = new Float32Array(this.size * this.size * 4);
+        this.baseTexture = this.createDataTexture(this.baseData);
+
+        // Fullscreen quad for simulation passes
+        this.scene = new THREE.Scene();
+        this.camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+        this.quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2));
+        this.scene.add(this.quad);
+
+        this.copyMaterial = this.createMaterial(COPY_FRAGMENT_SHADER, {
+            source: { value: null }
+        });
+
+        this.velocityMaterial = this.createMaterial(VELOCITY_FRAGMENT_SHADER, {
+            positionTexture: { value: null },
+            velocityTexture: { value: null },
+            baseTexture: { value: this.baseTexture },
+            morphForce: { value: 0.06 },
+            scale: { value: 1 },
+            explosionForce: { value: 0 },
+            audioInfluence: { value: 0 },
+            time: { value: 0 },
+            damping: { value: 0.95 },
+            flowStrength: { value: 0 },
+            noiseScale: { value: 0.02 },
+            noiseDrift: { value: 0 },
+            noiseOctaves: { value: 2 },
+            frameScale: { value: 1 },
+            fieldCount: { value: 0 },
+            fieldPosition: { value: this.createVectors(FIELD_SLOTS) },
+            fieldDirection: { value: this.createVectors(FIELD_SLOTS) },
+            fieldShape: { value: this.createVectors(FIELD_SLOTS) }
+        });
+
+        this.positionMaterial = this.createMaterial(POSITION_FRAGMENT_SHADER, {
+            positionTexture: { value: null },
+            velocityTexture: { value: null },
+            frameScale: { value: 1 }
+        });
+    }
+
+    createVectors(count) {
+        return Array.from({ length: count }, () => new THREE.Vector4());
+    }
+
+    createTarget() {
+        return new THREE.WebGLRenderTarget(this.size, this.size, {
+            minFilter: THREE.NearestFilter,
+            magFilter: THREE.NearestFilter,
+            wrapS: THREE.ClampToEdgeWrapping,
+            wrapT: THREE.ClampToEdgeWrapping,
+            format: THREE.RGBAFormat,
+            type: THREE.FloatType,
+            depthBuffer: false,
+            stencilBuffer: false
+        });
+    }
+
+    createDataTexture(data) {
+        const texture = new THREE.DataTexture(data, this.size, this.size, THREE.RGBAFormat, THREE.FloatType);
+        texture.minFilter = THREE.NearestFilter;
+        texture.magFilter = THREE.NearestFilter;
+        texture.needsUpdate = true;
+        return texture;
+    }
+
+    createMaterial(fragmentShader, uniforms) {
+        return new THREE.ShaderMaterial({
+            uniforms,
+            vertexShader: QUAD_VERTEX_SHADER,
+            fragmentShader,
+            depthWrite: false,
+            depthTest: false
+        });
+    }
+
+    /**
+     * Pack an xyz Float32Array into RGBA texel data (index in w)
+     */
+    packVec3(source, target) {
+        target.fill(0);
+        for (let i = 0; i < this.particleCount; i++) {
+            target[i * 4] = source[i * 3];
+            target[i * 4 + 1] = source[i * 3 + 1];
+            target[i * 4 + 2] = source[i * 3 + 2];
+            target[i * 4 + 3] = i;
+        }
+        return target;
+    }
+
+    renderPass(material, target) {
+        const previousTarget = this.renderer.getRenderTarget();
+        this.quad.material = material;
+        this.renderer.setRenderTarget(target);
+        this.renderer.render(this.scene, this.camera);
+        this.renderer.setRenderTarget(previousTarget);
+    }
+
+    /**
+     * Upload a CPU array into both ping-pong targets
+     */
+    uploadToTargets(source, targets) {
+        const texture = this.createDataTexture(this.packVec3(source, new Float32Array(this.size * this.size * 4)));
+        this.copyMaterial.uniforms.source.value = texture;
+        this.renderPass(this.copyMaterial, targets[0]);
+        this.renderPass(this.copyMaterial, targets[1]);
+        texture.dispose();
+    }
+
+    setBasePositions(positions) {
+        this.packVec3(positions, this.baseData);
+        this.baseTexture.needsUpdate = true;
+    }
+
+    setPositions(positions) {
+        this.uploadToTargets(positions, this.positionTargets);
+    }
+
+    setVelocities(velocities) {
+        this.uploadToTargets(velocities, this.velocityTargets);
+    }
+
+    resetVelocities() {
+        this.setVelocities(new Float32Array(this.particleCount * 3));
+    }
+
+    /**
+     * Advance the simulation one frame
+     * @param {Object} params - Same inputs updatePositions() reads from ParticleSystem
+     */
+    step(params) {
+
+        // Velocity pass reads current position/velocity, writes the spare velocity target
+        const v = this.velocityMaterial.uniforms;
+        v.positionTexture.value = this.positionTargets[0].texture;
+        v.velocityTexture.value = this.velocityTargets[0].texture;
+        v.morphForce.value = params.morphForce;
+        v.scale.value = params.scale;
+        v.explosionForce.value = params.explosionForce;
+        v.audioInfluence.value = params.audioInfluence;
+        v.time.value = params.time;
+        v.damping.value = params.damping;
+        v.flowStrength.value = ParticlePhysics.flowStrength(params);
+        v.noiseScale.value = params.noiseScale;
+        v.noiseDrift.value = params.time * params.noiseSpeed + ParticlePhysics.noiseOffset(params.seed);
+        v.noiseOctaves.value = ParticlePhysics.flowOctaves(params);
+        v.frameScale.value = params.frameScale;
+        v.fieldCount.value = ForceField.pack(params.forceFields || [], {
+            position: v.fieldPosition.value,
+            direction: v.fieldDirection.value,
+            shape: v.fieldShape.value
+        });
+        this.renderPass(this.velocityMaterial, this.velocityTargets[1]);
+        this.velocityTargets.reverse();
+
+        // Position pass integrates the fresh velocity
+        const p = this.positionMaterial.uniforms;
+        p.positionTexture.value = this.positionTargets[0].texture;
+        p.velocityTexture.value = this.velocityTargets[0].texture;
+        p.frameScale.value = params.frameScale;
+        this.renderPass(this.positionMaterial, this.positionTargets[1]);
+        this.positionTargets.reverse();
+    }
+
+    getPositionTexture() {
+        return this.positionTargets[0].texture;
+    }
+
+    /**
+     * Read a target back into an xyz Float32Array (slow, for effects and comparisons)
+     */
+    readTarget(renderTarget, target) {
+        const buffer = new Float32Array(this.size * this.size * 4);
+        this.renderer.readRenderTargetPixels(renderTarget, 0, 0, this.size, this.size, buffer);
+
+        for (let i = 0; i < this.particleCount; i++) {
+            target[i * 3] = buffer[i * 4];
+            target[i * 3 + 1] = buffer[i * 4 + 1];
+            target[i * 3 + 2] = buffer[i * 4 + 2];
+        }
+        return target;
+    }
+
+    readPositions(target = new Float32Array(this.particleCount * 3)) {
+        return this.readTarget(this.positionTargets[0], target);
+    }
+
+    readVelocities(target = new Float32Array(this.particleCount * 3)) {
+        return this.readTarget(this.velocityTargets[0], target);
+    }
+
+    dispose() {
+        this.positionTargets.forEach(target => target.dispose());
+        this.velocityTargets.forEach(target => target.dispose());
+        this.baseTexture.dispose();
+        this.quad.geometry.dispose();
+        this.copyMaterial.dispose();
+        this.velocityMaterial.dispose();
+        this.positionMaterial.dispose();
+    }
+}
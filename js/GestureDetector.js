@@ -344,6 +344,26 @@ export class GestureDetector {
         };
     }
 
+    /**
+     * Wrist to middle knuckle on screen (normalized): grows as the hand nears the camera,
+     * so it stands in for depth, which MediaPipe only gives relative to the wrist
+     */
+    getPalmSize(landmarks) {
+        const L = this.LANDMARKS;
+        const dx = landmarks[L.MIDDLE_MCP].x - landmarks[L.WRIST].x;
+        const dy = landmarks[L.MIDDLE_MCP].y - landmarks[L.WRIST].y;
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+
+    /**
+     * Thumb, index, middle, ring and pinky tips
+     */
+    getFingertips(landmarks) {
+        const L = this.LANDMARKS;
+        return [L.THUMB_TIP, L.INDEX_TIP, L.MIDDLE_TIP, L.RING_TIP, L.PINKY_TIP]
+            .map(index => ({ x: landmarks[index].x, y: landmarks[index].y, z: landmarks[index].z }));
+    }
+
     /**
      * Calculate finger curl for each finger using angle-based detection
      */
@@ -572,6 +592,9 @@ export class GestureDetector {
             velocity: { ...this.velocity },
             isHandDetected: this.isHandDetected,
             landmarks: this.landmarks,
+            palm: this.landmarks ? this.getPalmCenter(this.landmarks) : null,
+            palmSize: this.landmarks ? this.getPalmSize(this.landmarks) : 0,
+            fingertips: this.landmarks ? this.getFingertips(this.landmarks) : null,
             // Two-hand data
             twoHandsDetected: this.twoHandsDetected,
             handDistance: this.handDistance,
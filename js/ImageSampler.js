@@ -0,0 +1,376 @@
+/**
+ * ImageSampler - Turns uploaded PNG/JPG/SVG files into particle targets for the "image" pattern
+ * Raster images are sampled weighted by alpha (transparent images) or by contrast against the
+ * background luminance; SVGs are sampled along their paths. Both carry per-particle source colors
+ */
+
+import { PatternGenerator } from './PatternGenerator.js';
+
+// Longest side of the stored raster copy (keeps sampling quick and the data URL small enough for presets)
+const MAX_RASTER_SIZE = 256;
+
+// Points sampled along SVG geometry at load time
+const SVG_POINT_BUDGET = 8192;
+
+// SVGs are stored whole in presets; bigger files are rasterized like other images instead
+const MAX_SVG_SIZE = 256 * 1024;
+
+// SVG content that is active or can load from outside the document, removed before mounting
+const SVG_UNSAFE_ELEMENTS = 'script, foreignObject, image, iframe, embed, object, audio, video, ' +
+    'animate, animateColor, animateMotion, animateTransform, set, discard';
+const SVG_EXTERNAL_STYLE = /url\s*\((?!\s*['"]?\s*#)|@import/i;
+
+// Decoded sources keyed by data URL, plus loads in flight
+const sources = new Map();
+const pending = new Map();
+const readyListeners = new Set();
+
+export class ImageSampler {
+    /**
+     * Load an uploaded file and make it available to the image pattern
+     * @returns {Promise<string>} Data URL to store in the pattern's `src` param
+     */
+    static async load(file) {
+        const isSvg = file.type === 'image/svg+xml' || /\.svg$/i.test(file.name);
+
+        if (isSvg && file.size <= MAX_SVG_SIZE) {
+            const text = await file.text();
+            const src = `data:image/svg+xml;base64,${btoa(unescape(encodeURIComponent(text)))}`;
+            await ImageSampler.loadSource(src);
+            return src;
+        }
+
+        if (!isSvg && !/^image\/(png|jpe?g|webp|gif)$/.test(file.type)) {
+            throw new Error(`Unsupported image type: ${file.type || file.name}`);
+        }
+
+        // Downscale once; the stored copy is what presets save and what gets sampled. Large SVGs
+        // come this way too (an <img> runs no scripts and loads nothing external)
+        const objectUrl = URL.createObjectURL(isSvg ? new Blob([file], { type: 'image/svg+xml' }) : file);
+        try {
+            const image = await ImageSampler.loadImage(objectUrl);
+            if (!image.width || !image.height) {
+                throw new Error('Image has no size (SVGs over 256KB need a width and height)');
+            }
+            const scale = Math.min(1, MAX_RASTER_SIZE / Math.max(image.width, image.height));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(image.width * scale));
+            canvas.height = Math.max(1, Math.round(image.height * scale));
+            canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+
+            const src = canvas.toDataURL('image/png');
+            await ImageSampler.loadSource(src);
+            return src;
+        } finally {
+            URL.revokeObjectURL(objectUrl);
+        }
+    }
+
+    /**
+     * Decode a data URL (from an upload or a saved preset) into sampling data
+     */
+    static loadSource(src) {
+        if (sources.has(src)) return Promise.resolve(src);
+        if (pending.has(src)) return pending.get(src);
+
+        const decode = src.startsWith('data:image/svg+xml')
+            ? Promise.resolve(ImageSampler.decodeSvg(ImageSampler.dataUrlToText(src)))
+            : ImageSampler.loadImage(src).then(image => ImageSampler.decodeRaster(image));
+
+        const promise = decode
+            .then(source => {
+                sources.set(src, source);
+                readyListeners.forEach(listener => listener(src));
+                return src;
+            })
+            .finally(() => pending.delete(src));
+
+        pending.set(src, promise);
+        return promise;
+    }
+
+    static hasSource(src) {
+        return sources.has(src);
+    }
+
+    /**
+     * Call listener(src) when a source finishes decoding (e.g. a preset's image after reload)
+     */
+    static onReady(listener) {
+        readyListeners.add(listener);
+        return () => readyListeners.delete(listener);
+    }
+
+    static loadImage(url) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => resolve(image);
+            image.onerror = () => reject(new Error('Could not decode image'));
+            image.src = url;
+        });
+    }
+
+    static dataUrlToText(src) {
+        const [header, body] = src.split(',', 2);
+        return header.includes(';base64')
+            ? decodeURIComponent(escape(atob(body)))
+            : decodeURIComponent(body);
+    }
+
+    /**
+     * Build a weighted pixel table: alpha when the image has transparency, otherwise
+     * distance from the border (background) luminance, so dark-on-light logos work too
+     */
+    static decodeRaster(image) {
+        const canvas = document.createElement('canvas');
+        canvas.width = image.width;
+        canvas.height = image.height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(image, 0, 0);
+
+        const { width, height } = canvas;
+        const data = ctx.getImageData(0, 0, width, height).data;
+        const pixelCount = width * height;
+
+        const luminance = new Float32Array(pixelCount);
+        let hasAlpha = false;
+        for (let i = 0; i < pixelCount; i++) {
+            luminance[i] = (0.2126 * data[i * 4] + 0.7152 * data[i * 4 + 1] + 0.0722 * data[i * 4 + 2]) / 255;
+            if (data[i * 4 + 3] < 250) hasAlpha = true;
+        }
+
+        // Background luminance from the border pixels
+        let borderSum = 0;
+        let borderCount = 0;
+        for (let x = 0; x < width; x++) {
+            borderSum += luminance[x] + luminance[(height - 1) * width + x];
+            borderCount += 2;
+        }
+        for (let y = 0; y < height; y++) {
+            borderSum += luminance[y * width] + luminance[y * width + width - 1];
+            borderCount += 2;
+        }
+        const background = borderSum / borderCount;
+
+        const weights = new Float32Array(pixelCount);
+        for (let i = 0; i < pixelCount; i++) {
+            weights[i] = hasAlpha
+                ? data[i * 4 + 3] / 255
+                : Math.abs(luminance[i] - background);
+        }
+
+        const colors = new Float32Array(pixelCount * 3);
+        for (let i = 0; i < pixelCount; i++) {
+            colors[i * 3] = data[i * 4] / 255;
+            colors[i * 3 + 1] = data[i * 4 + 1] / 255;
+            colors[i * 3 + 2] = data[i * 4 + 2] / 255;
+        }
+
+        return { type: 'image', width, height, weights, colors };
+    }
+
+    /**
+     * Strip an SVG down to static geometry before it touches the page: scripts, foreign content,
+     * images, animations, event handlers, and any reference or stylesheet that could load from
+     * outside the document. Local references (href="#id", url(#gradient)) stay
+     */
+    static sanitizeSvg(svg) {
+        svg.querySelectorAll(SVG_UNSAFE_ELEMENTS).forEach(node => node.remove());
+        svg.querySelectorAll('style').forEach(node => {
+            if (SVG_EXTERNAL_STYLE.test(node.textContent)) node.remove();
+        });
+
+        [svg, ...svg.querySelectorAll('*')].forEach(node => {
+            [...node.attributes].forEach(attr => {
+                const name = attr.name.toLowerCase();
+                const external = name === 'href' || name.endsWith(':href')
+                    ? !attr.value.trim().startsWith('#')
+                    : SVG_EXTERNAL_STYLE.test(attr.value);
+                if (name.startsWith('on') || external) node.removeAttributeNode(attr);
+            });
+        });
+    }
+
+    /**
+     * Sample points along every geometry element of an SVG document, with their stroke/fill colors
+     */
+    static decodeSvg(text) {
+        const doc = new DOMParser().parseFromString(text, 'image/svg+xml');
+        const svg = doc.documentElement;
+        if (!svg || svg.nodeName.toLowerCase() !== 'svg') {
+            throw new Error('Not an SVG document');
+        }
+
+        ImageSampler.sanitizeSvg(svg);
+
+        // Geometry methods need a rendered element, so mount it invisibly for the measurement
+        const host = document.createElement('div');
+        host.style.cssText = 'position:absolute;left:-10000px;top:0;visibility:hidden;pointer-events:none';
+        host.appendChild(document.importNode(svg, true));
+        document.body.appendChild(host);
+
+        try {
+            const elements = [...host.querySelectorAll('path, circle, ellipse, line, polyline, polygon, rect')]
+                .map(element => ({ element, length: element.getTotalLength() }))
+                .filter(item => item.length > 0);
+
+            const totalLength = elements.reduce((sum, item) => sum + item.length, 0);
+            if (totalLength === 0) throw new Error('SVG has no drawable paths');
+
+            const points = [];
+            const colors = [];
+            elements.forEach(({ element, length }) => {
+                const samples = Math.max(2, Math.round(SVG_POINT_BUDGET * length / totalLength));
+                const matrix = element.getCTM();
+                const style = getComputedStyle(element);
+                const color = ImageSampler.parseColor(style.stroke !== 'none' ? style.stroke : style.fill);
+
+                for (let i = 0; i < samples; i++) {
+                    let point = element.getPointAtLength((i / (samples - 1)) * length);
+                    if (matrix) point = new DOMPoint(point.x, point.y).matrixTransform(matrix);
+                    points.push(point.x, point.y);
+                    colors.push(color[0], color[1], color[2]);
+                }
+            });
+
+            let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+            for (let i = 0; i < points.length; i += 2) {
+                minX = Math.min(minX, points[i]);
+                maxX = Math.max(maxX, points[i]);
+                minY = Math.min(minY, points[i + 1]);
+                maxY = Math.max(maxY, points[i + 1]);
+            }
+
+            return {
+                type: 'svg',
+                points: Float32Array.from(points),
+                colors: Float32Array.from(colors),
+                bounds: { minX, minY, maxX, maxY }
+            };
+        } finally {
+            host.remove();
+        }
+    }
+
+    /**
+     * Computed CSS color ("rgb(r, g, b)") to 0-1 components; unknown values fall back to white
+     */
+    static parseColor(value) {
+        const match = /rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)/.exec(value || '');
+        if (!match) return [1, 1, 1];
+        return [match[1] / 255, match[2] / 255, match[3] / 255];
+    }
+
+    /**
+     * Generate positions and colors for count particles from a loaded source
+     * @param {Function} random - PatternGenerator's active random source
+     * @returns {{positions: Float32Array, colors: Float32Array}|null} Null until the source is decoded
+     */
+    static sample(src, count, params, random) {
+        const source = sources.get(src);
+        if (!source) {
+            // Saved presets reference the image by data URL; decode it and re-morph when ready
+            if (src) ImageSampler.loadSource(src).catch(error => console.warn('Image pattern:', error.message));
+            return null;
+        }
+
+        return source.type === 'svg'
+            ? ImageSampler.sampleSvg(source, count, params, random)
+            : ImageSampler.sampleRaster(source, count, params, random);
+    }
+
+    static sampleRaster(source, count, { size, depth, contrast }, random) {
+        const { width, height, weights } = source;
+
+        // Cumulative weights (contrast sharpens or softens the distribution)
+        const cdf = new Float64Array(weights.length);
+        let total = 0;
+        for (let i = 0; i < weights.length; i++) {
+            total += weights[i] > 0.04 ? Math.pow(weights[i], contrast) : 0;
+            cdf[i] = total;
+        }
+        if (total === 0) return null;
+
+        const positions = new Float32Array(count * 3);
+        const colors = new Float32Array(count * 3);
+        const scale = size / Math.max(width, height);
+
+        for (let i = 0; i < count; i++) {
+            // Stratified draw keeps coverage even; binary search the CDF for the pixel
+            const target = ((i + random()) / count) * total;
+            let low = 0;
+            let high = cdf.length - 1;
+            while (low < high) {
+                const mid = (low + high) >> 1;
+                if (cdf[mid] < target) low = mid + 1;
+                else high = mid;
+            }
+
+            const x = low % width;
+            const y = Math.floor(low / width);
+
+            positions[i * 3] = (x + random() - width / 2) * scale;
+            positions[i * 3 + 1] = (height / 2 - y - random()) * scale;
+            positions[i * 3 + 2] = (random() - 0.5) * Math.max(depth, 0.5);
+
+            colors[i * 3] = source.colors[low * 3];
+            colors[i * 3 + 1] = source.colors[low * 3 + 1];
+            colors[i * 3 + 2] = source.colors[low * 3 + 2];
+        }
+
+        return { positions, colors };
+    }
+
+    static sampleSvg(source, count, { size, depth }, random) {
+        const { points, bounds } = source;
+        const pointCount = points.length / 2;
+        const centerX = (bounds.minX + bounds.maxX) / 2;
+        const centerY = (bounds.minY + bounds.maxY) / 2;
+        const scale = size / Math.max(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY, 1e-6);
+
+        const positions = new Float32Array(count * 3);
+        const colors = new Float32Array(count * 3);
+
+        for (let i = 0; i < count; i++) {
+            const p = Math.min(pointCount - 1, Math.floor((i + random()) * pointCount / count));
+
+            positions[i * 3] = (points[p * 2] - centerX) * scale + (random() - 0.5) * 0.4;
+            positions[i * 3 + 1] = (centerY - points[p * 2 + 1]) * scale + (random() - 0.5) * 0.4;
+            positions[i * 3 + 2] = (random() - 0.5) * Math.max(depth, 0.5);
+
+            colors[i * 3] = source.colors[p * 3];
+            colors[i * 3 + 1] = source.colors[p * 3 + 1];
+            colors[i * 3 + 2] = source.colors[p * 3 + 2];
+        }
+
+        return { positions, colors };
+    }
+}
+
+/**
+ * Image pattern; hidden from the grid until something has been imported
+ */
+function registerImagePattern(hidden) {
+    PatternGenerator.register('image', (count, params, random) => {
+        return ImageSampler.sample(params.src, count, params, random) || PatternGenerator.sphere(count);
+    }, {
+        displayName: 'Image',
+        description: 'Imported image or SVG',
+        category: 'custom',
+        params: [
+            { name: 'size', label: 'Size', min: 40, max: 200, step: 1, default: 110 },
+            { name: 'depth', label: 'Depth', min: 0, max: 40, step: 1, default: 6 },
+            { name: 'contrast', label: 'Contrast', min: 0.5, max: 3, step: 0.1, default: 1 }
+        ],
+        defaultParams: { src: null },
+        icon: '<svg viewBox="0 0 40 40"><rect x="5" y="8" width="30" height="24" rx="2" fill="none" stroke="currentColor" stroke-width="2"/><circle cx="14" cy="16" r="3" fill="currentColor"/><path d="M7 30 L16 22 L22 27 L27 21 L33 28" fill="none" stroke="currentColor" stroke-width="1.5"/></svg>',
+        hidden,
+        randomize: false
+    });
+}
+
+registerImagePattern(true);
+
+ImageSampler.onReady(() => {
+    if (PatternGenerator.getPatternMeta('image').hidden) registerImagePattern(false);
+});
@@ -0,0 +1,313 @@
+/**
+ * ModelSampler - Loads OBJ, PLY and glTF/GLB files and spreads particles over their surfaces
+ * Triangles are picked by area so density is even, then normalized to the ~50-unit radius the
+ * built-in shapes use. Files are kept in IndexedDB so presets can reference them across reloads
+ */
+
+import { PatternGenerator } from './PatternGenerator.js';
+
+const DB_NAME = 'aether-models';
+const STORE_NAME = 'models';
+const TARGET_RADIUS = 50;
+
+// Parsed models keyed by id, plus loads in flight
+const models = new Map();
+const pending = new Map();
+const readyListeners = new Set();
+
+let dbPromise = null;
+
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return dbPromise;
+}
+
+async function runTransaction(mode, action) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const request = action(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+export class ModelSampler {
+    static isSupported() {
+        return typeof indexedDB !== 'undefined' && typeof THREE.OBJLoader !== 'undefined';
+    }
+
+    /**
+     * Parse an uploaded model, store it in IndexedDB and make it available to the model pattern
+     * @returns {Promise<{id: string, name: string}>} id to store in the pattern's `model` param
+     */
+    static async load(file) {
+        const format = ModelSampler.getFormat(file.name);
+        if (!format) {
+            throw new Error(`Unsupported model format: ${file.name}`);
+        }
+
+        const data = await file.arrayBuffer();
+        const id = `${format}-${ModelSampler.hashBuffer(data)}`;
+
+        if (!models.has(id)) {
+            models.set(id, await ModelSampler.parse(data, format, file.name));
+        }
+        await runTransaction('readwrite', store => store.put({ id, name: file.name, format, data, created: Date.now() }));
+
+        readyListeners.forEach(listener => listener(id));
+        return { id, name: file.name };
+    }
+
+    /**
+     * Stored models for the model picker, newest first
+     */
+    static async listModels() {
+        const records = await runTransaction('readonly', store => store.getAll());
+        return records
+            .sort((a, b) => b.created - a.created)
+            .map(({ id, name }) => ({ id, name }));
+    }
+
+    /**
+     * Bring a stored model into memory (used when a preset or the picker references it)
+     */
+    static loadStored(id) {
+        if (models.has(id)) return Promise.resolve(id);
+        if (pending.has(id)) return pending.get(id);
+
+        const promise = runTransaction('readonly', store => store.get(id))
+            .then(async record => {
+                if (!record) throw new Error(`Model ${id} is not in this browser's storage`);
+                models.set(id, await ModelSampler.parse(record.data, record.format, record.name));
+                readyListeners.forEach(listener => listener(id));
+                return id;
+            })
+            .finally(() => pending.delete(id));
+
+        pending.set(id, promise);
+        return promise;
+    }
+
+    static async deleteModel(id) {
+        models.delete(id);
+        await runTransaction('readwrite', store => store.delete(id));
+    }
+
+    /**
+     * Call listener(id) when a model finishes loading
+     */
+    static onReady(listener) {
+        readyListeners.add(listener);
+        return () => readyListeners.delete(listener);
+    }
+
+    static getFormat(fileName) {
+        const extension = fileName.split('.').pop().toLowerCase();
+        return { obj: 'obj', ply: 'ply', glb: 'gltf', gltf: 'gltf' }[extension] || null;
+    }
+
+    /**
+     * FNV-1a over the file bytes, so re-importing the same file reuses its entry
+     */
+    static hashBuffer(buffer) {
+        const bytes = new Uint8Array(buffer);
+        let hash = 2166136261;
+        for (let i = 0; i < bytes.length; i++) {
+            hash ^= bytes[i];
+            hash = Math.imul(hash, 16777619);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+
+    /**
+     * Parse file data into normalized triangles (or points, for PLY point clouds) with an area table
+     */
+    static async parse(data, format, name) {
+        const object = await ModelSampler.parseObject(data, format);
+        const { triangles, points } = ModelSampler.extractGeometry(object);
+
+        if (triangles.length === 0 && points.length === 0) {
+            throw new Error(`${name} has no geometry`);
+        }
+
+        const vertices = triangles.length > 0 ? triangles : points;
+        PatternGenerator.fitToSize(vertices, TARGET_RADIUS);
+
+        const model = { name, triangles: null, points: null, cdf: null, totalArea: 0 };
+        if (triangles.length > 0) {
+            model.triangles = Float32Array.from(triangles);
+            model.cdf = ModelSampler.buildAreaTable(model.triangles);
+            model.totalArea = model.cdf[model.cdf.length - 1];
+        } else {
+            model.points = Float32Array.from(points);
+        }
+        return model;
+    }
+
+    static parseObject(data, format) {
+        switch (format) {
+            case 'obj':
+                return Promise.resolve(new THREE.OBJLoader().parse(new TextDecoder().decode(data)));
+
+            case 'ply': {
+                const geometry = new THREE.PLYLoader().parse(data);
+                // Faceless PLY files are point clouds
+                return Promise.resolve(geometry.index ? new THREE.Mesh(geometry) : new THREE.Points(geometry));
+            }
+
+            case 'gltf':
+                // Only self-contained files work (GLB, or .gltf with embedded buffers)
+                return new Promise((resolve, reject) => {
+                    new THREE.GLTFLoader().parse(data, '', gltf => resolve(gltf.scene), reject);
+                });
+        }
+        return Promise.reject(new Error(`Unknown format ${format}`));
+    }
+
+    /**
+     * World-space triangle soup from every mesh, plus vertices of point objects
+     */
+    static extractGeometry(object) {
+        const triangles = [];
+        const points = [];
+        const vertex = new THREE.Vector3();
+
+        object.updateMatrixWorld(true);
+        object.traverse(child => {
+            if (!child.geometry || !child.geometry.attributes.position) return;
+
+            const position = child.geometry.attributes.position;
+            const index = child.geometry.index;
+            const readVertex = (i, target) => {
+                vertex.fromBufferAttribute(position, i).applyMatrix4(child.matrixWorld);
+                target.push(vertex.x, vertex.y, vertex.z);
+            };
+
+            if (child.isMesh) {
+                const vertexCount = index ? index.count : position.count;
+                for (let i = 0; i + 2 < vertexCount; i += 3) {
+                    for (let k = 0; k < 3; k++) {
+                        readVertex(index ? index.getX(i + k) : i + k, triangles);
+                    }
+                }
+            } else if (child.isPoints) {
+                for (let i = 0; i < position.count; i++) {
+                    readVertex(i, points);
+                }
+            }
+        });
+
+        return { triangles, points };
+    }
+
+    /**
+     * Cumulative triangle areas for area-weighted picking
+     */
+    static buildAreaTable(triangles) {
+        const count = triangles.length / 9;
+        const cdf = new Float64Array(count);
+        let total = 0;
+
+        for (let t = 0; t < count; t++) {
+            const o = t * 9;
+            const abx = triangles[o + 3] - triangles[o], aby = triangles[o + 4] - triangles[o + 1], abz = triangles[o + 5] - triangles[o + 2];
+            const acx = triangles[o + 6] - triangles[o], acy = triangles[o + 7] - triangles[o + 1], acz = triangles[o + 8] - triangles[o + 2];
+            const cx = aby * acz - abz * acy;
+            const cy = abz * acx - abx * acz;
+            const cz = abx * acy - aby * acx;
+            total += Math.sqrt(cx * cx + cy * cy + cz * cz) / 2;
+            cdf[t] = total;
+        }
+
+        return cdf;
+    }
+
+    /**
+     * Sample count surface points from a loaded model
+     * @returns {Float32Array|null} Null until the model is loaded
+     */
+    static sample(id, count, { size }, random) {
+        const model = models.get(id);
+        if (!model) {
+            // Presets reference models by id; pull them from IndexedDB and re-morph when ready
+            if (id) ModelSampler.loadStored(id).catch(error => console.warn('Model pattern:', error.message));
+            return null;
+        }
+
+        const scale = size / TARGET_RADIUS;
+        const positions = new Float32Array(count * 3);
+
+        if (!model.triangles) {
+            const pointCount = model.points.length / 3;
+            for (let i = 0; i < count; i++) {
+                const p = Math.min(pointCount - 1, Math.floor((i + random()) * pointCount / count));
+                positions[i * 3] = model.points[p * 3] * scale;
+                positions[i * 3 + 1] = model.points[p * 3 + 1] * scale;
+                positions[i * 3 + 2] = model.points[p * 3 + 2] * scale;
+            }
+            return positions;
+        }
+
+        const { triangles, cdf, totalArea } = model;
+        for (let i = 0; i < count; i++) {
+            // Stratified area-weighted triangle pick
+            const target = ((i + random()) / count) * totalArea;
+            let low = 0;
+            let high = cdf.length - 1;
+            while (low < high) {
+                const mid = (low + high) >> 1;
+                if (cdf[mid] < target) low = mid + 1;
+                else high = mid;
+            }
+
+            // Uniform point inside the triangle
+            const r1 = Math.sqrt(random());
+            const r2 = random();
+            const a = 1 - r1;
+            const b = r1 * (1 - r2);
+            const c = r1 * r2;
+            const o = low * 9;
+
+            positions[i * 3] = (a * triangles[o] + b * triangles[o + 3] + c * triangles[o + 6]) * scale;
+            positions[i * 3 + 1] = (a * triangles[o + 1] + b * triangles[o + 4] + c * triangles[o + 7]) * scale;
+            positions[i * 3 + 2] = (a * triangles[o + 2] + b * triangles[o + 5] + c * triangles[o + 8]) * scale;
+        }
+
+        return positions;
+    }
+}
+
+/**
+ * Model pattern; hidden from the grid until a model has been loaded
+ */
+function registerModelPattern(hidden) {
+    PatternGenerator.register('model', (count, params, random) => {
+        return ModelSampler.sample(params.model, count, params, random) || PatternGenerator.sphere(count);
+    }, {
+        displayName: 'Model',
+        description: 'Imported 3D model (OBJ, PLY, glTF)',
+        category: 'custom',
+        params: [
+            { name: 'size', label: 'Size', min: 20, max: 90, step: 1, default: 50 }
+        ],
+        defaultParams: { model: null },
+        icon: '<svg viewBox="0 0 40 40"><path d="M20 4 L35 12 L35 28 L20 36 L5 28 L5 12 Z" fill="none" stroke="currentColor" stroke-width="2"/><path d="M5 12 L20 20 L35 12 M20 20 L20 36" fill="none" stroke="currentColor" stroke-width="1.5"/></svg>',
+        hidden,
+        randomize: false
+    });
+}
+
+registerModelPattern(true);
+
+ModelSampler.onReady(() => {
+    if (PatternGenerator.getPatternMeta('model').hidden) registerModelPattern(false);
+});
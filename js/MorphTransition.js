@@ -0,0 +1,338 @@
+/**
+ * MorphTransition - Animated paths from one pattern to the next
+ * A transition moves every particle's target from its old spot to its new one over the style's
+ * duration; the spring physics then chases those moving targets on whichever backend is active.
+ * matchPoints() pairs old and new points along a Hilbert curve so particles travel to nearby spots
+ */
+
+const TWO_PI = Math.PI * 2;
+const HILBERT_BITS = 10; // Per axis, so keys stay exact in a double (30 bits)
+const FLOOR_Y = -70;
+
+export const EASINGS = {
+    linear: t => t,
+    easeIn: t => t * t * t,
+    easeOut: t => 1 - Math.pow(1 - t, 3),
+    easeInOut: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+    backOut: t => 1 + 2.70158 * Math.pow(t - 1, 3) + 1.70158 * Math.pow(t - 1, 2),
+    elasticOut: t => (t === 0 || t === 1 ? t : Math.pow(2, -10 * t) * Math.sin((t * 10 - 0.75) * TWO_PI / 3) + 1)
+};
+
+/**
+ * Transition styles
+ * duration (s) and easing are defaults the panel can override; spread is the share of the
+ * duration used to stagger particles by delay() (0..1); path() writes one particle's target
+ * for its eased progress t
+ */
+export const MORPH_STYLES = {
+    spring: {
+        displayName: 'Spring',
+        description: 'Targets switch at once and particles spring over (classic)',
+        duration: 0,
+        easing: 'linear'
+    },
+    explode: {
+        displayName: 'Explode',
+        description: 'Blast outward into a shell, then reform',
+        duration: 2.2,
+        easing: 'easeInOut',
+        spread: 0.15,
+        delay: (ctx, i) => ctx.jitter[i],
+        path(ctx, i3, t, out) {
+            const radius = ctx.maxRadius * 1.7;
+            const burstX = ctx.directions[i3] * radius;
+            const burstY = ctx.directions[i3 + 1] * radius;
+            const burstZ = ctx.directions[i3 + 2] * radius;
+
+            if (t < 0.4) {
+                const s = t / 0.4;
+                lerpInto(out, i3, ctx.from[i3], ctx.from[i3 + 1], ctx.from[i3 + 2], burstX, burstY, burstZ, s);
+            } else {
+                const s = (t - 0.4) / 0.6;
+                lerpInto(out, i3, burstX, burstY, burstZ, ctx.to[i3], ctx.to[i3 + 1], ctx.to[i3 + 2], s);
+            }
+        }
+    },
+    dissolve: {
+        displayName: 'Dissolve',
+        description: 'Scatter into a drifting cloud on the way over',
+        duration: 2.5,
+        easing: 'easeInOut',
+        spread: 0.3,
+        delay: (ctx, i) => ctx.jitter[i],
+        path(ctx, i3, t, out) {
+            const { from, to, directions } = ctx;
+            const cloud = Math.sin(Math.PI * t) * ctx.maxRadius * 0.6;
+            out[i3] = from[i3] + (to[i3] - from[i3]) * t + directions[i3] * cloud;
+            out[i3 + 1] = from[i3 + 1] + (to[i3 + 1] - from[i3 + 1]) * t + directions[i3 + 1] * cloud;
+            out[i3 + 2] = from[i3 + 2] + (to[i3 + 2] - from[i3 + 2]) * t + directions[i3 + 2] * cloud;
+        }
+    },
+    swirl: {
+        displayName: 'Swirl',
+        description: 'Spin through a vortex around the vertical axis',
+        duration: 2.8,
+        easing: 'easeInOut',
+        spread: 0.1,
+        delay: (ctx, i) => ctx.jitter[i],
+        path(ctx, i3, t, out) {
+            const { from, to } = ctx;
+            const x = from[i3] + (to[i3] - from[i3]) * t;
+            const y = from[i3 + 1] + (to[i3 + 1] - from[i3 + 1]) * t;
+            const z = from[i3 + 2] + (to[i3 + 2] - from[i3 + 2]) * t;
+
+            // One full turn, twisted by height and pulled in mid-way
+            const bulge = Math.sin(Math.PI * t);
+            const angle = TWO_PI * t + bulge * y * 0.04;
+            const pull = 1 - bulge * 0.4;
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
+            out[i3] = (x * cos - z * sin) * pull;
+            out[i3 + 1] = y + bulge * 10;
+            out[i3 + 2] = (x * sin + z * cos) * pull;
+        }
+    },
+    staggerIndex: {
+        displayName: 'Stagger (Index)',
+        description: 'Particles leave one after another in index order',
+        duration: 3,
+        easing: 'easeOut',
+        spread: 0.7,
+        delay: (ctx, i) => i / ctx.count,
+        path: linearPath
+    },
+    staggerDistance: {
+        displayName: 'Stagger (Distance)',
+        description: 'The new shape fills in from its center outward',
+        duration: 3,
+        easing: 'easeOut',
+        spread: 0.7,
+        delay: (ctx, i) => ctx.distances[i],
+        path: linearPath
+    },
+    gravity: {
+        displayName: 'Gravity Drop',
+        description: 'Fall to the floor, then build the new shape bottom-up',
+        duration: 3.2,
+        easing: 'easeInOut',
+        spread: 0.35,
+        delay: (ctx, i) => ctx.heights[i],
+        path(ctx, i3, t, out) {
+            const { from, to } = ctx;
+            if (t < 0.5) {
+                // Accelerating fall, keeping x/z
+                const s = t * 2;
+                out[i3] = from[i3];
+                out[i3 + 1] = from[i3 + 1] + (FLOOR_Y - from[i3 + 1]) * s * s;
+                out[i3 + 2] = from[i3 + 2];
+            } else {
+                // Slide to the new footprint while rising into place
+                const s = (t - 0.5) * 2;
+                const rise = 1 - (1 - s) * (1 - s);
+                out[i3] = from[i3] + (to[i3] - from[i3]) * s;
+                out[i3 + 1] = FLOOR_Y + (to[i3 + 1] - FLOOR_Y) * rise;
+                out[i3 + 2] = from[i3 + 2] + (to[i3 + 2] - from[i3 + 2]) * s;
+            }
+        }
+    }
+};
+
+function lerpInto(out, i3, ax, ay, az, bx, by, bz, t) {
+    out[i3] = ax + (bx - ax) * t;
+    out[i3 + 1] = ay + (by - ay) * t;
+    out[i3 + 2] = az + (bz - az) * t;
+}
+
+function linearPath(ctx, i3, t, out) {
+    const { from, to } = ctx;
+    lerpInto(out, i3, from[i3], from[i3 + 1], from[i3 + 2], to[i3], to[i3 + 1], to[i3 + 2], t);
+}
+
+/**
+ * Position along a 3D Hilbert curve (Skilling's transpose algorithm)
+ */
+function hilbertKey(x, y, z) {
+    const axes = [x, y, z];
+    const top = 1 << (HILBERT_BITS - 1);
+
+    // Inverse undo excess work
+    for (let q = top; q > 1; q >>= 1) {
+        const p = q - 1;
+        for (let i = 0; i < 3; i++) {
+            if (axes[i] & q) {
+                axes[0] ^= p;
+            } else {
+                const t = (axes[0] ^ axes[i]) & p;
+                axes[0] ^= t;
+                axes[i] ^= t;
+            }
+        }
+    }
+
+    // Gray encode
+    axes[1] ^= axes[0];
+    axes[2] ^= axes[1];
+    let t = 0;
+    for (let q = top; q > 1; q >>= 1) {
+        if (axes[2] & q) t ^= q - 1;
+    }
+    for (let i = 0; i < 3; i++) axes[i] ^= t;
+
+    // Interleave the transposed bits into one key
+    let key = 0;
+    for (let b = HILBERT_BITS - 1; b >= 0; b--) {
+        for (let i = 0; i < 3; i++) {
+            key = key * 2 + ((axes[i] >> b) & 1);
+        }
+    }
+    return key;
+}
+
+/**
+ * Particle indices ordered along the curve, in a cube shared by both clouds
+ */
+function curveOrder(positions, count, min, cellSize) {
+    const keys = new Float64Array(count);
+    const max = (1 << HILBERT_BITS) - 1;
+    const cell = v => Math.max(0, Math.min(max, Math.floor(v)));
+
+    for (let i = 0; i < count; i++) {
+        keys[i] = hilbertKey(
+            cell((positions[i * 3] - min) / cellSize),
+            cell((positions[i * 3 + 1] - min) / cellSize),
+            cell((positions[i * 3 + 2] - min) / cellSize)
+        );
+    }
+
+    const order = new Uint32Array(count);
+    for (let i = 0; i < count; i++) order[i] = i;
+    return order.sort((a, b) => keys[a] - keys[b] || a - b);
+}
+
+export class MorphTransition {
+    /**
+     * Reorder `to` so particle i heads for the new point nearest its old spot along a Hilbert curve,
+     * which keeps paths short and mostly parallel instead of criss-crossing
+     * @returns {{positions: Float32Array, order: Uint32Array}} order[i] is the source index in `to`
+     */
+    static matchPoints(from, to) {
+        const count = Math.min(from.length, to.length) / 3;
+        let min = Infinity;
+        let max = -Infinity;
+        for (let i = 0; i < count * 3; i++) {
+            min = Math.min(min, from[i], to[i]);
+            max = Math.max(max, from[i], to[i]);
+        }
+        const cellSize = Math.max(max - min, 1e-6) / (1 << HILBERT_BITS);
+
+        const fromOrder = curveOrder(from, count, min, cellSize);
+        const toOrder = curveOrder(to, count, min, cellSize);
+
+        const order = new Uint32Array(count);
+        for (let k = 0; k < count; k++) {
+            order[fromOrder[k]] = toOrder[k];
+        }
+
+        return { positions: MorphTransition.reorder(to, order, 3), order };
+    }
+
+    /**
+     * Apply a matchPoints() order to any per-particle array (positions, colors)
+     */
+    static reorder(source, order, stride) {
+        const result = new Float32Array(source.length);
+        for (let i = 0; i < order.length; i++) {
+            for (let k = 0; k < stride; k++) {
+                result[i * stride + k] = source[order[i] * stride + k];
+            }
+        }
+        return result;
+    }
+
+    /**
+     * @param {Float32Array} from - Targets the particles were chasing when the pattern changed
+     * @param {Float32Array} to - New pattern positions
+     * @param {string} style - Key of MORPH_STYLES
+     * @param {Object} [options] - duration (s) and easing overrides
+     * @param {Function} [random] - Random source for per-particle scatter (seeded runs pass theirs)
+     */
+    constructor(from, to, style, { duration, easing } = {}, random = Math.random) {
+        this.style = MORPH_STYLES[style] || MORPH_STYLES.dissolve;
+        this.duration = duration ?? this.style.duration;
+        this.easing = EASINGS[easing] || EASINGS[this.style.easing];
+        this.elapsed = 0;
+
+        const count = to.length / 3;
+        this.context = {
+            from,
+            to,
+            count,
+            maxRadius: 1,
+            directions: new Float32Array(count * 3),
+            jitter: new Float32Array(count),
+            distances: new Float32Array(count),
+            heights: new Float32Array(count)
+        };
+        this.targets = new Float32Array(from);
+        this.prepare(random);
+    }
+
+    /**
+     * Per-particle scatter directions and stagger inputs, normalized to 0..1
+     */
+    prepare(random) {
+        const ctx = this.context;
+        const { to, count } = ctx;
+        let minY = Infinity;
+        let maxY = -Infinity;
+
+        for (let i = 0; i < count; i++) {
+            const i3 = i * 3;
+            const theta = random() * TWO_PI;
+            const phi = Math.acos(2 * random() - 1);
+            ctx.directions[i3] = Math.sin(phi) * Math.cos(theta);
+            ctx.directions[i3 + 1] = Math.sin(phi) * Math.sin(theta);
+            ctx.directions[i3 + 2] = Math.cos(phi);
+            ctx.jitter[i] = random();
+
+            ctx.distances[i] = Math.sqrt(to[i3] * to[i3] + to[i3 + 1] * to[i3 + 1] + to[i3 + 2] * to[i3 + 2]);
+            ctx.maxRadius = Math.max(ctx.maxRadius, ctx.distances[i]);
+            minY = Math.min(minY, to[i3 + 1]);
+            maxY = Math.max(maxY, to[i3 + 1]);
+        }
+
+        const height = Math.max(maxY - minY, 1e-6);
+        for (let i = 0; i < count; i++) {
+            ctx.distances[i] /= ctx.maxRadius;
+            ctx.heights[i] = (to[i * 3 + 1] - minY) / height;
+        }
+    }
+
+    /**
+     * Point the transition at regenerated positions (pattern params changed mid-morph)
+     */
+    setTarget(to) {
+        if (to.length === this.context.to.length) {
+            this.context.to = to;
+        }
+    }
+
+    /**
+     * Advance by deltaTime seconds and rewrite targets
+     * @returns {boolean} False once the transition has finished
+     */
+    update(deltaTime) {
+        this.elapsed += deltaTime;
+        const progress = this.duration > 0 ? Math.min(1, this.elapsed / this.duration) : 1;
+        const { spread = 0, delay, path } = this.style;
+        const ctx = this.context;
+
+        for (let i = 0; i < ctx.count; i++) {
+            const start = delay ? delay(ctx, i) * spread : 0;
+            const local = Math.max(0, Math.min(1, (progress - start) / (1 - spread)));
+            path(ctx, i * 3, this.easing(local), this.targets);
+        }
+
+        return progress < 1;
+    }
+}
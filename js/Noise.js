@@ -0,0 +1,385 @@
+/**
+ * Noise - 3D simplex noise with analytic gradient, and the divergence-free curl noise built on it
+ * (single and multi-octave, exact or from a cached lattice)
+ * The JS and GLSL versions are the same algorithm (Ashima Arts / Stefan Gustavson's webgl-noise),
+ * so the CPU, worker and GPU backends see the same flow
+ */
+
+// The mod-289 permutation polynomial (34x^2 + 10x) mod 289, tabulated; it repeats every 289, and
+// nested lookups never index past 3 * 289
+const mod289 = x => ((x % 289) + 289) % 289;
+const PERMUTATION = Uint16Array.from({ length: 289 * 3 }, (_, i) => ((i % 289) * 34 + 10) * (i % 289) % 289);
+const hash = (x, y, z) => PERMUTATION[PERMUTATION[PERMUTATION[z] + y] + x];
+
+// Corner sums [value, dx, dy, dz], reused so the per-particle hot path doesn't allocate
+const sum = new Float64Array(4);
+const potentialA = new Float64Array(3);
+const potentialB = new Float64Array(3);
+const potentialC = new Float64Array(3);
+const octave = new Float64Array(3);
+const cornerFlow = new Float64Array(3);
+
+export const MAX_NOISE_OCTAVES = 4;
+
+// Each octave is shifted by this much so they don't share a lattice origin
+const OCTAVE_SHIFT = 17.17;
+
+/**
+ * Add one simplex corner's contribution: hash to one of 49 gradients spread over an
+ * octahedron, weighted by (0.5 - r^2)^4
+ */
+function addCorner(cx, cy, cz, hash) {
+    const m = 0.5 - (cx * cx + cy * cy + cz * cz);
+    if (m <= 0) return;
+
+    const j = hash % 49;
+    const row = (j / 7) | 0;
+    const ox = row * (2 / 7) + 1 / 14 - 1;
+    const oy = (j - 7 * row) * (2 / 7) + 1 / 14 - 1;
+    const h = 1 - Math.abs(ox) - Math.abs(oy);
+
+    // Points outside the octahedron fold back onto its lower half
+    let px = h <= 0 ? ox - (ox < 0 ? -1 : 1) : ox;
+    let py = h <= 0 ? oy - (oy < 0 ? -1 : 1) : oy;
+    let pz = h;
+    const norm = 1.79284291400159 - 0.85373472095314 * (px * px + py * py + pz * pz);
+    px *= norm;
+    py *= norm;
+    pz *= norm;
+
+    const m2 = m * m;
+    const m4 = m2 * m2;
+    const dot = px * cx + py * cy + pz * cz;
+    const falloff = -8 * m2 * m * dot;
+
+    sum[0] += m4 * dot;
+    sum[1] += falloff * cx + m4 * px;
+    sum[2] += falloff * cy + m4 * py;
+    sum[3] += falloff * cz + m4 * pz;
+}
+
+export class Noise {
+    /**
+     * Simplex noise in roughly [-1, 1]
+     * @param {Float64Array|Array} [gradient] - Receives d(noise)/d(x, y, z) when given
+     */
+    static simplex3(x, y, z, gradient = null) {
+        // Skew to the simplex grid and find the first corner
+        const s = (x + y + z) / 3;
+        const ix = Math.floor(x + s);
+        const iy = Math.floor(y + s);
+        const iz = Math.floor(z + s);
+        const t = (ix + iy + iz) / 6;
+        const x0 = x - ix + t;
+        const y0 = y - iy + t;
+        const z0 = z - iz + t;
+
+        // Which of the six tetrahedra we're in decides the middle two corners
+        const gx = x0 >= y0 ? 1 : 0;
+        const gy = y0 >= z0 ? 1 : 0;
+        const gz = z0 >= x0 ? 1 : 0;
+        const i1x = Math.min(gx, 1 - gz), i1y = Math.min(gy, 1 - gx), i1z = Math.min(gz, 1 - gy);
+        const i2x = Math.max(gx, 1 - gz), i2y = Math.max(gy, 1 - gx), i2z = Math.max(gz, 1 - gy);
+
+        const mx = mod289(ix);
+        const my = mod289(iy);
+        const mz = mod289(iz);
+
+        sum.fill(0);
+        addCorner(x0, y0, z0, hash(mx, my, mz));
+        addCorner(x0 - i1x + 1 / 6, y0 - i1y + 1 / 6, z0 - i1z + 1 / 6, hash(mx + i1x, my + i1y, mz + i1z));
+        addCorner(x0 - i2x + 1 / 3, y0 - i2y + 1 / 3, z0 - i2z + 1 / 3, hash(mx + i2x, my + i2y, mz + i2z));
+        addCorner(x0 - 0.5, y0 - 0.5, z0 - 0.5, hash(mx + 1, my + 1, mz + 1));
+
+        if (gradient) {
+            gradient[0] = sum[1] * 105;
+            gradient[1] = sum[2] * 105;
+            gradient[2] = sum[3] * 105;
+        }
+        return sum[0] * 105;
+    }
+
+    /**
+     * Curl of a three-component simplex potential: a swirling, divergence-free flow
+     * @param {Float64Array|Array} out - Receives the flow vector
+     */
+    static curl3(x, y, z, out) {
+        const a = potentialA, b = potentialB, c = potentialC;
+        Noise.simplex3(x, y, z, a);
+        Noise.simplex3(x + 31.416, y - 47.853, z + 12.793, b);
+        Noise.simplex3(x - 233.145, y - 113.408, z - 185.31, c);
+
+        out[0] = c[1] - b[2];
+        out[1] = a[2] - c[0];
+        out[2] = b[0] - a[1];
+        return out;
+    }
+
+    /**
+     * Curl noise summed over octaves (each double the frequency and half the weight), scaled back
+     * to one octave's range. A sum of curls is still a curl, so it stays divergence-free
+     * @param {number} octaves - 1 to MAX_NOISE_OCTAVES
+     */
+    static fractalCurl3(x, y, z, octaves, out) {
+        const layers = Math.max(1, Math.min(MAX_NOISE_OCTAVES, Math.round(octaves)));
+        let sx = 0, sy = 0, sz = 0;
+        let frequency = 1, amplitude = 1, total = 0;
+
+        for (let o = 0; o < layers; o++) {
+            const shift = o * OCTAVE_SHIFT;
+            Noise.curl3(x * frequency + shift, y * frequency + shift, z * frequency + shift, octave);
+            sx += octave[0] * amplitude;
+            sy += octave[1] * amplitude;
+            sz += octave[2] * amplitude;
+            total += amplitude;
+            frequency *= 2;
+            amplitude *= 0.5;
+        }
+
+        out[0] = sx / total;
+        out[1] = sy / total;
+        out[2] = sz / total;
+        return out;
+    }
+}
+
+// Lattice spacing in noise units for one octave, and the most corners per axis. One octave over a
+// cloud up to 3.5 noise units wide (radius ~85 at the default noise scale) interpolates the curl
+// within ~11%. Wider clouds and extra octaves would need more corners than the cap allows, so their
+// cells are coarser: measured error is ~10-20% at 2-4 octaves over radius 60 and up to ~35% at
+// 4 octaves over radius 100
+const LATTICE_SPACING = 0.125;
+const MAX_LATTICE_SIZE = 32;
+
+/**
+ * CurlLattice - fractalCurl3 sampled on a grid fitted around a point cloud and trilinearly
+ * interpolated, for when the exact flow at every particle costs too much
+ * Corners are evaluated on first use, so only cells that hold particles cost anything. The grid
+ * covers every point passed to fit(); points outside it take its edge value
+ */
+export class CurlLattice {
+    constructor() {
+        this.values = new Float64Array(0);
+        this.stamps = new Uint32Array(0);
+        this.stamp = 0;
+        this.key = null;
+        this.size = [0, 0, 0];
+        this.origin = [0, 0, 0];
+        this.spacing = [1, 1, 1];
+        this.scale = 1;
+        this.offset = 0;
+        this.octaves = 1;
+    }
+
+    /**
+     * Fit the grid around the cloud, forgetting the old samples when the grid has to change: the
+     * flow moved (scale, offset, octaves) or the cloud's bounds crossed a grid line. The grid is
+     * snapped to multiples of its spacing, so the same bounds always give the same samples
+     * @param {Float32Array} positions - Point cloud, in the caller's space
+     * @param {number} scale - Noise-space units per unit of the caller's space
+     * @param {number} offset - Added to every noise-space coordinate (time drift and seed)
+     */
+    fit(positions, count, scale, offset, octaves) {
+        let minX = Infinity, minY = Infinity, minZ = Infinity;
+        let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+        for (let i = 0; i < count * 3; i += 3) {
+            const x = positions[i], y = positions[i + 1], z = positions[i + 2];
+            if (x < minX) minX = x;
+            if (x > maxX) maxX = x;
+            if (y < minY) minY = y;
+            if (y > maxY) maxY = y;
+            if (z < minZ) minZ = z;
+            if (z > maxZ) maxZ = z;
+        }
+        if (count === 0) minX = minY = minZ = maxX = maxY = maxZ = 0;
+
+        // Finer grid for more octaves, so the small detail isn't smoothed away. Bounds in grid
+        // lines, at the finest spacing; wider clouds get a coarser grid so it stays within bounds
+        const spacing = LATTICE_SPACING / 2 ** (Math.max(1, Math.round(octaves)) - 1);
+        const lines = [[minX, maxX], [minY, maxY], [minZ, maxZ]].map(([low, high]) => [
+            Math.floor((low * scale + offset) / spacing),
+            Math.ceil((high * scale + offset) / spacing)
+        ]);
+
+        const key = `${scale}:${offset}:${octaves}:${lines.flat().join(',')}`;
+        if (key === this.key) return;
+        this.key = key;
+        this.scale = scale;
+        this.offset = offset;
+        this.octaves = octaves;
+
+        // One cell of margin on each side
+        lines.forEach(([low, high], axis) => {
+            const coarsen = Math.max(1, (high - low) / (MAX_LATTICE_SIZE - 4));
+            const first = Math.floor(low / coarsen);
+            const last = Math.ceil(high / coarsen);
+            this.spacing[axis] = spacing * coarsen;
+            this.origin[axis] = (first - 1) * this.spacing[axis];
+            this.size[axis] = last - first + 3;
+        });
+
+        const corners = this.size[0] * this.size[1] * this.size[2];
+        if (this.stamps.length < corners) {
+            this.values = new Float64Array(corners * 3);
+            this.stamps = new Uint32Array(corners);
+            this.stamp = 0;
+        }
+        this.stamp++;
+    }
+
+    /**
+     * Forget the fit and its samples, so the next fit starts from scratch
+     */
+    reset() {
+        this.key = null;
+        this.stamps.fill(0);
+        this.stamp = 0;
+    }
+
+    /**
+     * Flow at a point in the caller's space
+     * @param {Float64Array|Array} out - Receives the flow vector
+     */
+    sample(x, y, z, out) {
+        const [sizeX, sizeY, sizeZ] = this.size;
+        const gx = Math.min(Math.max((x * this.scale + this.offset - this.origin[0]) / this.spacing[0], 0), sizeX - 1.001);
+        const gy = Math.min(Math.max((y * this.scale + this.offset - this.origin[1]) / this.spacing[1], 0), sizeY - 1.001);
+        const gz = Math.min(Math.max((z * this.scale + this.offset - this.origin[2]) / this.spacing[2], 0), sizeZ - 1.001);
+        const ix = gx | 0, iy = gy | 0, iz = gz | 0;
+        const fx = gx - ix, fy = gy - iy, fz = gz - iz;
+
+        out[0] = out[1] = out[2] = 0;
+        for (let corner = 0; corner < 8; corner++) {
+            const cx = corner & 1, cy = (corner >> 1) & 1, cz = corner >> 2;
+            const weight = (cx ? fx : 1 - fx) * (cy ? fy : 1 - fy) * (cz ? fz : 1 - fz);
+            const index = this.corner(ix + cx, iy + cy, iz + cz);
+            out[0] += this.values[index] * weight;
+            out[1] += this.values[index + 1] * weight;
+            out[2] += this.values[index + 2] * weight;
+        }
+        return out;
+    }
+
+    /**
+     * Offset of a corner's flow in values, sampling it first if this fit hasn't yet
+     */
+    corner(ix, iy, iz) {
+        const corner = (iz * this.size[1] + iy) * this.size[0] + ix;
+        const index = corner * 3;
+        if (this.stamps[corner] !== this.stamp) {
+            this.stamps[corner] = this.stamp;
+            Noise.fractalCurl3(
+                this.origin[0] + ix * this.spacing[0],
+                this.origin[1] + iy * this.spacing[1],
+                this.origin[2] + iz * this.spacing[2],
+                this.octaves, cornerFlow
+            );
+            this.values[index] = cornerFlow[0];
+            this.values[index + 1] = cornerFlow[1];
+            this.values[index + 2] = cornerFlow[2];
+        }
+        return index;
+    }
+}
+
+/**
+ * GLSL twin of Noise: float snoise(vec3 v, out vec3 gradient), vec3 curlNoise(vec3 p) and
+ * vec3 fractalCurlNoise(vec3 p, float octaves)
+ */
+export const NOISE_GLSL = `
+    vec3 mod289(vec3 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
+    vec4 mod289(vec4 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
+    vec4 permute(vec4 x) { return mod289(((x * 34.0) + 10.0) * x); }
+    vec4 taylorInvSqrt(vec4 r) { return 1.79284291400159 - 0.85373472095314 * r; }
+
+    float snoise(vec3 v, out vec3 gradient) {
+        const vec2 C = vec2(1.0 / 6.0, 1.0 / 3.0);
+        const vec4 D = vec4(0.0, 0.5, 1.0, 2.0);
+
+        vec3 i = floor(v + dot(v, C.yyy));
+        vec3 x0 = v - i + dot(i, C.xxx);
+
+        vec3 g = step(x0.yzx, x0.xyz);
+        vec3 l = 1.0 - g;
+        vec3 i1 = min(g.xyz, l.zxy);
+        vec3 i2 = max(g.xyz, l.zxy);
+
+        vec3 x1 = x0 - i1 + C.xxx;
+        vec3 x2 = x0 - i2 + C.yyy;
+        vec3 x3 = x0 - D.yyy;
+
+        i = mod289(i);
+        vec4 p = permute(permute(permute(
+                    i.z + vec4(0.0, i1.z, i2.z, 1.0))
+                  + i.y + vec4(0.0, i1.y, i2.y, 1.0))
+                  + i.x + vec4(0.0, i1.x, i2.x, 1.0));
+
+        float n_ = 0.142857142857;
+        vec3 ns = n_ * D.wyz - D.xzx;
+
+        vec4 j = p - 49.0 * floor(p * ns.z * ns.z);
+        vec4 x_ = floor(j * ns.z);
+        vec4 y_ = floor(j - 7.0 * x_);
+
+        vec4 x = x_ * ns.x + ns.yyyy;
+        vec4 y = y_ * ns.x + ns.yyyy;
+        vec4 h = 1.0 - abs(x) - abs(y);
+
+        vec4 b0 = vec4(x.xy, y.xy);
+        vec4 b1 = vec4(x.zw, y.zw);
+        vec4 s0 = floor(b0) * 2.0 + 1.0;
+        vec4 s1 = floor(b1) * 2.0 + 1.0;
+        vec4 sh = -step(h, vec4(0.0));
+
+        vec4 a0 = b0.xzyw + s0.xzyw * sh.xxyy;
+        vec4 a1 = b1.xzyw + s1.xzyw * sh.zzww;
+
+        vec3 p0 = vec3(a0.xy, h.x);
+        vec3 p1 = vec3(a0.zw, h.y);
+        vec3 p2 = vec3(a1.xy, h.z);
+        vec3 p3 = vec3(a1.zw, h.w);
+
+        vec4 norm = taylorInvSqrt(vec4(dot(p0, p0), dot(p1, p1), dot(p2, p2), dot(p3, p3)));
+        p0 *= norm.x;
+        p1 *= norm.y;
+        p2 *= norm.z;
+        p3 *= norm.w;
+
+        vec4 m = max(0.5 - vec4(dot(x0, x0), dot(x1, x1), dot(x2, x2), dot(x3, x3)), 0.0);
+        vec4 m2 = m * m;
+        vec4 m4 = m2 * m2;
+        vec4 pdotx = vec4(dot(p0, x0), dot(p1, x1), dot(p2, x2), dot(p3, x3));
+
+        vec4 temp = m2 * m * pdotx;
+        gradient = -8.0 * (temp.x * x0 + temp.y * x1 + temp.z * x2 + temp.w * x3);
+        gradient += m4.x * p0 + m4.y * p1 + m4.z * p2 + m4.w * p3;
+        gradient *= 105.0;
+
+        return 105.0 * dot(m4, pdotx);
+    }
+
+    vec3 curlNoise(vec3 p) {
+        vec3 a, b, c;
+        snoise(p, a);
+        snoise(p + vec3(31.416, -47.853, 12.793), b);
+        snoise(p + vec3(-233.145, -113.408, -185.31), c);
+        return vec3(c.y - b.z, a.z - c.x, b.x - a.y);
+    }
+
+    vec3 fractalCurlNoise(vec3 p, float octaves) {
+        vec3 sum = vec3(0.0);
+        float frequency = 1.0;
+        float amplitude = 1.0;
+        float total = 0.0;
+
+        for (int o = 0; o < ${MAX_NOISE_OCTAVES}; o++) {
+            if (float(o) >= octaves) break;
+            sum += curlNoise(p * frequency + float(o) * ${OCTAVE_SHIFT}) * amplitude;
+            total += amplitude;
+            frequency *= 2.0;
+            amplitude *= 0.5;
+        }
+
+        return sum / total;
+    }
+`;
@@ -0,0 +1,378 @@
+/**
+ * OfflineRenderer - Renders the loaded audio file to a music video, one frame at a time
+ * The file's spectra are taken ahead of time from an OfflineAudioContext; each frame then
+ * advances the scene exactly 1/fps through ParticleSystem.update, draws it at video resolution
+ * and hands the canvas to a WebCodecs encoder (WebM, audio as Opus) or a PNG sequence zip
+ * (audio as WAV). How long a frame takes doesn't matter, so dense clouds render without dropped
+ * frames, and with a seed set the same settings render the same video
+ */
+
+import { WebMWriter, WEBM_VIDEO_CODECS } from './WebMWriter.js';
+import { ZipWriter, MAX_ZIP_ENTRIES } from './ZipWriter.js';
+
+// Key order is the option order in the panel
+export const RENDER_FORMATS = {
+    webm: 'WebM Video',
+    png: 'PNG Sequence (.zip)'
+};
+
+const KEYFRAME_INTERVAL = 2; // Seconds between keyframes, which are also the seek points
+const BITS_PER_PIXEL = 0.15; // Video bitrate per pixel per frame; particle clouds are fine-grained
+const MAX_ENCODE_QUEUE = 8; // Frames the video encoder may fall behind before rendering waits
+const OPUS_SAMPLE_RATE = 48000;
+const AUDIO_BITRATE = 192000;
+const AUDIO_CHUNK = 4800; // Samples per AudioData handed to the audio encoder
+
+/**
+ * Yield to the page between frames (progress, the cancel button) without setTimeout's 4ms clamp
+ */
+function nextTask() {
+    return new Promise(resolve => {
+        const channel = new MessageChannel();
+        channel.port1.onmessage = () => {
+            channel.port1.close();
+            resolve();
+        };
+        channel.port2.postMessage(null);
+    });
+}
+
+function toBytes(source) {
+    return ArrayBuffer.isView(source)
+        ? new Uint8Array(source.buffer, source.byteOffset, source.byteLength).slice()
+        : new Uint8Array(source.slice(0));
+}
+
+/**
+ * Opus identification header, for encoders that don't report one
+ */
+function createOpusHead(channels, sampleRate) {
+    const head = new Uint8Array(19);
+    const view = new DataView(head.buffer);
+    head.set(new TextEncoder().encode('OpusHead'));
+    head[8] = 1; // Version
+    head[9] = channels;
+    view.setUint16(10, 0, true); // Pre-skip
+    view.setUint32(12, sampleRate, true);
+    view.setInt16(16, 0, true); // Output gain
+    head[18] = 0; // Mono or stereo channel mapping
+    return head;
+}
+
+/**
+ * 16-bit PCM WAV of a decoded buffer
+ */
+function encodeWav(buffer) {
+    const channels = buffer.numberOfChannels;
+    const length = buffer.length;
+    const view = new DataView(new ArrayBuffer(44 + length * channels * 2));
+    const writeString = (offset, text) => {
+        for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+    };
+
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + length * channels * 2, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true); // PCM
+    view.setUint16(22, channels, true);
+    view.setUint32(24, buffer.sampleRate, true);
+    view.setUint32(28, buffer.sampleRate * channels * 2, true);
+    view.setUint16(32, channels * 2, true);
+    view.setUint16(34, 16, true);
+    writeString(36, 'data');
+    view.setUint32(40, length * channels * 2, true);
+
+    const data = Array.from({ length: channels }, (_, c) => buffer.getChannelData(c));
+    let offset = 44;
+    for (let i = 0; i < length; i++) {
+        for (let c = 0; c < channels; c++) {
+            const sample = Math.max(-1, Math.min(1, data[c][i]));
+            view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+            offset += 2;
+        }
+    }
+    return new Blob([view], { type: 'audio/wav' });
+}
+
+export class OfflineRenderer {
+    /**
+     * @param {ParticleSystem} particleSystem - Renders the frames; its audio input holds the file
+     */
+    constructor(particleSystem) {
+        this.particleSystem = particleSystem;
+        this.rendering = false;
+        this.cancelled = false;
+
+        // Callbacks
+        this.onProgress = null; // Called with { stage: 'analyzing'|'rendering'|'finishing', progress, frame, frameCount }
+    }
+
+    static isVideoSupported() {
+        return typeof VideoEncoder !== 'undefined' && typeof VideoFrame !== 'undefined';
+    }
+
+    /**
+     * Render the loaded audio file from the top. Live audio stops, and the clock, canvas size
+     * and audio input are taken over until the render ends
+     * @param {Object} options - { format: 'webm'|'png', width, height, fps }
+     * @returns {Promise<Object|null>} { blob, extension, hasAudio }, or null when cancelled
+     * @throws {Error} No file loaded, format unsupported here, or an encoder failure
+     */
+    async render({ format = 'webm', width = 1920, height = 1080, fps = 30 } = {}) {
+        const audioInput = this.particleSystem.audioInput;
+        if (this.rendering) throw new Error('A render is already running');
+        if (!audioInput.hasFile()) throw new Error('Load an audio file first');
+        if (format === 'webm' && !OfflineRenderer.isVideoSupported()) {
+            throw new Error('This browser can\'t encode video (no WebCodecs); render a PNG sequence instead');
+        }
+
+        this.rendering = true;
+        this.cancelled = false;
+        let output = null;
+        try {
+            this.reportProgress('analyzing', 0);
+            const analysis = await audioInput.analyzeOffline(fps, progress => this.reportProgress('analyzing', progress));
+            if (this.cancelled) return null;
+            if (format === 'png' && analysis.frameCount >= MAX_ZIP_ENTRIES) {
+                throw new Error('Too many frames for a zip; lower the frame rate or render WebM');
+            }
+
+            output = format === 'png'
+                ? this.createPngOutput(analysis.frameCount, audioInput.buffer)
+                : await this.createWebMOutput(width, height, fps, audioInput.buffer);
+            if (!await this.renderFrames(analysis, output, width, height, fps)) return null;
+
+            this.reportProgress('finishing', 1);
+            const result = await output.finish();
+            output = null;
+            return result;
+        } finally {
+            if (output) output.close();
+            this.rendering = false;
+        }
+    }
+
+    /**
+     * Stop after the current frame; render() then resolves to null
+     */
+    cancel() {
+        if (this.rendering) this.cancelled = true;
+    }
+
+    /**
+     * Step, draw and capture every frame, feeding each its precomputed spectrum
+     * @returns {Promise<boolean>} False when cancelled
+     */
+    async renderFrames(analysis, output, width, height, fps) {
+        const particleSystem = this.particleSystem;
+        const { spectra, frameCount, frequencyBinCount: bins } = analysis;
+        const mouseControl = particleSystem.mouseControlEnabled;
+        let frame = 0;
+
+        particleSystem.stopAudio();
+        particleSystem.externalClock = true;
+        particleSystem.setMouseControlEnabled(false);
+        // Live gestures are ignored while rendering, so the last one mustn't linger either
+        particleSystem.clearGesture();
+        particleSystem.setRenderSize(width, height, { pixelRatio: 1, updateStyle: false });
+        particleSystem.spectrumSource = {
+            sampleRate: analysis.sampleRate,
+            frequencyBinCount: bins,
+            getSpectrum: (array) => array.set(spectra.subarray(frame * bins, (frame + 1) * bins))
+        };
+        // Restarting from the seed makes the render repeatable
+        if (particleSystem.getSeed() !== null) {
+            particleSystem.setSeed(particleSystem.getSeed());
+        }
+        particleSystem.startAudioAnalysis();
+
+        try {
+            for (; frame < frameCount; frame++) {
+                if (this.cancelled) return false;
+
+                particleSystem.update(1 / fps);
+                await particleSystem.settleSimulation();
+                particleSystem.render();
+                await output.addFrame(particleSystem.renderer.domElement, frame);
+
+                this.reportProgress('rendering', (frame + 1) / frameCount, frame + 1, frameCount);
+                await nextTask();
+            }
+            return true;
+        } finally {
+            particleSystem.spectrumSource = null;
+            particleSystem.stopAudio();
+            particleSystem.setMouseControlEnabled(mouseControl);
+            particleSystem.externalClock = false;
+            particleSystem.lastUpdateTime = null;
+            particleSystem.onResize();
+        }
+    }
+
+    /**
+     * VP9 (or VP8) video through WebCodecs, muxed with the file as Opus when it can be encoded
+     */
+    async createWebMOutput(width, height, fps, audioBuffer) {
+        let config = null;
+        let codecId = null;
+        for (const [codec, id] of Object.entries(WEBM_VIDEO_CODECS)) {
+            const candidate = {
+                codec,
+                width,
+                height,
+                framerate: fps,
+                bitrate: Math.round(width * height * fps * BITS_PER_PIXEL)
+            };
+            if ((await VideoEncoder.isConfigSupported(candidate)).supported) {
+                config = candidate;
+                codecId = id;
+                break;
+            }
+        }
+        if (!config) throw new Error(`This browser can't encode ${width}x${height} WebM video`);
+
+        const audio = await this.encodeOpus(audioBuffer);
+        const writer = new WebMWriter({ video: { codecId, width, height, frameRate: fps }, audio });
+        if (audio) {
+            audio.chunks.forEach(chunk => writer.addAudioChunk(chunk.data, chunk.timestamp, chunk.duration));
+        }
+
+        let encoderError = null;
+        const encoder = new VideoEncoder({
+            output: (chunk) => {
+                const data = new Uint8Array(chunk.byteLength);
+                chunk.copyTo(data);
+                writer.addVideoChunk(data, chunk.timestamp, chunk.type === 'key');
+            },
+            error: (error) => {
+                encoderError = error;
+            }
+        });
+        encoder.configure(config);
+        const keyframeInterval = Math.max(1, Math.round(fps * KEYFRAME_INTERVAL));
+
+        return {
+            addFrame: async (canvas, frame) => {
+                if (encoderError) throw encoderError;
+
+                const videoFrame = new VideoFrame(canvas, {
+                    timestamp: Math.round(frame * 1e6 / fps),
+                    duration: Math.round(1e6 / fps),
+                    alpha: 'discard'
+                });
+                encoder.encode(videoFrame, { keyFrame: frame % keyframeInterval === 0 });
+                videoFrame.close();
+
+                while (encoder.encodeQueueSize > MAX_ENCODE_QUEUE && !encoderError) {
+                    await new Promise(resolve => setTimeout(resolve, 1));
+                }
+            },
+            finish: async () => {
+                await encoder.flush();
+                encoder.close();
+                if (encoderError) throw encoderError;
+                return { blob: writer.finalize(), extension: 'webm', hasAudio: Boolean(audio) };
+            },
+            close: () => {
+                if (encoder.state !== 'closed') encoder.close();
+            }
+        };
+    }
+
+    /**
+     * Encode the file as Opus packets, or null when this browser has no Opus encoder
+     * @returns {Promise<Object|null>} { chunks, sampleRate, channels, codecPrivate, codecDelay }
+     */
+    async encodeOpus(buffer) {
+        if (typeof AudioEncoder === 'undefined') return null;
+
+        const channels = Math.min(2, buffer.numberOfChannels);
+        const config = { codec: 'opus', sampleRate: OPUS_SAMPLE_RATE, numberOfChannels: channels, bitrate: AUDIO_BITRATE };
+        if (!(await AudioEncoder.isConfigSupported(config)).supported) return null;
+
+        // Opus always runs at 48kHz; resample through an offline context
+        const context = new OfflineAudioContext(channels, Math.ceil(buffer.duration * OPUS_SAMPLE_RATE), OPUS_SAMPLE_RATE);
+        const node = context.createBufferSource();
+        node.buffer = buffer;
+        node.connect(context.destination);
+        node.start(0);
+        const resampled = await context.startRendering();
+
+        const chunks = [];
+        let description = null;
+        let encoderError = null;
+        const encoder = new AudioEncoder({
+            output: (chunk, metadata) => {
+                if (metadata?.decoderConfig?.description) {
+                    description = toBytes(metadata.decoderConfig.description);
+                }
+                const data = new Uint8Array(chunk.byteLength);
+                chunk.copyTo(data);
+                chunks.push({ data, timestamp: chunk.timestamp, duration: chunk.duration || 0 });
+            },
+            error: (error) => {
+                encoderError = error;
+            }
+        });
+        encoder.configure(config);
+
+        for (let start = 0; start < resampled.length; start += AUDIO_CHUNK) {
+            const length = Math.min(AUDIO_CHUNK, resampled.length - start);
+            const data = new Float32Array(length * channels);
+            for (let c = 0; c < channels; c++) {
+                data.set(resampled.getChannelData(c).subarray(start, start + length), c * length);
+            }
+
+            const audioData = new AudioData({
+                format: 'f32-planar',
+                sampleRate: OPUS_SAMPLE_RATE,
+                numberOfFrames: length,
+                numberOfChannels: channels,
+                timestamp: Math.round(start * 1e6 / OPUS_SAMPLE_RATE),
+                data
+            });
+            encoder.encode(audioData);
+            audioData.close();
+        }
+        await encoder.flush();
+        encoder.close();
+        if (encoderError) throw encoderError;
+
+        const codecPrivate = description || createOpusHead(channels, OPUS_SAMPLE_RATE);
+        const preSkip = new DataView(codecPrivate.buffer, codecPrivate.byteOffset).getUint16(10, true);
+        return {
+            chunks,
+            sampleRate: OPUS_SAMPLE_RATE,
+            channels,
+            codecPrivate,
+            codecDelay: Math.round(preSkip / OPUS_SAMPLE_RATE * 1e9)
+        };
+    }
+
+    /**
+     * Numbered PNGs in a zip, with the file as WAV to mux in an editor or ffmpeg
+     */
+    createPngOutput(frameCount, audioBuffer) {
+        const zip = new ZipWriter();
+        const digits = Math.max(5, String(frameCount - 1).length);
+
+        return {
+            addFrame: async (canvas, frame) => {
+                const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+                if (!blob) throw new Error(`Could not capture frame ${frame}`);
+                await zip.addFile(`frames/frame_${String(frame).padStart(digits, '0')}.png`, blob);
+            },
+            finish: async () => {
+                await zip.addFile('audio.wav', encodeWav(audioBuffer));
+                return { blob: zip.finalize(), extension: 'zip', hasAudio: true };
+            },
+            close: () => {}
+        };
+    }
+
+    reportProgress(stage, progress, frame = 0, frameCount = 0) {
+        if (this.onProgress) this.onProgress({ stage, progress, frame, frameCount });
+    }
+}
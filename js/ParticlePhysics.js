@@ -0,0 +1,152 @@
+/**
+ * ParticlePhysics - Per-particle force integration shared by the main thread and the simulation worker
+ * Pure functions over typed arrays, so it has no Three.js or DOM dependency
+ */
+
+import { ForceField } from './ForceField.js';
+import { CurlLattice, MAX_NOISE_OCTAVES } from './Noise.js';
+
+// Curl-noise force per unit of turbulence and of idle amplitude (curl noise vectors average ~3.6 long)
+const TURBULENCE_FLOW = 0.1;
+const IDLE_FLOW = 0.02;
+
+// Below this the flow moves nothing visible, so it isn't sampled at all
+const MIN_FLOW = 0.001;
+
+// Idle floating is a single octave; the fractal detail comes in with the hand's turbulence
+const FRACTAL_TURBULENCE = 0.05;
+
+// How often (per second of simulation time) the flow lattice is resampled as it drifts
+const FLOW_REFRESH_RATE = 15;
+
+const flowLattice = new CurlLattice();
+
+export class ParticlePhysics {
+    /**
+     * Advance every particle one frame
+     * @param {Float32Array} positions - Current positions (updated in place)
+     * @param {Float32Array} velocities - Current velocities (updated in place)
+     * @param {Float32Array} basePositions - Pattern target positions
+     * @param {number} count - Particle count
+     * @param {Object} params - morphForce, scale, explosionForce, turbulence, audioInfluence,
+     *                          time, damping, idleAmplitude, frameScale,
+     *                          noiseScale, noiseSpeed, noiseOctaves, seed (shifts the noise),
+     *                          forceFields (ForceField objects in particle space)
+     *
+     * Forces are per-frame at 60fps; frameScale (deltaTime * 60) stretches them to the real frame length.
+     * Turbulence and idle floating share one curl-noise flow, so both move like a fluid. The flow is
+     * read from a lattice resampled FLOW_REFRESH_RATE times a second rather than per particle
+     */
+    static step(positions, velocities, basePositions, count, params) {
+        const {
+            morphForce, scale, explosionForce,
+            audioInfluence, time, noiseScale, noiseSpeed
+        } = params;
+        const frameScale = params.frameScale ?? 1;
+        const damping = Math.pow(params.damping, frameScale);
+        const forceFields = params.forceFields || [];
+        const fieldForce = new Float64Array(3);
+
+        const flowStrength = ParticlePhysics.flowStrength(params);
+        const useFlow = flowStrength >= MIN_FLOW;
+        const flow = new Float64Array(3);
+        if (useFlow) {
+            const flowTime = Math.floor(time * FLOW_REFRESH_RATE) / FLOW_REFRESH_RATE;
+            const drift = flowTime * noiseSpeed + ParticlePhysics.noiseOffset(params.seed);
+            flowLattice.fit(positions, count, noiseScale, drift, ParticlePhysics.flowOctaves(params));
+        }
+
+        for (let i = 0; i < count; i++) {
+            const i3 = i * 3;
+
+            // Get base target position
+            const baseX = basePositions[i3];
+            const baseY = basePositions[i3 + 1];
+            const baseZ = basePositions[i3 + 2];
+
+            // Apply scale
+            const targetX = baseX * scale;
+            const targetY = baseY * scale;
+            const targetZ = baseZ * scale;
+
+            // Current position
+            const currentX = positions[i3];
+            const currentY = positions[i3 + 1];
+            const currentZ = positions[i3 + 2];
+
+            // Direction from center
+            const dist = Math.sqrt(currentX * currentX + currentY * currentY + currentZ * currentZ);
+            const dirX = dist > 0 ? currentX / dist : 0;
+            const dirY = dist > 0 ? currentY / dist : 0;
+            const dirZ = dist > 0 ? currentZ / dist : 0;
+
+            // Morphing force
+            const morphX = (targetX - currentX) * morphForce;
+            const morphY = (targetY - currentY) * morphForce;
+            const morphZ = (targetZ - currentZ) * morphForce;
+
+            // Explosion/implosion
+            const explosionX = dirX * explosionForce * 5;
+            const explosionY = dirY * explosionForce * 5;
+            const explosionZ = dirZ * explosionForce * 5;
+
+            // Turbulence and idle floating
+            if (useFlow) {
+                flowLattice.sample(currentX, currentY, currentZ, flow);
+            }
+            const turbX = flow[0] * flowStrength;
+            const turbY = flow[1] * flowStrength;
+            const turbZ = flow[2] * flowStrength;
+
+            // Audio reactive movement
+            const audioMoveX = audioInfluence * dirX * Math.sin(time * 5 + i * 0.1) * 2;
+            const audioMoveY = audioInfluence * dirY * Math.sin(time * 5 + i * 0.1) * 2;
+            const audioMoveZ = audioInfluence * dirZ * Math.sin(time * 5 + i * 0.1) * 2;
+
+            // Force fields (attractors, vortices, wind, flow)
+            fieldForce[0] = fieldForce[1] = fieldForce[2] = 0;
+            if (forceFields.length) {
+                ForceField.accumulate(forceFields, currentX, currentY, currentZ, time, fieldForce);
+            }
+
+            // Update velocities
+            velocities[i3] = (velocities[i3] + (morphX + explosionX + turbX + audioMoveX + fieldForce[0]) * frameScale) * damping;
+            velocities[i3 + 1] = (velocities[i3 + 1] + (morphY + explosionY + turbY + audioMoveY + fieldForce[1]) * frameScale) * damping;
+            velocities[i3 + 2] = (velocities[i3 + 2] + (morphZ + explosionZ + turbZ + audioMoveZ + fieldForce[2]) * frameScale) * damping;
+
+            // Apply velocities
+            positions[i3] += velocities[i3] * frameScale;
+            positions[i3 + 1] += velocities[i3 + 1] * frameScale;
+            positions[i3 + 2] += velocities[i3 + 2] * frameScale;
+        }
+    }
+
+    /**
+     * Curl-noise force scale: hand turbulence plus idle floating, which fades out as turbulence takes over
+     */
+    static flowStrength(params) {
+        return params.turbulence * TURBULENCE_FLOW + params.idleAmplitude * (1 - params.turbulence * 0.8) * IDLE_FLOW;
+    }
+
+    /**
+     * Drop the cached flow lattice (new run or new pattern), so nothing from before carries over
+     */
+    static resetFlow() {
+        flowLattice.reset();
+    }
+
+    /**
+     * Curl-noise octaves to use: just one while only idle floating, the full noiseOctaves once turbulent
+     */
+    static flowOctaves(params) {
+        const octaves = params.turbulence > FRACTAL_TURBULENCE ? params.noiseOctaves : 1;
+        return Math.max(1, Math.min(MAX_NOISE_OCTAVES, Math.round(octaves)));
+    }
+
+    /**
+     * Where in noise space a seed starts, so seeded runs each get their own (repeatable) flow
+     */
+    static noiseOffset(seed) {
+        return seed === null || seed === undefined ? 0 : (seed % 1000) * 3.7;
+    }
+}
@@ -1,4 +1,27 @@
 import { PatternGenerator } from './PatternGenerator.js';
+import { GPUSimulation } from './GPUSimulation.js';
+import { WorkerSimulation } from './WorkerSimulation.js';
+import { ParticlePhysics } from './ParticlePhysics.js';
+import { SeededRandom } from './SeededRandom.js';
+import { MorphTransition, MORPH_STYLES } from './MorphTransition.js';
+import { ForceField, MAX_FORCE_FIELDS } from './ForceField.js';
+import { MAX_NOISE_OCTAVES } from './Noise.js';
+import { SpatialHash } from './SpatialHash.js';
+import { TrailRenderer } from './TrailRenderer.js';
+import { AudioAnalyzer } from './AudioAnalyzer.js';
+import { AudioInput } from './AudioInput.js';
+
+export const SIMULATION_BACKENDS = ['cpu', 'worker', 'gpu'];
+
+// Hand touch modes and the force field each point becomes
+const HAND_TOUCH_TYPES = { push: 'repulsor', pull: 'attractor', swirl: 'vortex' };
+
+// Hand depth from its on-screen size: palms this big (wrist to middle knuckle, normalized) sit on
+// the z = 0 plane, up to HAND_DEPTH_RANGE nearer or farther. MediaPipe's relative fingertip depth
+// is in image widths; it's scaled to half the visible width so fingers don't reach too far
+const HAND_REFERENCE_SIZE = 0.18;
+const HAND_DEPTH_RANGE = 60;
+const HAND_DEPTH_SCALE = 150;
 
 /**
  * ParticleSystem - Enhanced Three.js particle system with advanced effects
@@ -31,8 +54,15 @@ export class ParticleSystem {
         this.connectionGeometry = null;
         this.connectionMaterial = null;
         this.connectionsEnabled = false;
+        this.connectionMode = 'radius'; // 'radius': the first neighbors found in reach; 'nearest': each particle's closest
         this.connectionDistance = 15;
-        this.maxConnections = 500;
+        this.connectionNeighbors = 3; // Lines per particle
+        this.maxConnections = 5000; // Line budget for the whole cloud
+        this.connectionHash = new SpatialHash();
+        this.connectionPairs = new Set(); // Pairs linked this frame, so mutual neighbors draw one line
+        this.connectionStride = null; // { count, stride } for the visiting order
+        this.connectionReadbackInterval = 4; // GPU backend: frames between position readbacks for connections
+        this.connectionReadbackFrame = 0;
 
         // Background
         this.backgroundMesh = null;
@@ -42,18 +72,12 @@ export class ParticleSystem {
         this.targetPositions = null;
         this.basePositions = null;
         this.velocities = null;
-        this.previousPositions = null; // For trails
 
         // Trails
         this.trailsEnabled = false;
-        this.trailLength = 8;
+        this.trailLength = 20; // Frames (at 60fps) until a trail has faded out
         this.trailOpacity = 0.4;
-        this.trailHistory = []; // Array of position snapshots
-        this.trailMesh = null;
-        this.trailGeometry = null;
-        this.trailMaterial = null;
-        this.trailSampleRate = 3; // Only trail every Nth particle for performance
-        this.trailUpdateCounter = 0;
+        this.trailRenderer = null; // TrailRenderer feedback buffer, created on first use
 
         // Animation state
         this.currentScale = 1;
@@ -61,18 +85,65 @@ export class ParticleSystem {
         this.gestureValue = 0.5;
         this.time = 0;
 
+        // Frame timing (rates below are tuned per frame at 60fps and scaled by real delta time)
+        this.referenceFPS = 60;
+        this.maxDeltaTime = 0.05; // Clamp long frames (tab switches, hitches)
+        this.fixedTimeStep = null; // Seconds per frame when set, for deterministic runs
+        this.lastUpdateTime = null;
+        this.frameScale = 1;
+        this.externalClock = false; // True while something else (offline rendering) calls update and render
+
+        // Functions called with deltaTime at the start of every update (sequencer, scripted shows)
+        this.updateHooks = [];
+
+        // Determinism: null seed uses Math.random; a seed makes patterns, sizes and turbulence repeatable
+        this.seed = null;
+        this.random = Math.random;
+
         // Gesture states
         this.pinchValue = 0;
         this.targetPinchValue = 0;
         this.handVelocity = { x: 0, y: 0, z: 0, magnitude: 0 };
         this.handRotation = 0;
         this.targetRotation = 0;
+        this.handPosition = null; // Palm in world space (THREE.Vector3), null when no hand
+        this.fingertipPositions = []; // Thumb to pinky tips in world space, empty when no hand
+
+        // Hand touch: palm and fingertips push, pull or swirl the particles near them
+        this.handTouch = { mode: 'push', strength: 1, radius: 25 };
+
+        // Force fields (ForceField objects, positions in world space)
+        this.forceFields = [];
 
         // Current pattern
         this.currentPattern = 'sphere';
+        this.patternParams = {}; // Overrides for the pattern's parameter schema
+        this.patternColors = null; // Per-particle RGB from patterns that supply it (imported images)
+        this.useSourceColors = false;
+
+        // Pattern-to-pattern transitions (MorphTransition); null duration/easing use the style's own
+        this.morphStyle = 'spring';
+        this.morphDuration = null;
+        this.morphEasing = null;
+        this.matchMorphPaths = true; // Pair old/new points along a space-filling curve
+        this.morphTransition = null;
+        this.morphOrigin = null; // Targets before the latest setPattern, for playTransition(style)
+
+        // Pattern blend (setPatternBlend): currentPattern is side A, blend holds side B
+        this.blend = null; // { pattern, params, from, to, appliedWeight }
+        this.blendWeight = 0;
+        this.targetBlendWeight = 0;
+        this.blendSource = 'manual'; // 'manual', 'openness', 'pinch' or 'audio'
+
+        // Animated patterns: { update, params, rest, live } per pattern with an update hook
+        this.animatePatterns = true;
+        this.patternAnimations = [];
 
         // Color
         this.particleColor = new THREE.Color(0x00d4ff);
+        this.gradientStops = null; // Array of THREE.Color, null = solid color
+        this.gradientMode = 'axis'; // 'axis', 'radius', 'index'
+        this.gradientAxis = 'y';
 
         // Animation parameters
         this.baseRotationSpeed = 0.0003;
@@ -84,7 +155,11 @@ export class ParticleSystem {
         this.baseIdleAmplitude = 1.5;
         this.idleAmplitude = this.baseIdleAmplitude;
         this.idleMultiplier = 1;
-        this.idleSpeed = 0.001;
+
+        // Curl-noise flow behind turbulence and idle floating
+        this.noiseScale = 0.02; // Noise frequency per world unit
+        this.noiseSpeed = 0.3; // How fast the flow changes, per second
+        this.noiseOctaves = 2;
 
         // UI-controlled parameters
         this.sizeMultiplier = 1;
@@ -107,10 +182,13 @@ export class ParticleSystem {
 
         // Audio reactive
         this.audioEnabled = false;
-        this.audioContext = null;
-        this.analyser = null;
+        this.audioInput = new AudioInput(); // Mic, audio file or tab capture feeding the analyser
+        this.spectrumSource = null; // Stands in for audioInput when set: { sampleRate, frequencyBinCount, getSpectrum(array) }
         this.audioData = null;
         this.audioInfluence = 0;
+        this.audioAnalyzer = new AudioAnalyzer();
+        this.audioMapping = AudioAnalyzer.normalizeMapping();
+        this.audioModulation = this.audioAnalyzer.getModulation(this.audioMapping); // Offsets per mapping target
 
         // LOD (Level of Detail)
         this.lodEnabled = true;
@@ -124,6 +202,12 @@ export class ParticleSystem {
         this.dofEnabled = false;
         this.focalDistance = 150;
 
+        // Simulation backend ('cpu' loop, 'worker' thread or 'gpu' ping-pong textures)
+        this.simulationBackend = 'cpu';
+        this.gpuSimulation = null;
+        this.workerSimulation = null;
+        this.damping = 0.95;
+
         this.init();
     }
 
@@ -175,9 +259,9 @@ export class ParticleSystem {
         this.geometry = new THREE.BufferGeometry();
 
         // Generate initial positions
-        this.basePositions = PatternGenerator.sphere(this.particleCount);
+        this.morphTransition = null;
+        this.basePositions = PatternGenerator.getPattern('sphere', this.random)(this.particleCount);
         this.targetPositions = new Float32Array(this.basePositions);
-        this.previousPositions = new Float32Array(this.basePositions);
 
         // Initialize velocities
         this.velocities = new Float32Array(this.particleCount * 3);
@@ -191,7 +275,7 @@ export class ParticleSystem {
         // Create sizes array
         const sizes = new Float32Array(this.particleCount);
         for (let i = 0; i < this.particleCount; i++) {
-            sizes[i] = Math.random() * 2 + 1;
+            sizes[i] = this.random() * 2 + 1;
         }
         this.geometry.setAttribute(
             'size',
@@ -208,21 +292,46 @@ export class ParticleSystem {
             new THREE.BufferAttribute(alphas, 1)
         );
 
+        // Per-particle colors (filled from the active gradient)
+        this.geometry.setAttribute(
+            'color',
+            new THREE.BufferAttribute(new Float32Array(this.particleCount * 3), 3)
+        );
+        this.updateColors();
+
+        // Texel lookup into the GPU simulation textures
+        const textureSize = GPUSimulation.getTextureSize(this.particleCount);
+        const references = new Float32Array(this.particleCount * 2);
+        for (let i = 0; i < this.particleCount; i++) {
+            references[i * 2] = ((i % textureSize) + 0.5) / textureSize;
+            references[i * 2 + 1] = (Math.floor(i / textureSize) + 0.5) / textureSize;
+        }
+        this.geometry.setAttribute(
+            'reference',
+            new THREE.BufferAttribute(references, 2)
+        );
+
         // Enhanced shader material
         this.material = new THREE.ShaderMaterial({
             uniforms: {
-                color: { value: this.particleColor },
                 pointSize: { value: 3.0 },
                 opacity: { value: 0.85 },
                 glowIntensity: { value: 1.0 },
                 time: { value: 0 },
                 audioLevel: { value: 0 },
                 focalDistance: { value: this.focalDistance },
-                dofEnabled: { value: false }
+                dofEnabled: { value: this.dofEnabled },
+                positionTexture: { value: null },
+                useSimulationTexture: { value: false },
+                trailPass: { value: false },
+                hueShift: { value: 0 }
             },
             vertexShader: `
                 attribute float size;
                 attribute float alpha;
+                attribute vec2 reference;
+                uniform sampler2D positionTexture;
+                uniform bool useSimulationTexture;
                 uniform float pointSize;
                 uniform float glowIntensity;
                 uniform float time;
@@ -232,15 +341,17 @@ export class ParticleSystem {
                 varying float vAlpha;
                 varying float vGlow;
                 varying float vDepth;
+                varying vec3 vColor;
 
                 void main() {
                     vAlpha = size / 3.0 * alpha;
                     vGlow = glowIntensity;
+                    vColor = color;
 
-                    vec3 pos = position;
+                    vec3 pos = useSimulationTexture ? texture2D(positionTexture, reference).xyz : position;
 
                     // Audio reactive pulsing
-                    pos *= 1.0 + audioLevel * 0.3 * sin(time * 2.0 + length(position) * 0.1);
+                    pos *= 1.0 + audioLevel * 0.3 * sin(time * 2.0 + length(pos) * 0.1);
 
                     vec4 mvPosition = modelViewMatrix * vec4(pos, 1.0);
                     vDepth = -mvPosition.z;
@@ -257,13 +368,23 @@ export class ParticleSystem {
                 }
             `,
             fragmentShader: `
-                uniform vec3 color;
                 uniform float opacity;
                 uniform float time;
                 uniform float audioLevel;
+                uniform bool trailPass;
+                uniform float hueShift;
                 varying float vAlpha;
                 varying float vGlow;
                 varying float vDepth;
+                varying vec3 vColor;
+
+                // Rotate a color around the gray axis by a fraction of a turn
+                vec3 rotateHue(vec3 color, float turns) {
+                    const vec3 axis = vec3(0.57735);
+                    float angle = turns * 6.2831853;
+                    float c = cos(angle);
+                    return color * c + cross(axis, color) * sin(angle) + axis * dot(axis, color) * (1.0 - c);
+                }
 
                 void main() {
                     vec2 center = gl_PointCoord - vec2(0.5);
@@ -274,22 +395,258 @@ export class ParticleSystem {
                     if (alpha < 0.01) discard;
 
                     // Enhanced glow with audio reactive color shift
+                    vec3 color = hueShift > 0.0 ? max(rotateHue(vColor, hueShift), 0.0) : vColor;
                     vec3 glow = color * (1.0 + vGlow * 0.5 * (1.0 - dist * 2.0));
 
                     // Subtle color shift based on audio
                     glow += vec3(audioLevel * 0.2, audioLevel * 0.1, -audioLevel * 0.1);
 
-                    gl_FragColor = vec4(glow, alpha);
+                    // The trail buffer max-blends, which ignores alpha, so fold it into the color there
+                    gl_FragColor = trailPass ? vec4(glow * alpha, alpha) : vec4(glow, alpha);
                 }
             `,
+            vertexColors: true,
             transparent: true,
             depthWrite: false,
-            blending: THREE.AdditiveBlending
+            blending: THREE.AdditiveBlending,
+            // Used by the trail pass (CustomBlending); the main pass stays additive
+            blendEquation: THREE.MaxEquation,
+            blendSrc: THREE.OneFactor,
+            blendDst: THREE.OneFactor
         });
 
         // Create Points
         this.particles = new THREE.Points(this.geometry, this.material);
         this.scene.add(this.particles);
+
+        if (this.gpuSimulation) {
+            this.attachGPUSimulation();
+        } else if (this.workerSimulation) {
+            this.attachWorkerSimulation();
+        }
+    }
+
+    // Simulation backends
+    /**
+     * Select the simulation backend: 'cpu' (main-thread loop), 'worker' (Web Worker)
+     * or 'gpu' (float render targets)
+     * Stays on the current backend and returns false when the requested one is unknown or not available
+     */
+    setSimulationBackend(backend) {
+        if (backend === this.simulationBackend) return true;
+
+        if (!SIMULATION_BACKENDS.includes(backend)) {
+            console.warn(`Unknown simulation backend: ${backend}`);
+            return false;
+        }
+
+        if (backend === 'gpu' && !GPUSimulation.isSupported(this.renderer)) {
+            console.warn('GPU simulation unavailable (no float render targets)');
+            return false;
+        }
+        if (backend === 'worker' && !WorkerSimulation.isSupported()) {
+            console.warn('Worker simulation unavailable (no Web Worker support)');
+            return false;
+        }
+
+        this.detachSimulation();
+        this.simulationBackend = backend;
+
+        if (backend === 'gpu') {
+            this.gpuSimulation = new GPUSimulation(this.renderer, this.particleCount);
+            this.attachGPUSimulation();
+        } else if (backend === 'worker') {
+            this.attachWorkerSimulation();
+        }
+        return true;
+    }
+
+    getSimulationBackend() {
+        return this.simulationBackend;
+    }
+
+    /**
+     * Tear down the active off-thread backend, carrying its state back to the CPU arrays
+     */
+    detachSimulation() {
+        if (this.gpuSimulation) {
+            this.gpuSimulation.readPositions(this.geometry.attributes.position.array);
+            this.gpuSimulation.readVelocities(this.velocities);
+            this.geometry.attributes.position.needsUpdate = true;
+            this.gpuSimulation.dispose();
+            this.gpuSimulation = null;
+
+            this.material.uniforms.useSimulationTexture.value = false;
+            this.material.uniforms.positionTexture.value = null;
+            this.particles.frustumCulled = true;
+        }
+
+        if (this.workerSimulation) {
+            // Worker velocities are not read back; positions are at most one frame old
+            this.workerSimulation.dispose();
+            this.workerSimulation = null;
+            this.velocities.fill(0);
+        }
+
+        this.simulationBackend = 'cpu';
+    }
+
+    /**
+     * Seed the GPU simulation from the CPU state and point the material at its textures
+     */
+    attachGPUSimulation() {
+        if (this.gpuSimulation.particleCount !== this.particleCount) {
+            this.gpuSimulation.dispose();
+            this.gpuSimulation = new GPUSimulation(this.renderer, this.particleCount);
+        }
+
+        this.gpuSimulation.setBasePositions(this.getSimulationTargets());
+        this.gpuSimulation.setPositions(this.geometry.attributes.position.array);
+        this.gpuSimulation.setVelocities(this.velocities);
+
+        this.material.uniforms.useSimulationTexture.value = true;
+        this.material.uniforms.positionTexture.value = this.gpuSimulation.getPositionTexture();
+
+        // Geometry positions go stale on the GPU path, so bounds can't be trusted
+        this.particles.frustumCulled = false;
+    }
+
+    /**
+     * Start a worker seeded with the current CPU state, writing into the geometry buffer
+     */
+    attachWorkerSimulation() {
+        if (this.workerSimulation) {
+            this.workerSimulation.dispose();
+        }
+
+        this.workerSimulation = new WorkerSimulation(
+            this.geometry.attributes.position.array,
+            this.velocities,
+            this.getSimulationTargets()
+        );
+    }
+
+    /**
+     * Inputs shared by every simulation backend
+     */
+    getSimulationParams() {
+        return {
+            morphForce: this.morphSpeed,
+            scale: this.currentScale * (1 + this.audioModulation.scale),
+            explosionForce: this.explosionForce + this.audioModulation.explosion,
+            turbulence: Math.min(1, this.turbulence + this.audioModulation.turbulence),
+            audioInfluence: this.audioInfluence,
+            time: this.time,
+            damping: this.damping,
+            idleAmplitude: this.idleAmplitude,
+            noiseScale: this.noiseScale,
+            noiseSpeed: this.noiseSpeed,
+            noiseOctaves: this.noiseOctaves,
+            frameScale: this.frameScale,
+            seed: this.seed,
+            forceFields: this.getSimulationFields()
+        };
+    }
+
+    /**
+     * Current particle positions from whichever backend is active
+     */
+    readPositions() {
+        if (this.gpuSimulation) {
+            return this.gpuSimulation.readPositions();
+        }
+        return new Float32Array(this.geometry.attributes.position.array);
+    }
+
+    /**
+     * Fill the per-particle color attribute from the active gradient
+     * Position-based modes read basePositions, so call after the pattern changes
+     */
+    updateColors() {
+        if (!this.geometry || !this.geometry.attributes.color) return;
+
+        const colors = this.geometry.attributes.color.array;
+        const count = this.particleCount;
+
+        // Colors sampled from the pattern source (e.g. an imported image) win when enabled
+        if (this.useSourceColors && this.patternColors) {
+            colors.set(this.patternColors.subarray(0, count * 3));
+            this.geometry.attributes.color.needsUpdate = true;
+            return;
+        }
+
+        // Solid color fast path
+        if (!this.gradientStops || this.gradientStops.length < 2) {
+            const c = this.particleColor;
+            for (let i = 0; i < count; i++) {
+                colors[i * 3] = c.r;
+                colors[i * 3 + 1] = c.g;
+                colors[i * 3 + 2] = c.b;
+            }
+            this.geometry.attributes.color.needsUpdate = true;
+            return;
+        }
+
+        const positions = this.basePositions;
+        const axisOffset = { x: 0, y: 1, z: 2 }[this.gradientAxis] || 0;
+
+        // Range of the gradient parameter for position-based modes
+        let min = Infinity;
+        let max = -Infinity;
+        if (this.gradientMode === 'axis' || this.gradientMode === 'radius') {
+            for (let i = 0; i < count; i++) {
+                const value = this.getGradientValue(positions, i, axisOffset);
+                if (value < min) min = value;
+                if (value > max) max = value;
+            }
+        }
+        const range = max - min || 1;
+
+        const color = new THREE.Color();
+        for (let i = 0; i < count; i++) {
+            let t;
+            switch (this.gradientMode) {
+                case 'axis':
+                case 'radius':
+                    t = (this.getGradientValue(positions, i, axisOffset) - min) / range;
+                    break;
+                case 'index':
+                default:
+                    t = count > 1 ? i / (count - 1) : 0;
+                    break;
+            }
+
+            this.sampleGradient(t, color);
+            colors[i * 3] = color.r;
+            colors[i * 3 + 1] = color.g;
+            colors[i * 3 + 2] = color.b;
+        }
+
+        this.geometry.attributes.color.needsUpdate = true;
+    }
+
+    /**
+     * Raw gradient parameter for a particle in the current mode
+     */
+    getGradientValue(positions, i, axisOffset) {
+        if (this.gradientMode === 'axis') {
+            return positions[i * 3 + axisOffset];
+        }
+
+        const x = positions[i * 3];
+        const y = positions[i * 3 + 1];
+        const z = positions[i * 3 + 2];
+        return Math.sqrt(x * x + y * y + z * z);
+    }
+
+    /**
+     * Sample the gradient stops at t (0-1) into target color
+     */
+    sampleGradient(t, target) {
+        const stops = this.gradientStops;
+        const scaled = Math.max(0, Math.min(1, t)) * (stops.length - 1);
+        const index = Math.min(stops.length - 2, Math.floor(scaled));
+        return target.copy(stops[index]).lerp(stops[index + 1], scaled - index);
     }
 
     createBackground() {
@@ -409,20 +766,23 @@ export class ParticleSystem {
         this.renderer.domElement.addEventListener('touchend', onTouchEnd);
     }
 
-    // Audio reactive setup
-    async initAudio() {
+    /**
+     * Start audio-reactive mode on a source
+     * @param {string} source - 'mic', 'display' (tab or system audio) or 'file' (the loaded file)
+     * @returns {Promise<boolean>} False when the source couldn't start (denied, unsupported, no file)
+     */
+    async initAudio(source = 'mic') {
         try {
-            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-            const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
-
-            const source = this.audioContext.createMediaStreamSource(stream);
-            this.analyser = this.audioContext.createAnalyser();
-            this.analyser.fftSize = 256;
-
-            source.connect(this.analyser);
-            this.audioData = new Uint8Array(this.analyser.frequencyBinCount);
-            this.audioEnabled = true;
+            if (source === 'display') {
+                await this.audioInput.useDisplay();
+            } else if (source === 'file') {
+                if (!this.audioInput.hasFile()) return false;
+                this.audioInput.play();
+            } else {
+                await this.audioInput.useMicrophone();
+            }
 
+            this.startAudioAnalysis();
             return true;
         } catch (error) {
             console.warn('Audio initialization failed:', error);
@@ -430,30 +790,73 @@ export class ParticleSystem {
         }
     }
 
-    stopAudio() {
-        if (this.audioContext) {
-            this.audioContext.close();
-            this.audioContext = null;
+    /**
+     * Decode an audio file, start playing it and react to it
+     * @param {File} file - MP3, WAV, OGG or anything else the browser decodes
+     */
+    async loadAudioFile(file) {
+        await this.audioInput.loadFile(file);
+        this.startAudioAnalysis();
+    }
+
+    startAudioAnalysis() {
+        const source = this.spectrumSource || this.audioInput;
+        if (!this.audioData || this.audioData.length !== source.frequencyBinCount) {
+            this.audioData = new Uint8Array(source.frequencyBinCount);
         }
+        this.audioAnalyzer.reset();
+        this.audioEnabled = true;
+    }
+
+    /**
+     * Stop reacting: pauses a file (it stays loaded) and ends mic or tab capture
+     */
+    stopAudio() {
+        this.audioInput.stop();
         this.audioEnabled = false;
-        this.analyser = null;
-        this.audioData = null;
+        this.audioInfluence = 0;
+        this.audioAnalyzer.reset();
+        this.audioAnalyzer.getModulation(this.audioMapping, this.audioModulation);
     }
 
-    updateAudio() {
-        if (!this.audioEnabled || !this.analyser) return 0;
+    /**
+     * Analyze this frame's spectrum into bands and beats and update the mapped offsets
+     * @returns {number} Overall level, which drives the built-in pulse and the 'audio' blend source
+     */
+    updateAudio(deltaTime) {
+        if (!this.audioEnabled) return 0;
 
-        this.analyser.getByteFrequencyData(this.audioData);
+        const source = this.spectrumSource || this.audioInput;
+        source.getSpectrum(this.audioData);
+        this.audioAnalyzer.analyze(this.audioData, source.sampleRate, deltaTime, this.time);
+        this.audioAnalyzer.getModulation(this.audioMapping, this.audioModulation);
 
-        // Calculate average amplitude
-        let sum = 0;
-        for (let i = 0; i < this.audioData.length; i++) {
-            sum += this.audioData[i];
-        }
-        const avg = sum / this.audioData.length / 255;
+        this.audioInfluence = this.audioAnalyzer.level;
+        return this.audioInfluence;
+    }
 
-        this.audioInfluence = avg;
-        return avg;
+    /**
+     * Route frequency bands to visual targets
+     * @param {Object} mapping - { attack, release, bands: { bass|lowMid|highMid|treble: { target, amount } } }
+     */
+    setAudioMapping(mapping) {
+        this.audioMapping = AudioAnalyzer.normalizeMapping(mapping);
+        this.audioAnalyzer.setEnvelope(this.audioMapping.attack, this.audioMapping.release);
+        this.audioAnalyzer.getModulation(this.audioMapping, this.audioModulation);
+    }
+
+    /**
+     * Latest band levels, beat and tempo, for meters
+     */
+    getAudioAnalysis() {
+        const analyzer = this.audioAnalyzer;
+        return {
+            level: analyzer.level,
+            bands: { ...analyzer.bands },
+            beat: analyzer.beat,
+            beatPulse: analyzer.beatPulse,
+            bpm: analyzer.bpm
+        };
     }
 
     // Particle connections
@@ -461,14 +864,17 @@ export class ParticleSystem {
         if (this.connectionLines) {
             this.scene.remove(this.connectionLines);
             this.connectionGeometry.dispose();
+            this.connectionMaterial.dispose();
         }
 
         this.connectionGeometry = new THREE.BufferGeometry();
         const positions = new Float32Array(this.maxConnections * 6); // 2 points per line, 3 coords each
+        const colors = new Float32Array(this.maxConnections * 6); // RGB for each point
         this.connectionGeometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        this.connectionGeometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
 
         this.connectionMaterial = new THREE.LineBasicMaterial({
-            color: this.particleColor,
+            vertexColors: true,
             transparent: true,
             opacity: 0.15,
             blending: THREE.AdditiveBlending
@@ -478,188 +884,134 @@ export class ParticleSystem {
         this.scene.add(this.connectionLines);
     }
 
+    /**
+     * Link particles to neighbors found through a spatial hash over the whole cloud. Particles are
+     * visited in a fixed strided order, so when the line budget runs out the lines still spread
+     * over the entire shape and the same particles keep theirs from frame to frame. Lines fade
+     * toward connectionDistance (color scaling, as the material blends additively)
+     */
     updateConnections() {
         if (!this.connectionsEnabled || !this.connectionLines) return;
 
         const positions = this.geometry.attributes.position.array;
+        const colors = this.geometry.attributes.color.array;
         const linePositions = this.connectionGeometry.attributes.position.array;
+        const lineColors = this.connectionGeometry.attributes.color.array;
+        const count = this.particleCount;
+        const distance = this.connectionDistance;
+        const limit = this.connectionNeighbors;
+        const nearest = this.connectionMode === 'nearest';
+        const maxLines = linePositions.length / 6;
         let connectionCount = 0;
 
-        // Sample particles for connections (checking all would be too slow)
-        const sampleSize = Math.min(200, this.particleCount);
-        const step = Math.floor(this.particleCount / sampleSize);
-
-        for (let i = 0; i < sampleSize && connectionCount < this.maxConnections; i++) {
-            const idx1 = i * step;
-            const x1 = positions[idx1 * 3];
-            const y1 = positions[idx1 * 3 + 1];
-            const z1 = positions[idx1 * 3 + 2];
-
-            for (let j = i + 1; j < sampleSize && connectionCount < this.maxConnections; j++) {
-                const idx2 = j * step;
-                const x2 = positions[idx2 * 3];
-                const y2 = positions[idx2 * 3 + 1];
-                const z2 = positions[idx2 * 3 + 2];
-
-                const dist = Math.sqrt(
-                    (x2 - x1) ** 2 + (y2 - y1) ** 2 + (z2 - z1) ** 2
-                );
-
-                if (dist < this.connectionDistance) {
-                    const baseIdx = connectionCount * 6;
-                    linePositions[baseIdx] = x1;
-                    linePositions[baseIdx + 1] = y1;
-                    linePositions[baseIdx + 2] = z1;
-                    linePositions[baseIdx + 3] = x2;
-                    linePositions[baseIdx + 4] = y2;
-                    linePositions[baseIdx + 5] = z2;
-                    connectionCount++;
-                }
+        // Nearest searches outward through small cells; radius mode takes the first few in one cell's reach
+        this.connectionHash.build(positions, count, nearest ? distance / 5 : distance);
+        this.connectionPairs.clear();
+
+        const candidates = new Int32Array(limit);
+        const candidateDistances = new Float64Array(limit);
+        let found = 0;
+        const collect = (j, distanceSq) => {
+            candidates[found] = j;
+            candidateDistances[found++] = distanceSq;
+            return found >= limit;
+        };
+
+        const stride = this.getConnectionStride(count);
+        for (let visited = 0, i = 0; visited < count && connectionCount < maxLines; visited++, i = (i + stride) % count) {
+            if (nearest) {
+                found = this.connectionHash.nearest(positions, i, limit, distance, candidates, candidateDistances);
+            } else {
+                found = 0;
+                this.connectionHash.forEachNeighbor(positions, i, distance, collect);
             }
-        }
 
-        // Clear unused connections
-        for (let i = connectionCount * 6; i < linePositions.length; i++) {
-            linePositions[i] = 0;
+            for (let c = 0; c < found && connectionCount < maxLines; c++) {
+                const j = candidates[c];
+                const pair = i < j ? i * count + j : j * count + i;
+                if (this.connectionPairs.has(pair)) continue;
+                this.connectionPairs.add(pair);
+
+                const fade = 1 - Math.sqrt(candidateDistances[c]) / distance;
+                const baseIdx = connectionCount * 6;
+                linePositions[baseIdx] = positions[i * 3];
+                linePositions[baseIdx + 1] = positions[i * 3 + 1];
+                linePositions[baseIdx + 2] = positions[i * 3 + 2];
+                linePositions[baseIdx + 3] = positions[j * 3];
+                linePositions[baseIdx + 4] = positions[j * 3 + 1];
+                linePositions[baseIdx + 5] = positions[j * 3 + 2];
+
+                // Each end takes its particle's color, dimmed by the line's length
+                lineColors[baseIdx] = colors[i * 3] * fade;
+                lineColors[baseIdx + 1] = colors[i * 3 + 1] * fade;
+                lineColors[baseIdx + 2] = colors[i * 3 + 2] * fade;
+                lineColors[baseIdx + 3] = colors[j * 3] * fade;
+                lineColors[baseIdx + 4] = colors[j * 3 + 1] * fade;
+                lineColors[baseIdx + 5] = colors[j * 3 + 2] * fade;
+                connectionCount++;
+            }
         }
 
         this.connectionGeometry.attributes.position.needsUpdate = true;
+        this.connectionGeometry.attributes.color.needsUpdate = true;
         this.connectionGeometry.setDrawRange(0, connectionCount * 2);
-    }
-
-    // Particle Trails
-    createTrails() {
-        if (this.trailMesh) {
-            this.scene.remove(this.trailMesh);
-            this.trailGeometry.dispose();
-            this.trailMaterial.dispose();
-        }
 
-        // Calculate sampled particle count for performance
-        const sampledCount = Math.floor(this.particleCount / this.trailSampleRate);
-        const segmentsPerTrail = this.trailLength - 1;
-        const totalSegments = sampledCount * segmentsPerTrail;
-
-        this.trailGeometry = new THREE.BufferGeometry();
-        const positions = new Float32Array(totalSegments * 6); // 2 points per segment, 3 coords each
-        const colors = new Float32Array(totalSegments * 6); // RGB for each point
+        // Positions are in the particles' space, so the lines turn with them
+        this.connectionLines.quaternion.copy(this.particles.quaternion);
+    }
 
-        this.trailGeometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-        this.trailGeometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+    /**
+     * Step coprime with count near count / golden ratio: stepping by it visits every particle once,
+     * and consecutive visits land far apart in index order (and so, usually, in space)
+     */
+    getConnectionStride(count) {
+        if (this.connectionStride && this.connectionStride.count === count) return this.connectionStride.stride;
 
-        this.trailMaterial = new THREE.LineBasicMaterial({
-            vertexColors: true,
-            transparent: true,
-            opacity: this.trailOpacity,
-            blending: THREE.AdditiveBlending,
-            depthWrite: false
-        });
+        const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+        let stride = Math.max(1, Math.round(count * 0.618034));
+        while (count > 1 && gcd(stride, count) !== 1) stride++;
 
-        this.trailMesh = new THREE.LineSegments(this.trailGeometry, this.trailMaterial);
-        this.trailMesh.frustumCulled = false;
-        this.scene.add(this.trailMesh);
+        this.connectionStride = { count, stride };
+        return stride;
+    }
 
-        // Initialize trail history
-        this.trailHistory = [];
+    // Particle Trails
+    createTrails() {
+        const size = this.renderer.getDrawingBufferSize(new THREE.Vector2());
+        this.trailRenderer = new TrailRenderer(this.renderer, size.x, size.y);
+        this.trailRenderer.setOpacity(this.trailOpacity);
+        this.scene.add(this.trailRenderer.overlay);
     }
 
+    /**
+     * Fade the trail buffer and stamp the particles into it; runs before each render, so trails
+     * cover every particle on every backend without reading positions back
+     */
     updateTrails() {
-        if (!this.trailsEnabled || !this.trailMesh) return;
-
-        this.trailUpdateCounter++;
-
-        // Only update trail history every 2 frames for smoother trails
-        if (this.trailUpdateCounter % 2 === 0) {
-            const positions = this.geometry.attributes.position.array;
-            const sampledCount = Math.floor(this.particleCount / this.trailSampleRate);
-
-            // Create snapshot of current positions (sampled)
-            const snapshot = new Float32Array(sampledCount * 3);
-            for (let i = 0; i < sampledCount; i++) {
-                const srcIdx = i * this.trailSampleRate * 3;
-                const dstIdx = i * 3;
-                snapshot[dstIdx] = positions[srcIdx];
-                snapshot[dstIdx + 1] = positions[srcIdx + 1];
-                snapshot[dstIdx + 2] = positions[srcIdx + 2];
-            }
-
-            // Add to history
-            this.trailHistory.unshift(snapshot);
-
-            // Keep only trailLength snapshots
-            while (this.trailHistory.length > this.trailLength) {
-                this.trailHistory.pop();
-            }
-        }
-
-        // Update trail geometry
-        if (this.trailHistory.length < 2) return;
+        if (!this.trailsEnabled || !this.trailRenderer) return;
 
-        const trailPositions = this.trailGeometry.attributes.position.array;
-        const trailColors = this.trailGeometry.attributes.color.array;
-        const sampledCount = Math.floor(this.particleCount / this.trailSampleRate);
-        const color = this.particleColor;
+        this.particles.updateMatrixWorld();
+        const decay = TrailRenderer.getDecay(this.trailLength, this.frameScale);
+        const uniforms = this.material.uniforms;
 
-        let idx = 0;
-        for (let i = 0; i < sampledCount; i++) {
-            const i3 = i * 3;
-
-            // Draw line segments between consecutive history positions
-            for (let h = 0; h < this.trailHistory.length - 1; h++) {
-                const current = this.trailHistory[h];
-                const previous = this.trailHistory[h + 1];
-
-                if (!current || !previous) continue;
-
-                // Position for start of segment
-                trailPositions[idx] = current[i3];
-                trailPositions[idx + 1] = current[i3 + 1];
-                trailPositions[idx + 2] = current[i3 + 2];
-
-                // Position for end of segment
-                trailPositions[idx + 3] = previous[i3];
-                trailPositions[idx + 4] = previous[i3 + 1];
-                trailPositions[idx + 5] = previous[i3 + 2];
-
-                // Color with fade based on trail position
-                const fadeStart = 1.0 - (h / this.trailLength);
-                const fadeEnd = 1.0 - ((h + 1) / this.trailLength);
-
-                // Start point color
-                trailColors[idx] = color.r * fadeStart;
-                trailColors[idx + 1] = color.g * fadeStart;
-                trailColors[idx + 2] = color.b * fadeStart;
-
-                // End point color
-                trailColors[idx + 3] = color.r * fadeEnd;
-                trailColors[idx + 4] = color.g * fadeEnd;
-                trailColors[idx + 5] = color.b * fadeEnd;
-
-                idx += 6;
-            }
-        }
-
-        // Clear remaining buffer
-        for (let i = idx; i < trailPositions.length; i++) {
-            trailPositions[i] = 0;
-            trailColors[i] = 0;
-        }
-
-        this.trailGeometry.attributes.position.needsUpdate = true;
-        this.trailGeometry.attributes.color.needsUpdate = true;
+        this.trailRenderer.accumulate(this.particles, this.camera, decay, (drawing) => {
+            // Premultiplied color with max blending: overlapping particles don't pile up into white
+            uniforms.trailPass.value = drawing;
+            this.material.blending = drawing ? THREE.CustomBlending : THREE.AdditiveBlending;
+        });
     }
 
+    /**
+     * @param {number} length - Frames at 60fps until a trail fades out
+     */
     setTrailLength(length) {
-        this.trailLength = Math.max(2, Math.min(20, length));
-        if (this.trailsEnabled) {
-            this.createTrails();
-        }
+        this.trailLength = Math.max(2, Math.min(120, length));
     }
 
     setTrailOpacity(opacity) {
         this.trailOpacity = opacity;
-        if (this.trailMaterial) {
-            this.trailMaterial.opacity = opacity;
+        if (this.trailRenderer) {
+            this.trailRenderer.setOpacity(opacity);
         }
     }
 
@@ -672,11 +1024,12 @@ export class ParticleSystem {
     // Settings setters
     setGestureData(gestureData) {
         this.gestureValue = gestureData.openness;
-        this.targetScale = 0.3 + this.gestureValue * 1.4;
+        this.targetScale = this.getOpennessScale();
         this.targetPinchValue = gestureData.pinch;
         this.handVelocity = gestureData.velocity;
         this.targetTurbulence = Math.min(1, gestureData.velocity.magnitude * 3);
         this.targetRotation = gestureData.rotation;
+        this.updateHandPosition(gestureData);
 
         if (gestureData.isPinching) {
             this.targetExplosionForce = -0.3;
@@ -685,31 +1038,485 @@ export class ParticleSystem {
         }
     }
 
+    /**
+     * Back to the no-hand rest state, targets and eased values alike (offline renders start from it)
+     */
+    clearGesture() {
+        this.gestureValue = 0.5;
+        this.targetScale = this.getOpennessScale();
+        this.currentScale = this.targetScale;
+        this.pinchValue = this.targetPinchValue = 0;
+        this.handVelocity = { x: 0, y: 0, z: 0, magnitude: 0 };
+        this.turbulence = this.targetTurbulence = 0;
+        this.handRotation = this.targetRotation = 0;
+        this.explosionForce = this.targetExplosionForce = 0;
+        this.handPosition = null;
+        this.fingertipPositions = [];
+    }
+
     setGestureValue(value) {
         this.gestureValue = Math.max(0, Math.min(1, value));
-        this.targetScale = 0.3 + this.gestureValue * 1.4;
+        this.targetScale = this.getOpennessScale();
+    }
+
+    /**
+     * Openness scales the shape, unless it's driving a pattern blend instead
+     */
+    getOpennessScale() {
+        if (this.blend && this.blendSource === 'openness') return 1;
+        return 0.3 + this.gestureValue * 1.4;
     }
 
     setPinchValue(value) {
         this.targetPinchValue = Math.max(0, Math.min(1, value));
     }
 
-    setPattern(patternName) {
-        if (patternName === this.currentPattern) return;
+    /**
+     * Place the palm and fingertips in the scene. The palm's on-screen size sets its depth
+     * (bigger = closer to the camera, HAND_REFERENCE_SIZE = the z = 0 plane through the cloud) and
+     * fingertips are offset from it by MediaPipe's relative depth; each point is then unprojected
+     * along its camera ray (coordinates are mirrored like the preview)
+     */
+    updateHandPosition(gestureData) {
+        if (!gestureData.isHandDetected || !gestureData.palm) {
+            this.handPosition = null;
+            this.fingertipPositions = [];
+            return;
+        }
+
+        const { palm, palmSize, fingertips } = gestureData;
+        const depth = palmSize > 0
+            ? Math.max(-HAND_DEPTH_RANGE, Math.min(HAND_DEPTH_RANGE, (palmSize / HAND_REFERENCE_SIZE - 1) * HAND_DEPTH_RANGE))
+            : 0;
+
+        this.handPosition = this.projectHandPoint(palm.x, palm.y, depth) || this.handPosition;
+        this.fingertipPositions = (fingertips || [])
+            .map(tip => this.projectHandPoint(tip.x, tip.y, depth + (palm.z - tip.z) * HAND_DEPTH_SCALE))
+            .filter(Boolean);
+    }
+
+    /**
+     * World position where the camera ray through normalized (x, y) crosses the plane z = depth
+     * @returns {THREE.Vector3|null}
+     */
+    projectHandPoint(x, y, depth) {
+        const point = new THREE.Vector3(1 - x * 2, 1 - y * 2, 0.5).unproject(this.camera);
+        const ray = point.sub(this.camera.position).normalize();
+        if (Math.abs(ray.z) < 1e-6) return null;
+
+        return this.camera.position.clone().addScaledVector(ray, (depth - this.camera.position.z) / ray.z);
+    }
+
+    /**
+     * @param {Object} options - { mode: 'off' | 'push' | 'pull' | 'swirl', strength, radius }
+     */
+    setHandTouch(options) {
+        const touch = { ...this.handTouch, ...options };
+        this.handTouch = {
+            mode: (HAND_TOUCH_TYPES[touch.mode] || touch.mode === 'off') ? touch.mode : 'push',
+            strength: Math.max(0, Number(touch.strength) || 0),
+            radius: Math.max(1, Number(touch.radius) || 25)
+        };
+    }
+
+    /**
+     * Touch fields for the palm and fingertips, in world space. Fingertips reach less far than
+     * the palm so single fingers can poke into the cloud; swirls turn around the camera ray
+     */
+    getHandTouchFields() {
+        const type = HAND_TOUCH_TYPES[this.handTouch.mode];
+        if (!type || !this.handPosition || this.handTouch.strength === 0) return [];
+
+        const { strength, radius } = this.handTouch;
+        const points = [
+            { position: this.handPosition, strength, radius },
+            ...this.fingertipPositions.map(position => ({
+                position, strength: strength * 0.6, radius: radius * 0.5
+            }))
+        ];
+
+        return points.map(point => ForceField.create(type, {
+            position: point.position.toArray(),
+            direction: point.position.clone().sub(this.camera.position).toArray(),
+            strength: point.strength,
+            radius: point.radius,
+            falloff: 'smooth'
+        }));
+    }
+
+    // Force fields
+    /**
+     * Replace every force field (presets, panel edits)
+     * @param {Array<Object>} fields - ForceField objects or partial ones (see ForceField.normalize)
+     */
+    setForceFields(fields) {
+        this.forceFields = fields
+            .map(field => ForceField.normalize(field))
+            .filter(Boolean)
+            .slice(0, MAX_FORCE_FIELDS);
+    }
+
+    /**
+     * @returns {number} The new field's index, or -1 when MAX_FORCE_FIELDS are already placed
+     */
+    addForceField(type, options = {}) {
+        if (this.forceFields.length >= MAX_FORCE_FIELDS) return -1;
+
+        const field = ForceField.create(type, options);
+        if (!field) return -1;
+        this.forceFields.push(field);
+        return this.forceFields.length - 1;
+    }
+
+    removeForceField(index) {
+        this.forceFields.splice(index, 1);
+    }
+
+    getForceFields() {
+        return this.forceFields.map(field => ({ ...field }));
+    }
 
+    /**
+     * Fields in particle space: the cloud rotates, so world positions and directions are turned
+     * back by its rotation; hand-anchored fields sit on the palm and drop out without a hand, and
+     * the hand's touch fields come last
+     */
+    getSimulationFields() {
+        const touchFields = this.getHandTouchFields();
+        if (this.forceFields.length === 0 && touchFields.length === 0) return [];
+
+        const toLocal = this.particles.quaternion.clone().invert();
+        const fields = [];
+        [...this.forceFields, ...touchFields].forEach(field => {
+            if (field.anchor === 'hand' && !this.handPosition) return;
+
+            const position = field.anchor === 'hand'
+                ? this.handPosition.clone()
+                : new THREE.Vector3().fromArray(field.position);
+            fields.push({
+                ...field,
+                position: position.applyQuaternion(toLocal).toArray(),
+                direction: new THREE.Vector3().fromArray(field.direction).applyQuaternion(toLocal).toArray()
+            });
+        });
+        return fields;
+    }
+
+    /**
+     * Morph to a registered pattern
+     * @param {Object} [params] - Overrides for the pattern's parameter schema (missing keys use defaults)
+     */
+    setPattern(patternName, params = {}) {
+        patternName = PatternGenerator.resolveName(patternName);
+        if (patternName === this.currentPattern && !this.blend) return;
+
+        // Start from wherever the targets are now, mid-transition included
+        this.morphOrigin = this.getSimulationTargets();
+
+        this.blend = null;
+        this.targetScale = this.getOpennessScale();
         this.currentPattern = patternName;
-        const generator = PatternGenerator.getPattern(patternName);
-        this.basePositions = generator(this.particleCount);
-        this.targetPositions = new Float32Array(this.basePositions);
+        this.patternParams = { ...params };
         this.velocities.fill(0);
+        this.generatePattern(this.morphOrigin);
+        ParticlePhysics.resetFlow();
+
+        if (this.gpuSimulation) {
+            this.gpuSimulation.resetVelocities();
+        }
+        if (this.workerSimulation) {
+            this.workerSimulation.resetVelocities();
+            this.workerSimulation.resetFlow();
+        }
+
+        this.startMorph(this.morphStyle);
+    }
+
+    /**
+     * Hold the particles between two patterns: t = 0 is pattern a, t = 1 is pattern b
+     * t follows setBlendWeight, or hand openness, pinch or audio level once bound with setBlendSource.
+     * Pattern a becomes the current pattern, so setPatternParams keeps editing its side
+     * @param {Object} [options] - paramsA / paramsB overrides for each pattern's schema
+     */
+    setPatternBlend(a, b, t = this.targetBlendWeight, { paramsA = {}, paramsB = {} } = {}) {
+        a = PatternGenerator.resolveName(a);
+        b = PatternGenerator.resolveName(b);
+        this.setBlendWeight(t);
+
+        const unchanged = this.blend &&
+            a === this.currentPattern && b === this.blend.pattern &&
+            JSON.stringify(paramsA) === JSON.stringify(this.patternParams) &&
+            JSON.stringify(paramsB) === JSON.stringify(this.blend.params);
+        if (unchanged) return;
+
+        // Entering a blend starts at the requested weight instead of easing in from 0
+        if (!this.blend) this.blendWeight = this.targetBlendWeight;
+
+        this.morphOrigin = this.getSimulationTargets();
+        this.currentPattern = a;
+        this.patternParams = { ...paramsA };
+        this.blend = { pattern: b, params: { ...paramsB }, from: null, to: null, fromLive: null, toLive: null, appliedWeight: null };
+        this.targetScale = this.getOpennessScale();
+        this.generatePattern(this.morphOrigin);
+        this.startMorph(this.morphStyle);
+    }
+
+    /**
+     * Drop side B and morph back to the current pattern alone
+     */
+    clearPatternBlend() {
+        if (!this.blend) return;
+
+        this.morphOrigin = this.getSimulationTargets();
+        this.blend = null;
+        this.targetScale = this.getOpennessScale();
+        this.generatePattern(this.morphOrigin);
+        this.startMorph(this.morphStyle);
+    }
+
+    /**
+     * Blend weight for the 'manual' source (0..1, eased toward)
+     */
+    setBlendWeight(t) {
+        this.targetBlendWeight = Math.max(0, Math.min(1, t));
+    }
+
+    /**
+     * What drives the blend weight: 'manual', 'openness', 'pinch' or 'audio'
+     */
+    setBlendSource(source) {
+        this.blendSource = source;
+        this.targetScale = this.getOpennessScale();
+    }
+
+    getBlendWeight() {
+        return this.blendWeight;
+    }
+
+    /**
+     * Write the blend between both (possibly animated) sides at the current weight into target
+     */
+    blendPositions(target) {
+        const { fromLive: from, toLive: to } = this.blend;
+        const t = this.blendWeight;
+        for (let i = 0; i < target.length; i++) {
+            target[i] = from[i] + (to[i] - from[i]) * t;
+        }
+        this.blend.appliedWeight = t;
+        return target;
+    }
+
+    /**
+     * Ease the blend weight toward its driver and re-blend when it (or an animated side) moved
+     * @returns {boolean} Whether basePositions changed
+     */
+    updateBlend(deltaTime, audioLevel, sidesChanged) {
+        const drivers = { openness: this.gestureValue, pinch: this.pinchValue, audio: audioLevel };
+        const target = drivers[this.blendSource] ?? this.targetBlendWeight;
+        this.blendWeight += (Math.max(0, Math.min(1, target)) - this.blendWeight) * this.smoothFactor(0.1, deltaTime);
+
+        if (!sidesChanged && Math.abs(this.blendWeight - this.blend.appliedWeight) <= 0.001) return false;
+
+        // In place, so a running morph transition heads for the new blend too
+        this.blendPositions(this.basePositions);
+        return true;
+    }
+
+    /**
+     * Turn per-frame motion of animated patterns (rippling wave, beating heart...) on or off
+     */
+    setPatternAnimation(enabled) {
+        this.animatePatterns = enabled;
+        if (enabled) return;
+
+        // Settle back on the rest pose
+        this.patternAnimations.forEach(({ rest, live }) => live.set(rest));
+        if (this.blend) this.blendPositions(this.basePositions);
+        if (!this.morphTransition) this.pushSimulationTargets();
+    }
+
+    /**
+     * Run the update hooks of animated patterns against their rest poses, on time since each was applied
+     * @returns {boolean} Whether any positions were rewritten
+     */
+    updatePatternAnimation() {
+        if (!this.animatePatterns || this.patternAnimations.length === 0) return false;
+
+        this.patternAnimations.forEach(({ update, params, rest, live, start }) => update(this.time - start, live, rest, params));
+        return true;
+    }
+
+    /**
+     * Choose how pattern changes animate
+     * @param {string} style - Key of MORPH_STYLES ('spring' keeps the classic direct spring)
+     * @param {Object} [options] - duration (s) and easing overrides; omit for the style's defaults
+     */
+    setMorphStyle(style, { duration = null, easing = null } = {}) {
+        if (!MORPH_STYLES[style]) return;
+
+        this.morphStyle = style;
+        this.morphDuration = duration;
+        this.morphEasing = easing;
+    }
+
+    setMatchMorphPaths(enabled) {
+        this.matchMorphPaths = enabled;
+    }
+
+    /**
+     * Animate targets from the pre-change positions to the current pattern
+     */
+    startMorph(style) {
+        const settings = MORPH_STYLES[style];
+        const duration = style === this.morphStyle && this.morphDuration !== null ? this.morphDuration : settings.duration;
+
+        if (style === 'spring' || duration <= 0 || !this.morphOrigin || this.morphOrigin.length !== this.basePositions.length) {
+            if (this.morphTransition) {
+                this.morphTransition = null;
+                this.pushSimulationTargets();
+            }
+            return;
+        }
+
+        const easing = style === this.morphStyle ? this.morphEasing : null;
+        this.morphTransition = new MorphTransition(this.morphOrigin, this.basePositions, style, { duration, easing }, this.random);
+    }
+
+    /**
+     * What the physics pulls particles toward: the moving transition targets, or the pattern itself
+     */
+    getSimulationTargets() {
+        return this.morphTransition ? this.morphTransition.targets : this.basePositions;
+    }
+
+    pushSimulationTargets() {
+        const targets = this.getSimulationTargets();
+        if (this.gpuSimulation) {
+            this.gpuSimulation.setBasePositions(targets);
+        }
+        if (this.workerSimulation) {
+            this.workerSimulation.setBasePositions(targets);
+        }
+    }
+
+    updateMorphTransition(deltaTime) {
+        if (!this.morphTransition.update(deltaTime)) {
+            this.morphTransition = null;
+        }
+        this.pushSimulationTargets();
+    }
+
+    /**
+     * Replace the current pattern's parameters; particles keep their momentum and re-morph live
+     */
+    setPatternParams(params) {
+        this.patternParams = { ...params };
+        this.generatePattern();
+    }
+
+    getPatternParams() {
+        return { ...this.patternParams };
+    }
+
+    /**
+     * Regenerate base positions for the current pattern and params, then recolor and
+     * hand them to whichever simulation backend is active
+     * @param {Float32Array} [matchFrom] - Previous targets to pair the new points with (when matching is on)
+     */
+    generatePattern(matchFrom = null) {
+        const generator = PatternGenerator.getPatternWithColors(this.currentPattern, this.random);
+        let { positions, colors } = generator(this.particleCount, this.patternParams);
+
+        if (matchFrom && this.matchMorphPaths && matchFrom.length === positions.length) {
+            const matched = MorphTransition.matchPoints(matchFrom, positions);
+            positions = matched.positions;
+            if (colors) colors = MorphTransition.reorder(colors, matched.order, 3);
+        }
+
+        // Animated patterns keep the generated shape as a rest pose and move a live copy. Their clock
+        // starts when the pattern is applied and keeps running through parameter edits
+        const update = PatternGenerator.getPatternUpdater(this.currentPattern);
+        const startTimes = new Map(this.patternAnimations.map(({ pattern, start }) => [pattern, start]));
+        const animation = (pattern, fields) => ({ pattern, start: startTimes.get(pattern) ?? this.time, ...fields });
+        this.patternAnimations = [];
+
+        if (this.blend) {
+            // Side B is always paired with side A so in-between shapes stay coherent
+            const other = PatternGenerator.getPatternWithColors(this.blend.pattern, this.random)(this.particleCount, this.blend.params);
+            const otherUpdate = PatternGenerator.getPatternUpdater(this.blend.pattern);
+            const matched = MorphTransition.matchPoints(positions, other.positions);
+            this.blend.from = positions;
+            this.blend.to = matched.positions;
+            this.blend.fromLive = update ? new Float32Array(positions) : positions;
+            this.blend.toLive = otherUpdate ? new Float32Array(matched.positions) : matched.positions;
+            if (update) {
+                this.patternAnimations.push(animation(this.currentPattern, { update, params: this.patternParams, rest: this.blend.from, live: this.blend.fromLive }));
+            }
+            if (otherUpdate) {
+                this.patternAnimations.push(animation(this.blend.pattern, { update: otherUpdate, params: this.blend.params, rest: this.blend.to, live: this.blend.toLive }));
+            }
+            if (!colors && other.colors) colors = MorphTransition.reorder(other.colors, matched.order, 3);
+            positions = this.blendPositions(new Float32Array(positions.length));
+        } else if (update) {
+            const rest = positions;
+            positions = new Float32Array(rest);
+            this.patternAnimations.push(animation(this.currentPattern, { update, params: this.patternParams, rest, live: positions }));
+        }
+
+        this.basePositions = positions;
+        this.patternColors = colors;
+        this.targetPositions = new Float32Array(this.basePositions);
+        this.updateColors();
+
+        // A running transition heads for the regenerated shape instead
+        if (this.morphTransition) {
+            this.morphTransition.setTarget(this.basePositions);
+        }
+        this.pushSimulationTargets();
     }
 
     setColor(hexColor) {
         this.particleColor.set(hexColor);
-        this.material.uniforms.color.value = this.particleColor;
-        if (this.connectionMaterial) {
-            this.connectionMaterial.color.set(hexColor);
+        this.gradientStops = null;
+        this.updateColors();
+    }
+
+    /**
+     * Color particles with a multi-stop gradient
+     * @param {Array<string>} stops - Hex colors, two or more
+     * @param {string} mode - 'axis', 'radius' or 'index' (keeps current if omitted)
+     */
+    setGradient(stops, mode = this.gradientMode) {
+        if (!stops || stops.length < 2) {
+            this.setColor(stops && stops[0] ? stops[0] : this.particleColor.getHex());
+            return;
         }
+
+        this.gradientStops = stops.map(stop => new THREE.Color(stop));
+        this.particleColor.copy(this.gradientStops[0]);
+        this.gradientMode = mode;
+        this.updateColors();
+    }
+
+    setGradientMode(mode) {
+        this.gradientMode = mode;
+        this.updateColors();
+    }
+
+    /**
+     * Use per-particle colors from patterns that provide them instead of the color/gradient
+     */
+    setSourceColors(enabled) {
+        this.useSourceColors = enabled;
+        this.updateColors();
+    }
+
+    /**
+     * @param {string} axis - 'x', 'y' or 'z', for the 'axis' gradient mode
+     */
+    setGradientAxis(axis) {
+        this.gradientAxis = axis;
+        this.updateColors();
     }
 
     setParticleSize(multiplier) {
@@ -735,6 +1542,16 @@ export class ParticleSystem {
         this.idleAmplitude = this.baseIdleAmplitude * multiplier;
     }
 
+    /**
+     * Shape of the curl-noise flow used by turbulence and idle floating
+     * @param {Object} options - { scale, speed, octaves } (missing keys keep their value)
+     */
+    setTurbulenceNoise(options) {
+        if (Number.isFinite(options.scale)) this.noiseScale = Math.max(0.001, options.scale);
+        if (Number.isFinite(options.speed)) this.noiseSpeed = Math.max(0, options.speed);
+        if (Number.isFinite(options.octaves)) this.noiseOctaves = Math.max(1, Math.min(MAX_NOISE_OCTAVES, Math.round(options.octaves)));
+    }
+
     setAutoRotate(enabled) {
         this.autoRotate = enabled;
     }
@@ -753,6 +1570,25 @@ export class ParticleSystem {
         }
     }
 
+    /**
+     * @param {Object} settings - { mode: 'nearest' | 'radius', distance, neighbors, maxConnections }
+     *                            (missing keys keep their value)
+     */
+    setConnectionSettings(settings) {
+        if (settings.mode === 'nearest' || settings.mode === 'radius') this.connectionMode = settings.mode;
+        if (Number.isFinite(settings.distance)) this.connectionDistance = Math.max(1, settings.distance);
+        if (Number.isFinite(settings.neighbors)) this.connectionNeighbors = Math.max(1, Math.round(settings.neighbors));
+
+        if (Number.isFinite(settings.maxConnections) && Math.round(settings.maxConnections) !== this.maxConnections) {
+            this.maxConnections = Math.max(1, Math.round(settings.maxConnections));
+            if (this.connectionLines) {
+                // The line buffer is sized to the budget
+                this.createConnections();
+                this.connectionLines.visible = this.connectionsEnabled;
+            }
+        }
+    }
+
     setConnectionsEnabled(enabled) {
         this.connectionsEnabled = enabled;
         if (enabled && !this.connectionLines) {
@@ -765,15 +1601,14 @@ export class ParticleSystem {
 
     setTrailsEnabled(enabled) {
         this.trailsEnabled = enabled;
-        if (enabled && !this.trailMesh) {
+        if (enabled && !this.trailRenderer) {
             this.createTrails();
+        } else if (enabled) {
+            // Don't resume with trails frozen from when they were switched off
+            this.trailRenderer.clear();
         }
-        if (this.trailMesh) {
-            this.trailMesh.visible = enabled;
-        }
-        // Clear history when disabled
-        if (!enabled) {
-            this.trailHistory = [];
+        if (this.trailRenderer) {
+            this.trailRenderer.overlay.visible = enabled;
         }
     }
 
@@ -804,15 +1639,37 @@ export class ParticleSystem {
     setParticleCount(count) {
         if (count === this.particleCount) return;
 
+        this.particleCount = count;
+        this.rebuildParticles();
+    }
+
+    /**
+     * Seed every random source (patterns, particle sizes, the turbulence flow) and restart the run from it
+     * With a fixed time step and the CPU backend, the same seed, settings and input sequence
+     * produce bit-identical position buffers. Pass null to go back to Math.random
+     */
+    setSeed(seed) {
+        this.seed = seed === null || seed === undefined || seed === '' ? null : SeededRandom.normalizeSeed(seed);
+        this.random = this.seed === null ? Math.random : SeededRandom.create(this.seed);
+        this.time = 0;
+        this.patternAnimations = []; // Animated patterns restart their clocks with the run
+        ParticlePhysics.resetFlow(); // The worker backend gets a fresh worker with the rebuild
+        this.rebuildParticles();
+    }
+
+    getSeed() {
+        return this.seed;
+    }
+
+    /**
+     * Recreate the particle geometry and regenerate the current pattern
+     */
+    rebuildParticles() {
         this.scene.remove(this.particles);
         this.geometry.dispose();
 
-        this.particleCount = count;
         this.createParticles();
-
-        const generator = PatternGenerator.getPattern(this.currentPattern);
-        this.basePositions = generator(this.particleCount);
-        this.targetPositions = new Float32Array(this.basePositions);
+        this.generatePattern();
     }
 
     // LOD system
@@ -851,18 +1708,64 @@ export class ParticleSystem {
         return this.currentLOD || 1;
     }
 
+    /**
+     * Seconds since the previous frame, clamped; fixed when a fixed time step is set
+     */
+    getDeltaTime() {
+        const now = performance.now();
+        const elapsed = this.lastUpdateTime === null ? 1 / this.referenceFPS : (now - this.lastUpdateTime) / 1000;
+        this.lastUpdateTime = now;
+
+        if (this.fixedTimeStep) return this.fixedTimeStep;
+        return Math.max(0, Math.min(this.maxDeltaTime, elapsed));
+    }
+
+    /**
+     * Use a fixed simulation step (seconds) instead of the real clock, or null for real time
+     * Each rendered frame then advances exactly one step, so recordings and tests are repeatable
+     */
+    setFixedTimeStep(step) {
+        this.fixedTimeStep = step > 0 ? step : null;
+    }
+
+    /**
+     * Convert a per-frame lerp rate (tuned at 60fps) into a factor for this delta time
+     */
+    smoothFactor(rate, deltaTime) {
+        return 1 - Math.pow(1 - rate, deltaTime * this.referenceFPS);
+    }
+
     animate() {
         requestAnimationFrame(() => this.animate());
+        if (this.externalClock) return;
+
+        this.update(this.getDeltaTime());
+        this.render();
+    }
 
-        const deltaTime = 0.016;
+    /**
+     * Advance the whole scene by deltaTime seconds without rendering
+     */
+    update(deltaTime) {
         this.time += deltaTime;
+        this.frameScale = deltaTime * this.referenceFPS;
+
+        this.updateHooks.forEach(hook => hook(deltaTime));
+        this.morphOrigin = null;
+
+        // Move transition targets before the physics step reads them
+        if (this.morphTransition) {
+            this.updateMorphTransition(deltaTime);
+        }
 
         // Update LOD
         this.updateLOD();
 
         // Update audio
-        const audioLevel = this.updateAudio();
+        const audioLevel = this.updateAudio(deltaTime);
+        const audio = this.audioModulation;
         this.material.uniforms.audioLevel.value = audioLevel;
+        this.material.uniforms.hueShift.value = audio.hue;
         this.material.uniforms.time.value = this.time;
 
         if (this.backgroundMesh) {
@@ -871,50 +1774,124 @@ export class ParticleSystem {
         }
 
         // Smooth interpolation
-        this.currentScale += (this.targetScale - this.currentScale) * 0.08;
-        this.pinchValue += (this.targetPinchValue - this.pinchValue) * 0.1;
-        this.turbulence += (this.targetTurbulence - this.turbulence) * 0.05;
-        this.explosionForce += (this.targetExplosionForce - this.explosionForce) * 0.08;
-        this.mouseInfluence += (this.targetMouseInfluence - this.mouseInfluence) * 0.1;
+        this.currentScale += (this.targetScale - this.currentScale) * this.smoothFactor(0.08, deltaTime);
+        this.pinchValue += (this.targetPinchValue - this.pinchValue) * this.smoothFactor(0.1, deltaTime);
+        this.turbulence += (this.targetTurbulence - this.turbulence) * this.smoothFactor(0.05, deltaTime);
+        this.explosionForce += (this.targetExplosionForce - this.explosionForce) * this.smoothFactor(0.08, deltaTime);
+        this.mouseInfluence += (this.targetMouseInfluence - this.mouseInfluence) * this.smoothFactor(0.1, deltaTime);
 
         // Update shader uniforms
-        this.material.uniforms.glowIntensity.value = this.baseGlowIntensity + this.pinchValue * 1.5 + audioLevel * 0.5;
-        this.material.uniforms.pointSize.value = 3.0 * this.sizeMultiplier + this.pinchValue * 2.0 + audioLevel * 1.5;
+        this.material.uniforms.glowIntensity.value = this.baseGlowIntensity + this.pinchValue * 1.5 + audioLevel * 0.5 + audio.glow;
+        this.material.uniforms.pointSize.value = 3.0 * this.sizeMultiplier + this.pinchValue * 2.0 + audioLevel * 1.5 + audio.pointSize;
+
+        // Animated patterns and the blend weight (manual, or driven by openness, pinch or audio)
+        // rewrite the targets in place
+        const animated = this.updatePatternAnimation();
+        const blended = this.blend ? this.updateBlend(deltaTime, audioLevel, animated) : false;
+        if ((animated || blended) && !this.morphTransition) {
+            this.pushSimulationTargets();
+        }
 
         // Update positions
-        this.updatePositions(deltaTime);
+        if (this.gpuSimulation) {
+            this.updatePositionsGPU(deltaTime);
+        } else if (this.workerSimulation) {
+            this.updatePositionsWorker(deltaTime);
+        } else {
+            this.updatePositions(deltaTime);
+        }
 
         // Update connections
         if (this.connectionsEnabled) {
             this.updateConnections();
         }
 
-        // Update trails
-        if (this.trailsEnabled) {
-            this.updateTrails();
-            // Keep trail mesh rotation synced with particles
-            if (this.trailMesh) {
-                this.trailMesh.rotation.copy(this.particles.rotation);
-            }
-        }
-
-        // Rotation
+        // Rotation (per-frame speeds scaled to real time)
         if (this.autoRotate) {
             this.rotationSpeed = (this.baseRotationSpeed * this.rotationMultiplier) + this.turbulence * 0.003;
-            this.particles.rotation.y += this.rotationSpeed;
+            this.particles.rotation.y += this.rotationSpeed * this.frameScale;
         }
+        this.particles.rotation.y += audio.rotation * this.frameScale;
 
         // Mouse influence on rotation
         if (this.mouseInfluence > 0.01) {
-            this.particles.rotation.x += this.mouse.y * this.mouseInfluence * 0.02;
-            this.particles.rotation.y += this.mouse.x * this.mouseInfluence * 0.02;
+            this.particles.rotation.x += this.mouse.y * this.mouseInfluence * 0.02 * this.frameScale;
+            this.particles.rotation.y += this.mouse.x * this.mouseInfluence * 0.02 * this.frameScale;
         }
 
         // Tilt
         const targetTiltX = Math.sin(this.time * 0.5) * 0.1 + this.targetRotation * 0.3;
-        this.particles.rotation.x += (targetTiltX - this.particles.rotation.x) * 0.05;
+        this.particles.rotation.x += (targetTiltX - this.particles.rotation.x) * this.smoothFactor(0.05, deltaTime);
+    }
+
+    /**
+     * Run fn(deltaTime) every update, on the same clock as the simulation (fixed step included)
+     * @returns {Function} Removes the hook
+     */
+    addUpdateHook(fn) {
+        this.updateHooks.push(fn);
+        return () => {
+            this.updateHooks = this.updateHooks.filter(hook => hook !== fn);
+        };
+    }
+
+    /**
+     * Kick the particles outward; decays back to the gesture-driven target through the usual smoothing
+     */
+    pulseExplosion(strength = 0.5) {
+        this.explosionForce = Math.max(this.explosionForce, strength);
+    }
+
+    /**
+     * How particles travel to a newly set pattern; call right after setPattern
+     * 'morph' uses the configured morph style, 'burst' kicks them outward first, 'cut' jumps
+     * instantly, and a MORPH_STYLES key replays the change with that style
+     */
+    playTransition(type) {
+        switch (type) {
+            case 'morph':
+                break;
+
+            case 'burst':
+                this.pulseExplosion();
+                break;
+
+            case 'cut':
+                this.morphTransition = null;
+                this.snapToPattern();
+                break;
+
+            default:
+                if (MORPH_STYLES[type] && this.morphOrigin) this.startMorph(type);
+        }
+    }
+
+    /**
+     * Place every particle on its target immediately, on whichever backend is active
+     */
+    snapToPattern() {
+        const positions = this.geometry.attributes.position.array;
+        for (let i = 0; i < this.particleCount * 3; i++) {
+            positions[i] = this.basePositions[i] * this.currentScale;
+        }
+        this.velocities.fill(0);
+        this.geometry.attributes.position.needsUpdate = true;
+
+        if (this.gpuSimulation) {
+            this.gpuSimulation.setPositions(positions);
+            this.gpuSimulation.resetVelocities();
+        }
+        if (this.workerSimulation) {
+            this.workerSimulation.setPositions(positions);
+            this.workerSimulation.resetVelocities();
+        }
+    }
+
+    render() {
+        if (this.trailsEnabled) {
+            this.updateTrails();
+        }
 
-        // Render
         if (this.composer && this.bloomEnabled) {
             this.composer.render();
         } else {
@@ -922,99 +1899,82 @@ export class ParticleSystem {
         }
     }
 
-    updatePositions(deltaTime) {
-        const positions = this.geometry.attributes.position.array;
-        const damping = 0.95;
-        const morphForce = this.morphSpeed;
+    updatePositionsGPU(deltaTime) {
+        this.gpuSimulation.step(this.getSimulationParams());
+        this.material.uniforms.positionTexture.value = this.gpuSimulation.getPositionTexture();
 
-        for (let i = 0; i < this.particleCount; i++) {
-            const i3 = i * 3;
+        // Connections still work on CPU positions, so read back only when they need them. The read
+        // stalls the pipeline, so lines follow the particles every few frames rather than every frame
+        if (this.connectionsEnabled && this.connectionReadbackFrame++ % this.connectionReadbackInterval === 0) {
+            this.gpuSimulation.readPositions(this.geometry.attributes.position.array);
+        }
+    }
 
-            // Store previous position for trails
-            if (this.trailsEnabled) {
-                this.previousPositions[i3] = positions[i3];
-                this.previousPositions[i3 + 1] = positions[i3 + 1];
-                this.previousPositions[i3 + 2] = positions[i3 + 2];
-            }
+    /**
+     * Wait for the worker to finish the step the last update started and show its positions, so
+     * offline rendering gets exactly one simulation step per frame on every backend
+     */
+    async settleSimulation() {
+        if (!this.workerSimulation) return;
+
+        await this.workerSimulation.whenIdle();
+        this.geometry.attributes.position.needsUpdate = true;
+    }
 
-            // Get base target position
-            const baseX = this.basePositions[i3];
-            const baseY = this.basePositions[i3 + 1];
-            const baseZ = this.basePositions[i3 + 2];
-
-            // Apply scale
-            const targetX = baseX * this.currentScale;
-            const targetY = baseY * this.currentScale;
-            const targetZ = baseZ * this.currentScale;
-
-            // Current position
-            const currentX = positions[i3];
-            const currentY = positions[i3 + 1];
-            const currentZ = positions[i3 + 2];
-
-            // Direction from center
-            const dist = Math.sqrt(currentX * currentX + currentY * currentY + currentZ * currentZ);
-            const dirX = dist > 0 ? currentX / dist : 0;
-            const dirY = dist > 0 ? currentY / dist : 0;
-            const dirZ = dist > 0 ? currentZ / dist : 0;
-
-            // Morphing force
-            const morphX = (targetX - currentX) * morphForce;
-            const morphY = (targetY - currentY) * morphForce;
-            const morphZ = (targetZ - currentZ) * morphForce;
-
-            // Explosion/implosion
-            const explosionX = dirX * this.explosionForce * 5;
-            const explosionY = dirY * this.explosionForce * 5;
-            const explosionZ = dirZ * this.explosionForce * 5;
-
-            // Turbulence
-            const turbX = (Math.random() - 0.5) * this.turbulence * 2;
-            const turbY = (Math.random() - 0.5) * this.turbulence * 2;
-            const turbZ = (Math.random() - 0.5) * this.turbulence * 2;
-
-            // Audio reactive movement
-            const audioMoveX = this.audioInfluence * dirX * Math.sin(this.time * 5 + i * 0.1) * 2;
-            const audioMoveY = this.audioInfluence * dirY * Math.sin(this.time * 5 + i * 0.1) * 2;
-            const audioMoveZ = this.audioInfluence * dirZ * Math.sin(this.time * 5 + i * 0.1) * 2;
-
-            // Update velocities
-            this.velocities[i3] = (this.velocities[i3] + morphX + explosionX + turbX + audioMoveX) * damping;
-            this.velocities[i3 + 1] = (this.velocities[i3 + 1] + morphY + explosionY + turbY + audioMoveY) * damping;
-            this.velocities[i3 + 2] = (this.velocities[i3 + 2] + morphZ + explosionZ + turbZ + audioMoveZ) * damping;
-
-            // Apply velocities
-            positions[i3] += this.velocities[i3];
-            positions[i3 + 1] += this.velocities[i3 + 1];
-            positions[i3 + 2] += this.velocities[i3 + 2];
-
-            // Idle floating
-            const idleFactor = 1 - this.turbulence * 0.8;
-            const idleOffset = Math.sin(this.time * this.idleSpeed * 1000 + i * 0.01) * this.idleAmplitude * idleFactor;
-            positions[i3] += Math.sin(this.time + i * 0.1) * idleOffset * 0.05;
-            positions[i3 + 1] += idleOffset * 0.5;
-            positions[i3 + 2] += Math.cos(this.time + i * 0.1) * idleOffset * 0.05;
+    updatePositionsWorker(deltaTime) {
+        if (this.workerSimulation.step(this.getSimulationParams())) {
+            this.geometry.attributes.position.needsUpdate = true;
         }
+    }
+
+    updatePositions(deltaTime) {
+        const positions = this.geometry.attributes.position.array;
+
+        ParticlePhysics.step(positions, this.velocities, this.getSimulationTargets(), this.particleCount, this.getSimulationParams());
 
         this.geometry.attributes.position.needsUpdate = true;
     }
 
     onResize() {
-        const width = window.innerWidth;
-        const height = window.innerHeight;
+        // Offline rendering holds the video size until it's done, then calls this itself
+        if (this.externalClock) return;
+
+        this.setRenderSize(window.innerWidth, window.innerHeight, {
+            pixelRatio: Math.min(window.devicePixelRatio, 2)
+        });
+    }
 
+    /**
+     * Size the camera, renderer, post-processing and trails
+     * @param {Object} [options] - pixelRatio (defaults to the current one); updateStyle false keeps
+     *                             the canvas's CSS size, so a video-sized render still fits the page
+     */
+    setRenderSize(width, height, { pixelRatio = this.renderer.getPixelRatio(), updateStyle = true } = {}) {
         this.camera.aspect = width / height;
         this.camera.updateProjectionMatrix();
-        this.renderer.setSize(width, height);
+        this.renderer.setPixelRatio(pixelRatio);
+        this.renderer.setSize(width, height, updateStyle);
 
         if (this.composer) {
+            this.composer.setPixelRatio(pixelRatio);
             this.composer.setSize(width, height);
         }
+        if (this.trailRenderer) {
+            const size = this.renderer.getDrawingBufferSize(new THREE.Vector2());
+            this.trailRenderer.setSize(size.x, size.y);
+        }
     }
 
     dispose() {
         this.geometry.dispose();
         this.material.dispose();
+
+        if (this.gpuSimulation) {
+            this.gpuSimulation.dispose();
+        }
+        if (this.workerSimulation) {
+            this.workerSimulation.dispose();
+        }
         this.renderer.dispose();
 
         if (this.connectionGeometry) {
@@ -1027,14 +1987,12 @@ export class ParticleSystem {
             this.backgroundMesh.geometry.dispose();
             this.backgroundMesh.material.dispose();
         }
-        if (this.trailGeometry) {
-            this.trailGeometry.dispose();
-        }
-        if (this.trailMaterial) {
-            this.trailMaterial.dispose();
+        if (this.trailRenderer) {
+            this.trailRenderer.dispose();
         }
 
         this.stopAudio();
+        this.audioInput.dispose();
         this.container.removeChild(this.renderer.domElement);
     }
 }
@@ -3,6 +3,18 @@
  * Uses structured UV surface distribution for flowing wireframe aesthetics
  */
 
+// Source of randomness for the generator currently running (swapped by getPattern)
+let random = Math.random;
+
+// Registered patterns (name -> { generate, meta }); Map keeps registration order for cycling
+const registry = new Map();
+const listeners = new Set();
+
+// Retired pattern names (old name -> registered name), so presets and scripts that use them still load
+const aliases = new Map();
+
+const DEFAULT_ICON = '<svg viewBox="0 0 40 40"><circle cx="20" cy="20" r="14" fill="none" stroke="currentColor" stroke-width="2" stroke-dasharray="3 3"/><circle cx="20" cy="20" r="3" fill="currentColor"/></svg>';
+
 export class PatternGenerator {
     /**
      * Generate positions for a spherical surface distribution
@@ -24,8 +36,8 @@ export class PatternGenerator {
                 const v = (i / (gridV - 1)) * Math.PI;
 
                 // Small perturbation for natural look
-                const noiseU = (Math.random() - 0.5) * 0.05;
-                const noiseV = (Math.random() - 0.5) * 0.05;
+                const noiseU = (random() - 0.5) * 0.05;
+                const noiseV = (random() - 0.5) * 0.05;
 
                 const phi = u + noiseU;
                 const theta = v + noiseV;
@@ -63,8 +75,8 @@ export class PatternGenerator {
                 const v = (j / gridV) * Math.PI * 2;
 
                 // Small noise
-                const noiseU = (Math.random() - 0.5) * 0.03;
-                const noiseV = (Math.random() - 0.5) * 0.03;
+                const noiseU = (random() - 0.5) * 0.03;
+                const noiseV = (random() - 0.5) * 0.03;
 
                 const uN = u + noiseU;
                 const vN = v + noiseV;
@@ -103,7 +115,7 @@ export class PatternGenerator {
                 const u = (j / gridU) * Math.PI * 2;
                 const v = (i / (gridV - 1)) * Math.PI;
 
-                const noise = (Math.random() - 0.5) * 0.03;
+                const noise = (random() - 0.5) * 0.03;
                 const phi = u + noise;
                 const theta = v + noise;
 
@@ -129,10 +141,10 @@ export class PatternGenerator {
                 const angle = (j / ringGridU) * Math.PI * 2;
                 const r = ringInner + (i / ringGridV) * (ringOuter - ringInner);
 
-                const noise = (Math.random() - 0.5) * 0.02;
+                const noise = (random() - 0.5) * 0.02;
 
                 const x = Math.cos(angle + noise) * r;
-                const y = (Math.random() - 0.5) * 2; // Very thin
+                const y = (random() - 0.5) * 2; // Very thin
                 const z = Math.sin(angle + noise) * r;
 
                 positions[idx * 3] = x;
@@ -165,7 +177,7 @@ export class PatternGenerator {
                 const angle = t * turns * Math.PI * 2 + offset;
                 const y = (t - 0.5) * height;
 
-                const noise = (Math.random() - 0.5) * 0.02;
+                const noise = (random() - 0.5) * 0.02;
 
                 const x = Math.cos(angle + noise) * radius;
                 const z = Math.sin(angle + noise) * radius;
@@ -201,12 +213,12 @@ export class PatternGenerator {
                 const spiralAngle = t * Math.PI * 2 + arm * armOffset;
 
                 // Add slight spread
-                const spread = (Math.random() - 0.5) * 0.3 * (1 - t * 0.5);
+                const spread = (random() - 0.5) * 0.3 * (1 - t * 0.5);
                 const angle = spiralAngle + spread;
 
                 const x = Math.cos(angle) * distance;
                 const z = Math.sin(angle) * distance;
-                const y = (Math.random() - 0.5) * 3 * (1 - t * 0.7); // Thinner at edges
+                const y = (random() - 0.5) * 3 * (1 - t * 0.7); // Thinner at edges
 
                 positions[idx * 3] = x;
                 positions[idx * 3 + 1] = y;
@@ -217,11 +229,11 @@ export class PatternGenerator {
 
         // Fill remaining with center bulge
         while (idx < count) {
-            const r = Math.random() * radius * 0.2;
-            const angle = Math.random() * Math.PI * 2;
+            const r = random() * radius * 0.2;
+            const angle = random() * Math.PI * 2;
 
             positions[idx * 3] = Math.cos(angle) * r;
-            positions[idx * 3 + 1] = (Math.random() - 0.5) * 8;
+            positions[idx * 3 + 1] = (random() - 0.5) * 8;
             positions[idx * 3 + 2] = Math.sin(angle) * r;
             idx++;
         }
@@ -229,6 +241,29 @@ export class PatternGenerator {
         return positions;
     }
 
+    /**
+     * Differential rotation: the disc spins steadily while the core swings ahead of the rim and
+     * back, so the arms wind and unwind instead of shearing without limit
+     * @param {number} time - Seconds since the pattern was applied
+     */
+    static animateGalaxy(time, positions, rest, speed = 1) {
+        const spin = time * speed * 0.1;
+        const wind = 6 * Math.sin(time * speed * 0.15);
+
+        for (let i = 0; i < positions.length; i += 3) {
+            const x = rest[i];
+            const z = rest[i + 2];
+            const r = Math.sqrt(x * x + z * z);
+            const angle = spin + wind / Math.sqrt(r + 4);
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
+
+            positions[i] = x * cos - z * sin;
+            positions[i + 1] = rest[i + 1];
+            positions[i + 2] = x * sin + z * cos;
+        }
+    }
+
     /**
      * Cube - wireframe style surface
      */
@@ -256,7 +291,7 @@ export class PatternGenerator {
                     const u = (i / (gridSize - 1)) * 2 - 1;
                     const v = (j / (gridSize - 1)) * 2 - 1;
 
-                    const noise = (Math.random() - 0.5) * 0.02;
+                    const noise = (random() - 0.5) * 0.02;
 
                     let x, y, z;
                     if (face.axis === 'x') {
@@ -303,7 +338,7 @@ export class PatternGenerator {
             for (let j = 0; j < baseGrid && idx < perFace; j++) {
                 const x = ((i / (baseGrid - 1)) - 0.5) * size;
                 const z = ((j / (baseGrid - 1)) - 0.5) * size;
-                const noise = (Math.random() - 0.5) * 0.02 * size;
+                const noise = (random() - 0.5) * 0.02 * size;
 
                 positions[idx * 3] = x + noise;
                 positions[idx * 3 + 1] = -height / 2;
@@ -334,7 +369,7 @@ export class PatternGenerator {
                     const z = baseZ * (1 - t);
                     const y = -height / 2 + t * height;
 
-                    const noise = (Math.random() - 0.5) * 0.02;
+                    const noise = (random() - 0.5) * 0.02;
 
                     positions[idx * 3] = x + noise * size;
                     positions[idx * 3 + 1] = y;
@@ -362,7 +397,7 @@ export class PatternGenerator {
                 const u = (i / gridU) * Math.PI * 2;
                 const v = (j / gridV) * Math.PI - Math.PI / 2;
 
-                const noise = (Math.random() - 0.5) * 0.03;
+                const noise = (random() - 0.5) * 0.03;
 
                 // Heart parametric equations
                 const x = 16 * Math.pow(Math.sin(u + noise), 3);
@@ -379,6 +414,20 @@ export class PatternGenerator {
         return positions;
     }
 
+    /**
+     * Heartbeat: a quick lub-dub swell around the center, bpm beats per minute
+     */
+    static animateHeart(time, positions, rest, bpm = 72) {
+        const phase = (time * bpm / 60) % 1;
+        const lub = Math.exp(-Math.pow((phase - 0.1) / 0.05, 2));
+        const dub = Math.exp(-Math.pow((phase - 0.3) / 0.06, 2)) * 0.6;
+        const scale = 1 + (lub + dub) * 0.12;
+
+        for (let i = 0; i < positions.length; i++) {
+            positions[i] = rest[i] * scale;
+        }
+    }
+
     /**
      * Star shape
      */
@@ -400,7 +449,7 @@ export class PatternGenerator {
                 const radiusMod = (Math.cos(starAngle) + 1) / 2;
                 const radius = innerRadius + (outerRadius - innerRadius) * radiusMod;
 
-                const noise = (Math.random() - 0.5) * 0.03;
+                const noise = (random() - 0.5) * 0.03;
 
                 const x = radius * Math.sin(v) * Math.cos(u + noise);
                 const y = radius * Math.cos(v);
@@ -437,7 +486,7 @@ export class PatternGenerator {
                 const wave2 = Math.sin(x * 0.15 + z * 0.1) * amplitude * 0.4;
                 const y = wave1 + wave2;
 
-                const noise = (Math.random() - 0.5) * 0.5;
+                const noise = (random() - 0.5) * 0.5;
 
                 positions[idx * 3] = x + noise;
                 positions[idx * 3 + 1] = y + noise;
@@ -449,6 +498,26 @@ export class PatternGenerator {
         return positions;
     }
 
+    /**
+     * Ripple the wave: the surface rolls and rings spread out from the center
+     */
+    static animateWave(time, positions, rest, speed = 1) {
+        const amplitude = 15;
+        const t = time * speed;
+
+        for (let i = 0; i < positions.length; i += 3) {
+            const x = rest[i];
+            const z = rest[i + 2];
+            const roll = Math.sin(x * 0.08 + t * 1.6) * Math.cos(z * 0.08 + t) - Math.sin(x * 0.08) * Math.cos(z * 0.08);
+            const distance = Math.sqrt(x * x + z * z) * 0.15;
+            const ring = (Math.sin(distance - t * 3) - Math.sin(distance)) * 0.25;
+
+            positions[i] = x;
+            positions[i + 1] = rest[i + 1] + (roll + ring) * amplitude;
+            positions[i + 2] = z;
+        }
+    }
+
     /**
      * Infinity symbol
      */
@@ -464,7 +533,7 @@ export class PatternGenerator {
                 const t = (i / gridU) * Math.PI * 2;
                 const thickness = (j / gridV) * 8 - 4;
 
-                const noise = (Math.random() - 0.5) * 0.02;
+                const noise = (random() - 0.5) * 0.02;
 
                 // Lemniscate
                 const scale = size / (1 + Math.sin(t) * Math.sin(t));
@@ -494,13 +563,13 @@ export class PatternGenerator {
         for (let trail = 0; trail < trails && idx < count; trail++) {
             // Trail direction
             const phi = (trail / trails) * Math.PI * 2;
-            const theta = Math.PI / 4 + Math.random() * Math.PI / 2;
+            const theta = Math.PI / 4 + random() * Math.PI / 2;
 
             for (let i = 0; i < particlesPerTrail && idx < count; i++) {
                 const t = i / particlesPerTrail;
                 const r = t * radius;
 
-                const noise = (Math.random() - 0.5) * 0.05 * (1 - t);
+                const noise = (random() - 0.5) * 0.05 * (1 - t);
 
                 const x = r * Math.sin(theta + noise) * Math.cos(phi + noise);
                 const y = r * Math.cos(theta + noise);
@@ -537,7 +606,7 @@ export class PatternGenerator {
                 const radius = baseRadius * (1 - t) + topRadius * t;
                 const y = (t - 0.5) * height;
 
-                const noise = (Math.random() - 0.5) * 0.03;
+                const noise = (random() - 0.5) * 0.03;
 
                 const x = Math.cos(angle + noise) * radius;
                 const z = Math.sin(angle + noise) * radius;
@@ -552,6 +621,30 @@ export class PatternGenerator {
         return positions;
     }
 
+    /**
+     * Spiral the tornado upward: particles climb and swirl, narrowing with the funnel,
+     * and wrap back to the bottom when they reach the top
+     */
+    static animateTornado(time, positions, rest, height = 100, speed = 1) {
+        const baseRadius = 35;
+        const topRadius = 8;
+        const funnel = t => baseRadius * (1 - t) + topRadius * t;
+
+        for (let i = 0; i < positions.length; i += 3) {
+            const restT = rest[i + 1] / height + 0.5;
+            const climb = restT + time * speed * 0.08;
+            const t = climb > 1 ? climb % 1 : climb;
+            const angle = time * speed * 2.5 + (t - restT) * Math.PI * 4;
+            const scale = funnel(t) / funnel(Math.min(1, Math.max(0, restT)));
+            const cos = Math.cos(angle) * scale;
+            const sin = Math.sin(angle) * scale;
+
+            positions[i] = rest[i] * cos - rest[i + 2] * sin;
+            positions[i + 1] = (t - 0.5) * height;
+            positions[i + 2] = rest[i] * sin + rest[i + 2] * cos;
+        }
+    }
+
     /**
      * DNA double helix (alias for helix)
      */
@@ -560,33 +653,415 @@ export class PatternGenerator {
     }
 
     /**
-     * Get pattern generator function by name
-     */
-    static getPattern(name) {
-        const patterns = {
-            sphere: PatternGenerator.sphere,
-            cube: PatternGenerator.cube,
-            heart: PatternGenerator.heart,
-            galaxy: PatternGenerator.galaxy,
-            dna: PatternGenerator.dna,
-            helix: PatternGenerator.helix,
-            torus: PatternGenerator.torus,
-            saturn: PatternGenerator.saturn,
-            star: PatternGenerator.star,
-            wave: PatternGenerator.wave,
-            pyramid: PatternGenerator.pyramid,
-            infinity: PatternGenerator.infinity,
-            firework: PatternGenerator.firework,
-            tornado: PatternGenerator.tornado
+     * Text laid out on a plane, sampled from lit pixels of an offscreen canvas
+     * @param {string} text - Words to render (single line)
+     * @param {string} font - CSS font family
+     * @param {number} width - World-space width of the rendered line
+     * @param {number} depth - Extrusion depth; particles spread through it for a 3D block
+     */
+    static text(count, text = 'AETHER', font = 'sans-serif', width = 120, depth = 10) {
+        const raster = PatternGenerator.rasterizeText(text, font);
+        if (!raster) return PatternGenerator.sphere(count);
+
+        const positions = new Float32Array(count * 3);
+        const { pixels, width: pixelWidth, height: pixelHeight } = raster;
+        const pixelCount = pixels.length / 2;
+        const worldPerPixel = width / pixelWidth;
+
+        for (let i = 0; i < count; i++) {
+            // Stratified pick so particles cover every glyph evenly, jittered inside the pixel
+            const p = Math.min(pixelCount - 1, Math.floor((i + random()) * pixelCount / count));
+            const px = pixels[p * 2] + random();
+            const py = pixels[p * 2 + 1] + random();
+
+            positions[i * 3] = (px - pixelWidth / 2) * worldPerPixel;
+            positions[i * 3 + 1] = (pixelHeight / 2 - py) * worldPerPixel;
+            positions[i * 3 + 2] = (random() - 0.5) * Math.max(depth, 0.5);
+        }
+
+        return positions;
+    }
+
+    /**
+     * Draw text on an offscreen canvas and collect the lit pixel coordinates
+     * @returns {{pixels: Uint16Array, width: number, height: number}|null} Null when nothing is drawn
+     */
+    static rasterizeText(text, font) {
+        const line = String(text || '').trim();
+        if (!line) return null;
+
+        const maxWidth = 2048;
+        const padding = 8;
+        const canvas = typeof OffscreenCanvas !== 'undefined'
+            ? new OffscreenCanvas(1, 1)
+            : document.createElement('canvas');
+        const ctx = canvas.getContext('2d');
+
+        // Shrink the font until the line fits the canvas limit
+        let fontSize = 128;
+        ctx.font = `bold ${fontSize}px ${font}`;
+        const measured = ctx.measureText(line).width;
+        if (measured > maxWidth - padding * 2) {
+            fontSize = Math.max(16, Math.floor(fontSize * (maxWidth - padding * 2) / measured));
+        }
+
+        const fontString = `bold ${fontSize}px ${font}`;
+        ctx.font = fontString;
+        canvas.width = Math.min(maxWidth, Math.ceil(ctx.measureText(line).width) + padding * 2);
+        canvas.height = Math.ceil(fontSize * 1.3) + padding * 2;
+
+        // Resizing resets context state
+        ctx.font = fontString;
+        ctx.fillStyle = '#ffffff';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(line, canvas.width / 2, canvas.height / 2);
+
+        const data = ctx.getImageData(0, 0, canvas.width, canvas.height).data;
+        const lit = [];
+        for (let y = 0; y < canvas.height; y++) {
+            for (let x = 0; x < canvas.width; x++) {
+                if (data[(y * canvas.width + x) * 4 + 3] > 128) {
+                    lit.push(x, y);
+                }
+            }
+        }
+
+        if (lit.length === 0) return null;
+        return { pixels: Uint16Array.from(lit), width: canvas.width, height: canvas.height };
+    }
+
+    /**
+     * Center points on their bounding box and scale them so the farthest sits `size` from the origin.
+     * For generators whose raw output has no fixed size (attractors, formulas, imported models)
+     * @param {Float32Array} positions - Flat xyz, rewritten in place
+     * @returns {Float32Array} positions
+     */
+    static fitToSize(positions, size) {
+        const min = [Infinity, Infinity, Infinity];
+        const max = [-Infinity, -Infinity, -Infinity];
+        for (let i = 0; i < positions.length; i++) {
+            const axis = i % 3;
+            if (positions[i] < min[axis]) min[axis] = positions[i];
+            if (positions[i] > max[axis]) max[axis] = positions[i];
+        }
+
+        const center = [0, 1, 2].map(axis => (min[axis] + max[axis]) / 2);
+        let radius = 0;
+        for (let i = 0; i < positions.length; i += 3) {
+            const dx = positions[i] - center[0];
+            const dy = positions[i + 1] - center[1];
+            const dz = positions[i + 2] - center[2];
+            radius = Math.max(radius, Math.sqrt(dx * dx + dy * dy + dz * dz));
+        }
+
+        const scale = radius > 0 ? size / radius : 1;
+        for (let i = 0; i < positions.length; i++) {
+            positions[i] = (positions[i] - center[i % 3]) * scale;
+        }
+        return positions;
+    }
+
+    /**
+     * Register a pattern so it shows up in the pattern grid, gesture/keyboard cycling and randomize
+     * @param {string} name - Unique id (used in presets and ParticleSystem.setPattern)
+     * @param {Function} generate - (count, params, random) => Float32Array of count * 3 positions,
+     *                              or { positions, colors } to supply per-particle RGB (0-1) as well
+     * @param {Object} [meta] - displayName, description, icon (SVG markup), category,
+     *                          params (slider schema: [{ name, label, min, max, step, default }]),
+     *                          defaultParams, hidden (no button/cycling), randomize (default true),
+     *                          update ((time, positions, rest, params) => void, called every frame to
+     *                          rewrite positions from the generated rest pose; must treat each
+     *                          particle on its own, since path matching may reorder them)
+     */
+    static register(name, generate, meta = {}) {
+        if (typeof generate !== 'function') {
+            throw new TypeError(`Pattern "${name}" needs a generator function`);
+        }
+
+        const displayName = meta.displayName || name.charAt(0).toUpperCase() + name.slice(1);
+        const schema = (meta.params || []).map(param => ({
+            label: param.name,
+            step: 1,
+            ...param
+        }));
+        const schemaDefaults = Object.fromEntries(schema.map(param => [param.name, param.default]));
+
+        registry.set(name, {
+            generate,
+            update: typeof meta.update === 'function' ? meta.update : null,
+            meta: {
+                name,
+                displayName,
+                description: meta.description || displayName,
+                icon: meta.icon || DEFAULT_ICON,
+                category: meta.category || 'custom',
+                params: schema,
+                defaultParams: { ...schemaDefaults, ...meta.defaultParams },
+                hidden: meta.hidden === true,
+                randomize: meta.randomize !== false,
+                animated: typeof meta.update === 'function'
+            }
+        });
+        PatternGenerator.notifyListeners();
+    }
+
+    static unregister(name) {
+        if (registry.delete(name)) {
+            PatternGenerator.notifyListeners();
+        }
+    }
+
+    /**
+     * Keep a retired pattern name working: lookups of `name` get the `target` pattern
+     */
+    static alias(name, target) {
+        aliases.set(name, target);
+    }
+
+    /**
+     * The registered name a pattern name refers to (itself unless it's an alias)
+     */
+    static resolveName(name) {
+        return aliases.get(name) ?? name;
+    }
+
+    static has(name) {
+        return registry.has(PatternGenerator.resolveName(name));
+    }
+
+    /**
+     * Metadata for one pattern, or null if it isn't registered
+     */
+    static getPatternMeta(name) {
+        const entry = registry.get(PatternGenerator.resolveName(name));
+        return entry ? entry.meta : null;
+    }
+
+    /**
+     * Metadata for every visible pattern (or all with includeHidden), in registration order
+     */
+    static getPatterns({ includeHidden = false, category = null } = {}) {
+        return [...registry.values()]
+            .map(entry => entry.meta)
+            .filter(meta => (includeHidden || !meta.hidden) && (!category || meta.category === category));
+    }
+
+    /**
+     * Call listener() whenever patterns are registered or removed; returns an unsubscribe function
+     */
+    static onChange(listener) {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    }
+
+    static notifyListeners() {
+        listeners.forEach(listener => listener());
+    }
+
+    /**
+     * Get pattern generator function by name (falls back to sphere)
+     * @param {Function} [rng] - random() replacement (e.g. SeededRandom.create(seed)) for reproducible output
+     * @returns {Function} (count, params) => Float32Array, with params merged over the pattern's defaults
+     */
+    static getPattern(name, rng = Math.random) {
+        const generate = PatternGenerator.getPatternWithColors(name, rng);
+        return (count, params) => generate(count, params).positions;
+    }
+
+    /**
+     * Like getPattern, but also returns source colors for patterns that provide them
+     * @returns {Function} (count, params) => { positions: Float32Array, colors: Float32Array|null }
+     */
+    static getPatternWithColors(name, rng = Math.random) {
+        const entry = registry.get(PatternGenerator.resolveName(name)) || registry.get('sphere');
+
+        return (count, params = {}) => {
+            const previous = random;
+            random = rng;
+            try {
+                const result = entry.generate(count, { ...entry.meta.defaultParams, ...params }, rng);
+                return result instanceof Float32Array
+                    ? { positions: result, colors: null }
+                    : { positions: result.positions, colors: result.colors || null };
+            } finally {
+                random = previous;
+            }
         };
+    }
 
-        return patterns[name] || patterns.sphere;
+    /**
+     * Per-frame hook for animated patterns, or null for static ones
+     * @returns {Function|null} (time, positions, rest, params) with params merged over the defaults
+     */
+    static getPatternUpdater(name) {
+        const entry = registry.get(PatternGenerator.resolveName(name));
+        if (!entry || !entry.update) return null;
+
+        return (time, positions, rest, params = {}) => {
+            entry.update(time, positions, rest, { ...entry.meta.defaultParams, ...params });
+        };
     }
 
     /**
-     * Get all available pattern names
+     * Get all available pattern names (cycling order; hidden patterns excluded unless asked for)
      */
-    static getPatternNames() {
-        return ['sphere', 'cube', 'heart', 'galaxy', 'dna', 'helix', 'torus', 'saturn', 'star', 'wave', 'pyramid', 'infinity', 'firework', 'tornado'];
+    static getPatternNames(options) {
+        return PatternGenerator.getPatterns(options).map(meta => meta.name);
+    }
+
+    /**
+     * Names eligible for randomize
+     */
+    static getRandomizablePatternNames() {
+        return PatternGenerator.getPatterns().filter(meta => meta.randomize).map(meta => meta.name);
     }
 }
+
+
+// Built-in patterns, in button / cycling order
+PatternGenerator.register('sphere', (count, p) => PatternGenerator.sphere(count, p.radius), {
+    displayName: 'Sphere',
+    category: 'basic',
+    params: [
+        { name: 'radius', label: 'Radius', min: 20, max: 80, step: 1, default: 50 }
+    ],
+    icon: '<svg viewBox="0 0 40 40"><circle cx="20" cy="20" r="15" fill="none" stroke="currentColor" stroke-width="2"/><ellipse cx="20" cy="20" rx="15" ry="6" fill="none" stroke="currentColor" stroke-width="1"/></svg>'
+});
+
+PatternGenerator.register('cube', (count, p) => PatternGenerator.cube(count, p.size), {
+    displayName: 'Cube',
+    category: 'basic',
+    params: [
+        { name: 'size', label: 'Size', min: 30, max: 100, step: 1, default: 70 }
+    ],
+    icon: '<svg viewBox="0 0 40 40"><rect x="8" y="8" width="24" height="24" fill="none" stroke="currentColor" stroke-width="2"/><line x1="8" y1="8" x2="14" y2="2" stroke="currentColor" stroke-width="1.5"/><line x1="32" y1="8" x2="38" y2="2" stroke="currentColor" stroke-width="1.5"/><line x1="32" y1="32" x2="38" y2="26" stroke="currentColor" stroke-width="1.5"/><line x1="14" y1="2" x2="38" y2="2" stroke="currentColor" stroke-width="1.5"/><line x1="38" y1="2" x2="38" y2="26" stroke="currentColor" stroke-width="1.5"/></svg>'
+});
+
+PatternGenerator.register('heart', (count, p) => PatternGenerator.heart(count, p.scale), {
+    displayName: 'Heart',
+    description: 'Beating Heart',
+    category: 'symbols',
+    params: [
+        { name: 'scale', label: 'Scale', min: 1.5, max: 4.5, step: 0.1, default: 3 },
+        { name: 'bpm', label: 'Heart Rate', min: 30, max: 180, step: 1, default: 72 }
+    ],
+    update: (time, positions, rest, p) => PatternGenerator.animateHeart(time, positions, rest, p.bpm),
+    icon: '<svg viewBox="0 0 40 40"><path d="M20 35 L8 22 C2 16 2 8 10 8 C14 8 18 12 20 14 C22 12 26 8 30 8 C38 8 38 16 32 22 Z" fill="none" stroke="currentColor" stroke-width="2"/></svg>'
+});
+
+PatternGenerator.register('galaxy', (count, p) => PatternGenerator.galaxy(count, p.radius), {
+    displayName: 'Galaxy',
+    description: 'Spiral Galaxy',
+    category: 'cosmic',
+    params: [
+        { name: 'radius', label: 'Radius', min: 30, max: 90, step: 1, default: 60 },
+        { name: 'speed', label: 'Rotation', min: 0, max: 3, step: 0.1, default: 1 }
+    ],
+    update: (time, positions, rest, p) => PatternGenerator.animateGalaxy(time, positions, rest, p.speed),
+    icon: '<svg viewBox="0 0 40 40"><path d="M20 20 Q25 15 30 18 T32 25 Q30 32 22 30 T15 22 Q15 15 20 12 T28 15" fill="none" stroke="currentColor" stroke-width="2"/><circle cx="20" cy="20" r="3" fill="currentColor"/></svg>'
+});
+
+PatternGenerator.register('dna', (count, p) => PatternGenerator.dna(count, p.height), {
+    displayName: 'DNA',
+    description: 'DNA Helix',
+    category: 'organic',
+    params: [
+        { name: 'height', label: 'Height', min: 50, max: 150, step: 1, default: 100 }
+    ],
+    icon: '<svg viewBox="0 0 40 40"><path d="M12 5 Q28 12 12 20 Q28 28 12 35" fill="none" stroke="currentColor" stroke-width="2"/><path d="M28 5 Q12 12 28 20 Q12 28 28 35" fill="none" stroke="currentColor" stroke-width="2"/></svg>'
+});
+
+PatternGenerator.register('torus', (count, p) => PatternGenerator.torus(count, p.majorRadius, p.minorRadius), {
+    displayName: 'Torus',
+    category: 'basic',
+    params: [
+        { name: 'majorRadius', label: 'Ring Radius', min: 20, max: 50, step: 1, default: 35 },
+        { name: 'minorRadius', label: 'Tube Radius', min: 5, max: 30, step: 1, default: 15 }
+    ],
+    icon: '<svg viewBox="0 0 40 40"><ellipse cx="20" cy="20" rx="16" ry="8" fill="none" stroke="currentColor" stroke-width="2"/><ellipse cx="20" cy="20" rx="8" ry="4" fill="none" stroke="currentColor" stroke-width="1.5"/></svg>'
+});
+
+PatternGenerator.register('star', (count, p) => PatternGenerator.star(count, p.outerRadius, p.innerRadius), {
+    displayName: 'Star',
+    category: 'symbols',
+    params: [
+        { name: 'outerRadius', label: 'Outer Radius', min: 30, max: 70, step: 1, default: 50 },
+        { name: 'innerRadius', label: 'Inner Radius', min: 10, max: 45, step: 1, default: 25 }
+    ],
+    icon: '<svg viewBox="0 0 40 40"><polygon points="20,4 24,16 36,16 26,24 30,36 20,28 10,36 14,24 4,16 16,16" fill="none" stroke="currentColor" stroke-width="2"/></svg>'
+});
+
+PatternGenerator.register('wave', (count, p) => PatternGenerator.wave(count, p.width, p.depth), {
+    displayName: 'Wave',
+    category: 'organic',
+    params: [
+        { name: 'width', label: 'Width', min: 50, max: 150, step: 1, default: 100 },
+        { name: 'depth', label: 'Depth', min: 40, max: 120, step: 1, default: 80 },
+        { name: 'speed', label: 'Ripple Speed', min: 0, max: 3, step: 0.1, default: 1 }
+    ],
+    update: (time, positions, rest, p) => PatternGenerator.animateWave(time, positions, rest, p.speed),
+    icon: '<svg viewBox="0 0 40 40"><path d="M4 20 Q10 10 16 20 T28 20 T40 20" fill="none" stroke="currentColor" stroke-width="2"/><path d="M4 28 Q10 18 16 28 T28 28 T40 28" fill="none" stroke="currentColor" stroke-width="2"/></svg>'
+});
+
+PatternGenerator.register('pyramid', (count, p) => PatternGenerator.pyramid(count, p.size), {
+    displayName: 'Pyramid',
+    category: 'basic',
+    params: [
+        { name: 'size', label: 'Size', min: 30, max: 90, step: 1, default: 60 }
+    ],
+    icon: '<svg viewBox="0 0 40 40"><polygon points="20,4 4,36 36,36" fill="none" stroke="currentColor" stroke-width="2"/><line x1="20" y1="4" x2="20" y2="36" stroke="currentColor" stroke-width="1"/></svg>'
+});
+
+PatternGenerator.register('infinity', (count, p) => PatternGenerator.infinity(count, p.size), {
+    displayName: 'Infinity',
+    category: 'symbols',
+    params: [
+        { name: 'size', label: 'Size', min: 25, max: 75, step: 1, default: 50 }
+    ],
+    icon: '<svg viewBox="0 0 40 40"><path d="M10 20 C10 12 20 12 20 20 C20 28 30 28 30 20 C30 12 20 12 20 20 C20 28 10 28 10 20" fill="none" stroke="currentColor" stroke-width="2"/></svg>'
+});
+
+PatternGenerator.register('firework', (count, p) => PatternGenerator.firework(count, p.radius), {
+    displayName: 'Firework',
+    category: 'cosmic',
+    params: [
+        { name: 'radius', label: 'Radius', min: 30, max: 80, step: 1, default: 55 }
+    ],
+    icon: '<svg viewBox="0 0 40 40"><circle cx="20" cy="20" r="3" fill="currentColor"/><line x1="20" y1="20" x2="20" y2="6" stroke="currentColor" stroke-width="2"/><line x1="20" y1="20" x2="30" y2="10" stroke="currentColor" stroke-width="2"/><line x1="20" y1="20" x2="34" y2="20" stroke="currentColor" stroke-width="2"/><line x1="20" y1="20" x2="30" y2="30" stroke="currentColor" stroke-width="2"/><line x1="20" y1="20" x2="20" y2="34" stroke="currentColor" stroke-width="2"/><line x1="20" y1="20" x2="10" y2="30" stroke="currentColor" stroke-width="2"/><line x1="20" y1="20" x2="6" y2="20" stroke="currentColor" stroke-width="2"/><line x1="20" y1="20" x2="10" y2="10" stroke="currentColor" stroke-width="2"/></svg>'
+});
+
+PatternGenerator.register('tornado', (count, p) => PatternGenerator.tornado(count, p.height), {
+    displayName: 'Tornado',
+    category: 'organic',
+    params: [
+        { name: 'height', label: 'Height', min: 50, max: 150, step: 1, default: 100 },
+        { name: 'speed', label: 'Spin', min: 0, max: 3, step: 0.1, default: 1 }
+    ],
+    update: (time, positions, rest, p) => PatternGenerator.animateTornado(time, positions, rest, p.height, p.speed),
+    icon: '<svg viewBox="0 0 40 40"><ellipse cx="20" cy="8" rx="16" ry="4" fill="none" stroke="currentColor" stroke-width="2"/><ellipse cx="20" cy="20" rx="10" ry="3" fill="none" stroke="currentColor" stroke-width="1.5"/><ellipse cx="20" cy="32" rx="4" ry="2" fill="none" stroke="currentColor" stroke-width="1"/></svg>'
+});
+
+PatternGenerator.register('saturn', (count, p) => PatternGenerator.saturn(count, p.radius), {
+    displayName: 'Saturn',
+    category: 'cosmic',
+    params: [
+        { name: 'radius', label: 'Radius', min: 20, max: 60, step: 1, default: 40 }
+    ],
+    icon: '<svg viewBox="0 0 40 40"><circle cx="20" cy="20" r="9" fill="none" stroke="currentColor" stroke-width="2"/><ellipse cx="20" cy="20" rx="18" ry="5" fill="none" stroke="currentColor" stroke-width="1.5" transform="rotate(-20 20 20)"/></svg>'
+});
+
+// Helix was the same double helix as DNA, so it's merged into it
+PatternGenerator.alias('helix', 'dna');
+
+PatternGenerator.register('text', (count, p) => PatternGenerator.text(count, p.text, p.font, p.width, p.depth), {
+    displayName: 'Text',
+    description: 'Text (type in the box below)',
+    category: 'symbols',
+    params: [
+        { name: 'width', label: 'Width', min: 40, max: 200, step: 1, default: 120 },
+        { name: 'depth', label: 'Depth', min: 0, max: 40, step: 1, default: 10 }
+    ],
+    defaultParams: { text: 'AETHER', font: 'sans-serif' },
+    icon: '<svg viewBox="0 0 40 40"><path d="M8 8 H32 M20 8 V34" fill="none" stroke="currentColor" stroke-width="3"/><path d="M14 34 H26" fill="none" stroke="currentColor" stroke-width="1.5"/></svg>'
+});
@@ -0,0 +1,39 @@
+/**
+ * SeededRandom - Small deterministic PRNG (mulberry32) used in place of Math.random
+ * Same seed, same sequence; works on the main thread and inside the simulation worker
+ */
+
+export class SeededRandom {
+    /**
+     * Turn a number or string into a 32-bit unsigned seed
+     */
+    static normalizeSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return Math.floor(seed) >>> 0;
+        }
+
+        // FNV-1a hash for strings such as "galaxy-demo"
+        const text = String(seed);
+        let hash = 2166136261;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Create a random() function returning floats in [0, 1), like Math.random
+     */
+    static create(seed) {
+        let state = SeededRandom.normalizeSeed(seed);
+
+        return function random() {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+}
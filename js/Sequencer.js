@@ -0,0 +1,219 @@
+/**
+ * Sequencer - Timeline playlist that steps through patterns, colors and presets unattended
+ * Each entry: { pattern, patternParams, color, gradient, preset, duration (s), transition }
+ * Entries are applied through UIController.loadPreset so the panel stays in sync, and timing
+ * runs on ParticleSystem's update clock (so fixed-step recordings stay in sync too)
+ */
+
+import { MORPH_STYLES } from './MorphTransition.js';
+
+const STORAGE_KEY = 'sequencerPlaylist';
+
+// 'morph' follows the panel's morph style; the rest force a specific transition
+export const TRANSITIONS = ['morph', 'burst', 'cut', ...Object.keys(MORPH_STYLES).filter(style => style !== 'spring')];
+
+export class Sequencer {
+    /**
+     * @param {ParticleSystem} particleSystem - Provides the clock and plays transitions
+     * @param {UIController} uiController - Applies entry settings via loadPreset
+     */
+    constructor(particleSystem, uiController) {
+        this.particleSystem = particleSystem;
+        this.uiController = uiController;
+
+        this.entries = [];
+        this.index = -1;
+        this.elapsed = 0;
+        this.playing = false;
+        this.loop = true;
+
+        // Callbacks
+        this.onStateChange = null;
+
+        this.removeHook = particleSystem.addUpdateHook((deltaTime) => this.update(deltaTime));
+    }
+
+    /**
+     * Fill in defaults so hand-written playlists can stay terse
+     */
+    normalizeEntry(entry) {
+        return {
+            ...entry,
+            duration: Math.max(0.5, Number(entry.duration) || 10),
+            transition: TRANSITIONS.includes(entry.transition) ? entry.transition : 'morph'
+        };
+    }
+
+    setPlaylist(entries, { loop = this.loop } = {}) {
+        this.entries = entries.map(entry => this.normalizeEntry(entry));
+        this.loop = loop;
+        this.index = this.entries.length ? Math.min(this.index, this.entries.length - 1) : -1;
+        this.elapsed = 0;
+        if (!this.entries.length) this.playing = false;
+        this.save();
+        this.notify();
+    }
+
+    addEntry(entry) {
+        this.entries.push(this.normalizeEntry(entry));
+        this.save();
+        this.notify();
+    }
+
+    removeEntry(index) {
+        this.entries.splice(index, 1);
+        if (index < this.index) {
+            this.index--;
+        } else if (index === this.index) {
+            this.elapsed = 0;
+            this.index = Math.min(this.index, this.entries.length - 1);
+        }
+        if (!this.entries.length) this.playing = false;
+        this.save();
+        this.notify();
+    }
+
+    clear() {
+        this.setPlaylist([]);
+    }
+
+    play() {
+        if (!this.entries.length) return;
+
+        this.playing = true;
+        if (this.index < 0) {
+            this.goTo(0);
+        } else {
+            this.notify();
+        }
+    }
+
+    pause() {
+        this.playing = false;
+        this.notify();
+    }
+
+    toggle() {
+        if (this.playing) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    /**
+     * Stop and rewind to the start of the playlist
+     */
+    stop() {
+        this.playing = false;
+        this.index = -1;
+        this.elapsed = 0;
+        this.notify();
+    }
+
+    next() {
+        if (!this.entries.length) return;
+
+        if (this.index + 1 >= this.entries.length && !this.loop) {
+            this.pause();
+            return;
+        }
+        this.goTo((this.index + 1) % this.entries.length);
+    }
+
+    previous() {
+        if (!this.entries.length) return;
+        this.goTo((this.index - 1 + this.entries.length) % this.entries.length);
+    }
+
+    setLoop(loop) {
+        this.loop = loop;
+        this.save();
+        this.notify();
+    }
+
+    /**
+     * Jump to an entry and apply it immediately
+     */
+    goTo(index) {
+        if (index < 0 || index >= this.entries.length) return;
+
+        this.index = index;
+        this.elapsed = 0;
+        this.applyEntry(this.entries[index]);
+        this.notify();
+    }
+
+    update(deltaTime) {
+        if (!this.playing || this.index < 0) return;
+
+        this.elapsed += deltaTime;
+        if (this.elapsed >= this.entries[this.index].duration) {
+            this.next();
+        }
+    }
+
+    /**
+     * Merge the entry over its preset (if any) and push it through the UI
+     */
+    applyEntry(entry) {
+        const settings = { ...(entry.preset ? this.uiController.getPreset(entry.preset) : null) };
+
+        if (entry.pattern) {
+            settings.pattern = entry.pattern;
+            settings.patternParams = entry.patternParams || {};
+        }
+        if (entry.gradient) {
+            settings.gradient = entry.gradient;
+            if (entry.gradientMode) settings.gradientMode = entry.gradientMode;
+            if (entry.gradientAxis) settings.gradientAxis = entry.gradientAxis;
+        } else if (entry.color) {
+            settings.color = entry.color;
+            settings.gradient = null;
+        }
+
+        this.uiController.loadPreset(settings);
+        this.particleSystem.playTransition(entry.transition);
+    }
+
+    getState() {
+        const current = this.entries[this.index];
+        return {
+            entries: this.entries,
+            index: this.index,
+            playing: this.playing,
+            loop: this.loop,
+            progress: current ? Math.min(1, this.elapsed / current.duration) : 0
+        };
+    }
+
+    notify() {
+        if (this.onStateChange) this.onStateChange(this.getState());
+    }
+
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({ entries: this.entries, loop: this.loop }));
+        } catch (e) {
+            console.warn('Could not save playlist:', e);
+        }
+    }
+
+    /**
+     * Restore the playlist saved in localStorage (does not start playback)
+     */
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (stored && Array.isArray(stored.entries)) {
+                this.setPlaylist(stored.entries, { loop: stored.loop !== false });
+            }
+        } catch (e) {
+            console.warn('Could not load playlist:', e);
+        }
+    }
+
+    dispose() {
+        this.removeHook();
+    }
+}
@@ -0,0 +1,64 @@
+/**
+ * SimulationWorker - Runs ParticlePhysics off the main thread
+ * Owns the authoritative positions/velocities; copies positions out through a
+ * SharedArrayBuffer when cross-origin isolated, otherwise through a transferred buffer
+ */
+
+import { ParticlePhysics } from './ParticlePhysics.js';
+import { MAX_SUBSTEP, MAX_SUBSTEPS } from './WorkerSimulation.js';
+
+let count = 0;
+let positions = null;
+let velocities = null;
+let basePositions = null;
+let sharedPositions = null;
+
+self.onmessage = (e) => {
+    const message = e.data;
+
+    switch (message.type) {
+        case 'init':
+            count = message.count;
+            positions = new Float32Array(message.positions);
+            velocities = new Float32Array(message.velocities);
+            basePositions = new Float32Array(message.basePositions);
+            sharedPositions = message.sharedBuffer ? new Float32Array(message.sharedBuffer) : null;
+            break;
+
+        case 'setBasePositions':
+            basePositions = new Float32Array(message.basePositions);
+            break;
+
+        case 'resetVelocities':
+            velocities.fill(0);
+            break;
+
+        case 'setPositions':
+            positions.set(message.positions);
+            break;
+
+        case 'resetFlow':
+            ParticlePhysics.resetFlow();
+            break;
+
+        case 'step': {
+            const { params, generation } = message;
+            const frameScale = Math.min(params.frameScale ?? 1, MAX_SUBSTEP * MAX_SUBSTEPS);
+            const substeps = Math.max(1, Math.min(MAX_SUBSTEPS, Math.ceil(frameScale / MAX_SUBSTEP)));
+            const substepParams = { ...params, frameScale: frameScale / substeps };
+            for (let i = 0; i < substeps; i++) {
+                ParticlePhysics.step(positions, velocities, basePositions, count, substepParams);
+            }
+
+            if (sharedPositions) {
+                sharedPositions.set(positions);
+                self.postMessage({ type: 'stepped', generation });
+            } else {
+                const output = new Float32Array(message.buffer);
+                output.set(positions);
+                self.postMessage({ type: 'stepped', buffer: message.buffer, generation }, [message.buffer]);
+            }
+            break;
+        }
+    }
+};
@@ -0,0 +1,175 @@
+/**
+ * SpatialHash - Uniform grid over a point cloud for fixed-radius and k-nearest neighbor queries
+ * Points are bucketed by cell with a counting sort into flat typed arrays, so rebuilding every
+ * frame allocates nothing once the arrays have grown. Cells hash into a power-of-two table;
+ * collisions only cost extra distance checks, never wrong answers
+ */
+
+export class SpatialHash {
+    constructor() {
+        this.cellSize = 1;
+        this.tableSize = 0;
+        this.cellStart = new Int32Array(0); // Slot s holds sorted[cellStart[s] .. cellStart[s + 1])
+        this.sorted = new Int32Array(0); // Point indices grouped by slot
+        this.pointCell = new Int32Array(0); // Table slot of each point
+        this.slotStamps = new Int32Array(0); // Query stamp per slot, to skip slots already visited
+        this.queryStamp = 0;
+        this.queryCell = new Int32Array(3);
+        this.count = 0;
+    }
+
+    /**
+     * Bucket count xyz points from positions
+     * @param {number} cellSize - The query radius keeps radius queries to 27 cells; nearest-neighbor
+     *                            queries do better with cells a few times smaller
+     */
+    build(positions, count, cellSize) {
+        this.cellSize = Math.max(1e-6, cellSize);
+        this.count = count;
+
+        const tableSize = Math.max(64, 1 << Math.ceil(Math.log2(count * 2 || 1)));
+        if (tableSize !== this.tableSize) {
+            this.tableSize = tableSize;
+            this.cellStart = new Int32Array(tableSize + 1);
+        } else {
+            this.cellStart.fill(0);
+        }
+        if (this.sorted.length < count) {
+            this.sorted = new Int32Array(count);
+            this.pointCell = new Int32Array(count);
+        }
+
+        const inverse = 1 / this.cellSize;
+        const { cellStart, sorted, pointCell } = this;
+
+        // Count per slot, prefix-sum into slot ends, then scatter backwards so ends become starts
+        for (let i = 0; i < count; i++) {
+            const slot = this.slot(
+                Math.floor(positions[i * 3] * inverse),
+                Math.floor(positions[i * 3 + 1] * inverse),
+                Math.floor(positions[i * 3 + 2] * inverse)
+            );
+            pointCell[i] = slot;
+            cellStart[slot]++;
+        }
+        for (let s = 1; s < tableSize; s++) {
+            cellStart[s] += cellStart[s - 1];
+        }
+        cellStart[tableSize] = count;
+        for (let i = count - 1; i >= 0; i--) {
+            sorted[--cellStart[pointCell[i]]] = i;
+        }
+    }
+
+    slot(cx, cy, cz) {
+        return ((Math.imul(cx, 73856093) ^ Math.imul(cy, 19349663) ^ Math.imul(cz, 83492791)) >>> 0) & (this.tableSize - 1);
+    }
+
+    /**
+     * Call visit(j, distanceSquared) for every other point within radius of point i.
+     * Return true from visit to stop early
+     */
+    forEachNeighbor(positions, i, radius, visit) {
+        const reach = Math.ceil(radius / this.cellSize);
+        const radiusSq = radius * radius;
+        this.beginQuery(positions, i);
+
+        for (let dx = -reach; dx <= reach; dx++) {
+            for (let dy = -reach; dy <= reach; dy++) {
+                for (let dz = -reach; dz <= reach; dz++) {
+                    if (this.visitCell(positions, i, dx, dy, dz, radiusSq, visit)) return;
+                }
+            }
+        }
+    }
+
+    /**
+     * Up to k nearest points to point i within radius, closest first. Searches shells of cells
+     * outward and stops once no unsearched cell can hold anything closer
+     * @param {Int32Array} indices - Receives the neighbors
+     * @param {Float64Array} distancesSq - Receives their squared distances
+     * @returns {number} How many were found
+     */
+    nearest(positions, i, k, radius, indices, distancesSq) {
+        const reach = Math.ceil(radius / this.cellSize);
+        const radiusSq = radius * radius;
+        let found = 0;
+
+        // Insertion into the sorted top-k lists
+        const visit = (j, distanceSq) => {
+            if (found === k && distanceSq >= distancesSq[k - 1]) return false;
+
+            let slot = found < k ? found++ : k - 1;
+            while (slot > 0 && distancesSq[slot - 1] > distanceSq) {
+                indices[slot] = indices[slot - 1];
+                distancesSq[slot] = distancesSq[slot - 1];
+                slot--;
+            }
+            indices[slot] = j;
+            distancesSq[slot] = distanceSq;
+            return false;
+        };
+
+        this.beginQuery(positions, i);
+        for (let ring = 0; ring <= reach; ring++) {
+            // Anything in this shell is at least (ring - 1) cells away
+            const nearestInRing = Math.max(0, ring - 1) * this.cellSize;
+            if (ring > 0 && found === k && distancesSq[k - 1] <= nearestInRing * nearestInRing) break;
+            if (nearestInRing >= radius) break;
+
+            for (let dx = -ring; dx <= ring; dx++) {
+                for (let dy = -ring; dy <= ring; dy++) {
+                    const onFace = Math.abs(dx) === ring || Math.abs(dy) === ring;
+                    for (let dz = -ring; dz <= ring; dz += onFace || ring === 0 ? 1 : ring * 2) {
+                        this.visitCell(positions, i, dx, dy, dz, radiusSq, visit);
+                    }
+                }
+            }
+        }
+        return found;
+    }
+
+    /**
+     * Start a query around point i: remember its cell and forget which slots were visited
+     */
+    beginQuery(positions, i) {
+        const inverse = 1 / this.cellSize;
+        this.queryCell[0] = Math.floor(positions[i * 3] * inverse);
+        this.queryCell[1] = Math.floor(positions[i * 3 + 1] * inverse);
+        this.queryCell[2] = Math.floor(positions[i * 3 + 2] * inverse);
+
+        if (this.slotStamps.length !== this.tableSize || this.queryStamp >= 0x7fffffff) {
+            this.slotStamps = new Int32Array(this.tableSize);
+            this.queryStamp = 0;
+        }
+        this.queryStamp++;
+    }
+
+    /**
+     * Visit the points of the cell at an offset from the query cell
+     * @returns {boolean} True when visit asked to stop
+     */
+    visitCell(positions, i, dx, dy, dz, radiusSq, visit) {
+        // Several cells can share a slot; visiting a slot twice would report duplicates
+        const slot = this.slot(this.queryCell[0] + dx, this.queryCell[1] + dy, this.queryCell[2] + dz);
+        if (this.slotStamps[slot] === this.queryStamp) return false;
+        this.slotStamps[slot] = this.queryStamp;
+
+        const { cellStart, sorted } = this;
+        const x = positions[i * 3];
+        const y = positions[i * 3 + 1];
+        const z = positions[i * 3 + 2];
+
+        for (let k = cellStart[slot]; k < cellStart[slot + 1]; k++) {
+            const j = sorted[k];
+            if (j === i) continue;
+
+            const ddx = positions[j * 3] - x;
+            const ddy = positions[j * 3 + 1] - y;
+            const ddz = positions[j * 3 + 2] - z;
+            const distanceSq = ddx * ddx + ddy * ddy + ddz * ddz;
+            if (distanceSq < radiusSq && visit(j, distanceSq)) return true;
+        }
+        return false;
+    }
+}
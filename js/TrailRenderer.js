@@ -0,0 +1,181 @@
+/**
+ * TrailRenderer - Screen-space particle trails from a feedback buffer
+ * Each frame the previous trail image is faded and the particles are drawn over it with max
+ * blending, in ping-pong render targets; an overlay quad then adds the result to the scene.
+ * Every particle leaves a trail in its own color, length costs nothing, and the CPU only issues
+ * two draw calls
+ */
+
+const FADE_FRAGMENT_SHADER = `
+    uniform sampler2D source;
+    uniform float decay;
+    varying vec2 vUv;
+    void main() {
+        // The small subtraction lets 8-bit targets reach black instead of rounding back up
+        gl_FragColor = max(texture2D(source, vUv) * decay - 0.004, 0.0);
+    }
+`;
+
+const QUAD_VERTEX_SHADER = `
+    varying vec2 vUv;
+    void main() {
+        vUv = uv;
+        gl_Position = vec4(position.xy, 0.0, 1.0);
+    }
+`;
+
+const OVERLAY_FRAGMENT_SHADER = `
+    uniform sampler2D trailTexture;
+    uniform float opacity;
+    varying vec2 vUv;
+    void main() {
+        gl_FragColor = vec4(texture2D(trailTexture, vUv).rgb * opacity, 1.0);
+    }
+`;
+
+// A trail fades to this fraction of its brightness after `length` frames
+const TRAIL_END = 0.01;
+
+export class TrailRenderer {
+    /**
+     * @param {THREE.WebGLRenderer} renderer
+     * @param {number} width - Drawing buffer size in pixels
+     * @param {number} height
+     */
+    constructor(renderer, width, height) {
+        this.renderer = renderer;
+        this.width = width;
+        this.height = height;
+
+        // Ping-pong targets: [read, write]
+        this.targets = [this.createTarget(), this.createTarget()];
+
+        this.fadeScene = new THREE.Scene();
+        this.fadeCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+        this.fadeMaterial = new THREE.ShaderMaterial({
+            uniforms: {
+                source: { value: null },
+                decay: { value: 0.9 }
+            },
+            vertexShader: QUAD_VERTEX_SHADER,
+            fragmentShader: FADE_FRAGMENT_SHADER,
+            depthTest: false,
+            depthWrite: false
+        });
+        this.fadeScene.add(new THREE.Mesh(new THREE.PlaneGeometry(2, 2), this.fadeMaterial));
+
+        // Drawn in the main scene (so bloom sees trails too), behind the particles
+        this.overlayMaterial = new THREE.ShaderMaterial({
+            uniforms: {
+                trailTexture: { value: this.targets[0].texture },
+                opacity: { value: 0.4 }
+            },
+            vertexShader: QUAD_VERTEX_SHADER,
+            fragmentShader: OVERLAY_FRAGMENT_SHADER,
+            transparent: true,
+            depthTest: false,
+            depthWrite: false,
+            blending: THREE.AdditiveBlending
+        });
+        this.overlay = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), this.overlayMaterial);
+        this.overlay.frustumCulled = false;
+        this.overlay.renderOrder = -1;
+
+        this.clear();
+    }
+
+    createTarget() {
+        // Half floats keep long, faint tails smooth where WebGL2 can render to them (which takes a
+        // color-buffer float extension; without one the framebuffer is incomplete)
+        const type = TrailRenderer.canRenderHalfFloat(this.renderer) ? THREE.HalfFloatType : THREE.UnsignedByteType;
+        return new THREE.WebGLRenderTarget(this.width, this.height, {
+            minFilter: THREE.LinearFilter,
+            magFilter: THREE.LinearFilter,
+            format: THREE.RGBAFormat,
+            type,
+            depthBuffer: false,
+            stencilBuffer: false
+        });
+    }
+
+    static canRenderHalfFloat(renderer) {
+        if (!renderer.capabilities.isWebGL2) return false;
+
+        const extensions = renderer.extensions;
+        return extensions.has('EXT_color_buffer_float') || extensions.has('EXT_color_buffer_half_float');
+    }
+
+    /**
+     * Per-frame decay for a trail `length` frames long, stretched to the real frame length
+     */
+    static getDecay(length, frameScale = 1) {
+        return Math.pow(TRAIL_END, frameScale / Math.max(1, length));
+    }
+
+    /**
+     * Fade the trails and add object (drawn with its own camera and materials) to them
+     * @param {Function} [beforeDraw] - Called around drawing object with true, then false, so
+     *                                  the caller can switch its materials into trail output
+     */
+    accumulate(object, camera, decay, beforeDraw = null) {
+        const renderer = this.renderer;
+        const previousTarget = renderer.getRenderTarget();
+        const autoClear = renderer.autoClear;
+
+        this.fadeMaterial.uniforms.source.value = this.targets[0].texture;
+        this.fadeMaterial.uniforms.decay.value = decay;
+        renderer.setRenderTarget(this.targets[1]);
+        renderer.autoClear = false;
+        renderer.render(this.fadeScene, this.fadeCamera);
+
+        if (beforeDraw) beforeDraw(true);
+        renderer.render(object, camera);
+        if (beforeDraw) beforeDraw(false);
+
+        renderer.autoClear = autoClear;
+        renderer.setRenderTarget(previousTarget);
+
+        this.targets.reverse();
+        this.overlayMaterial.uniforms.trailTexture.value = this.targets[0].texture;
+    }
+
+    setOpacity(opacity) {
+        this.overlayMaterial.uniforms.opacity.value = opacity;
+    }
+
+    setSize(width, height) {
+        if (width === this.width && height === this.height) return;
+
+        this.width = width;
+        this.height = height;
+        this.targets.forEach(target => target.setSize(width, height));
+        this.clear();
+    }
+
+    /**
+     * Erase all trails
+     */
+    clear() {
+        const renderer = this.renderer;
+        const previousTarget = renderer.getRenderTarget();
+        const clearColor = renderer.getClearColor(new THREE.Color());
+        const clearAlpha = renderer.getClearAlpha();
+
+        renderer.setClearColor(0x000000, 0);
+        this.targets.forEach(target => {
+            renderer.setRenderTarget(target);
+            renderer.clear(true, false, false);
+        });
+        renderer.setClearColor(clearColor, clearAlpha);
+        renderer.setRenderTarget(previousTarget);
+    }
+
+    dispose() {
+        this.targets.forEach(target => target.dispose());
+        this.fadeMaterial.dispose();
+        this.overlayMaterial.dispose();
+        this.fadeScene.children.forEach(mesh => mesh.geometry.dispose());
+        this.overlay.geometry.dispose();
+        if (this.overlay.parent) this.overlay.parent.remove(this.overlay);
+    }
+}
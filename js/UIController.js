@@ -2,6 +2,15 @@
  * UIController - Enhanced UI management with collapsible sections and advanced controls
  * Features: Presets, Onboarding, Toast notifications, Accessibility, Sound effects, Touch gestures
  */
+
+import { PatternGenerator } from './PatternGenerator.js';
+import { MORPH_STYLES } from './MorphTransition.js';
+import { FORMULA_EXAMPLES } from './FormulaPattern.js';
+import { ForceField, FIELD_TYPES, FIELD_FALLOFFS, FIELD_PARAMS, MAX_FORCE_FIELDS } from './ForceField.js';
+import { AudioAnalyzer, AUDIO_BANDS, AUDIO_TARGETS } from './AudioAnalyzer.js';
+import { BeatSync, BEAT_ACTIONS } from './BeatSync.js';
+import { OfflineRenderer, RENDER_FORMATS } from './OfflineRenderer.js';
+
 export class UIController {
     constructor() {
         // Panel elements
@@ -12,7 +21,38 @@ export class UIController {
         this.sectionHeaders = document.querySelectorAll('.section-header');
 
         // Pattern elements
-        this.patternButtons = document.querySelectorAll('.pattern-btn');
+        this.patternGrid = document.getElementById('pattern-grid');
+        this.patternParamsSection = document.getElementById('pattern-params-section');
+        this.patternParamsContainer = document.getElementById('pattern-params');
+        this.blendPatternSelect = document.getElementById('blend-pattern');
+        this.blendSourceSelect = document.getElementById('blend-source');
+        this.blendWeightControl = document.getElementById('blend-weight-control');
+        this.blendWeightSlider = document.getElementById('blend-weight');
+        this.blendWeightValue = document.getElementById('blend-weight-value');
+        this.patternTextInput = document.getElementById('pattern-text');
+        this.patternFontSelect = document.getElementById('pattern-font');
+        this.imageImportBtn = document.getElementById('image-import-btn');
+        this.imageFileInput = document.getElementById('image-file-input');
+        this.modelSelect = document.getElementById('model-select');
+        this.modelImportBtn = document.getElementById('model-import-btn');
+        this.modelFileInput = document.getElementById('model-file-input');
+        this.formulaExampleSelect = document.getElementById('formula-example');
+        this.formulaModeSelect = document.getElementById('formula-mode');
+        this.formulaParametricGroup = document.getElementById('formula-parametric');
+        this.formulaImplicitGroup = document.getElementById('formula-implicit-group');
+        this.formulaInputs = {
+            x: document.getElementById('formula-x'),
+            y: document.getElementById('formula-y'),
+            z: document.getElementById('formula-z'),
+            uMin: document.getElementById('formula-u-min'),
+            uMax: document.getElementById('formula-u-max'),
+            vMin: document.getElementById('formula-v-min'),
+            vMax: document.getElementById('formula-v-max'),
+            implicit: document.getElementById('formula-implicit'),
+            range: document.getElementById('formula-range')
+        };
+        this.formulaError = document.getElementById('formula-error');
+        this.formulaApplyBtn = document.getElementById('formula-apply-btn');
 
         // Color elements
         this.colorPicker = document.getElementById('color-picker');
@@ -20,6 +60,10 @@ export class UIController {
         this.colorValue = document.getElementById('color-value');
         this.colorPresets = document.querySelectorAll('.color-preset');
         this.gradientPresets = document.querySelectorAll('.gradient-preset');
+        this.gradientModeSelect = document.getElementById('gradient-mode');
+        this.gradientAxisSelect = document.getElementById('gradient-axis');
+        this.gradientAxisControl = document.getElementById('gradient-axis-control');
+        this.sourceColorsToggle = document.getElementById('source-colors-toggle');
 
         // Particle sliders
         this.particleCountSlider = document.getElementById('particle-count');
@@ -34,8 +78,20 @@ export class UIController {
         this.rotationSpeedValue = document.getElementById('rotation-speed-value');
         this.morphSpeedSlider = document.getElementById('morph-speed');
         this.morphSpeedValue = document.getElementById('morph-speed-value');
+        this.morphStyleSelect = document.getElementById('morph-style');
+        this.morphEasingSelect = document.getElementById('morph-easing');
+        this.morphDurationSlider = document.getElementById('morph-duration');
+        this.morphDurationValue = document.getElementById('morph-duration-value');
+        this.matchPathsToggle = document.getElementById('match-paths-toggle');
+        this.animatePatternsToggle = document.getElementById('animate-patterns-toggle');
         this.idleAmplitudeSlider = document.getElementById('idle-amplitude');
         this.idleAmplitudeValue = document.getElementById('idle-amplitude-value');
+        this.noiseScaleSlider = document.getElementById('noise-scale');
+        this.noiseScaleValue = document.getElementById('noise-scale-value');
+        this.noiseSpeedSlider = document.getElementById('noise-speed');
+        this.noiseSpeedValue = document.getElementById('noise-speed-value');
+        this.noiseOctavesSlider = document.getElementById('noise-octaves');
+        this.noiseOctavesValue = document.getElementById('noise-octaves-value');
 
         // Settings toggles
         this.cameraToggle = document.getElementById('camera-toggle');
@@ -49,7 +105,24 @@ export class UIController {
 
         // Effects toggles
         this.connectionsToggle = document.getElementById('connections-toggle');
+        this.connectionsSettings = document.getElementById('connections-settings');
+        this.connectionModeSelect = document.getElementById('connection-mode');
+        this.connectionDistanceSlider = document.getElementById('connection-distance');
+        this.connectionDistanceValue = document.getElementById('connection-distance-value');
+        this.connectionNeighborsSlider = document.getElementById('connection-neighbors');
+        this.connectionNeighborsValue = document.getElementById('connection-neighbors-value');
+        this.maxConnectionsSlider = document.getElementById('max-connections');
+        this.maxConnectionsValue = document.getElementById('max-connections-value');
         this.audioToggle = document.getElementById('audio-toggle');
+        this.audioSourceSelect = document.getElementById('audio-source');
+        this.audioFileSettings = document.getElementById('audio-file-settings');
+        this.audioFileName = document.getElementById('audio-file-name');
+        this.audioFileBtn = document.getElementById('audio-file-btn');
+        this.audioFileInput = document.getElementById('audio-file-input');
+        this.audioSeekSlider = document.getElementById('audio-seek');
+        this.audioTimeValue = document.getElementById('audio-time');
+        this.audioPlayBtn = document.getElementById('audio-play-btn');
+        this.audioLoopToggle = document.getElementById('audio-loop-toggle');
         this.backgroundToggle = document.getElementById('background-toggle');
         this.mouseControlToggle = document.getElementById('mouse-control-toggle');
 
@@ -109,6 +182,64 @@ export class UIController {
         this.statDrawcalls = document.getElementById('stat-drawcalls');
         this.statGpu = document.getElementById('stat-gpu');
         this.autoAdjustToggle = document.getElementById('auto-adjust-toggle');
+        this.simulationSelect = document.getElementById('simulation-backend');
+        this.particleCountMax = document.getElementById('particle-count-max');
+        this.seedInput = document.getElementById('seed-input');
+
+        // Sequencer elements
+        this.sequenceList = document.getElementById('sequence-list');
+        this.sequenceSourceSelect = document.getElementById('sequence-source');
+        this.sequenceTransitionSelect = document.getElementById('sequence-transition');
+        this.sequenceDurationSlider = document.getElementById('sequence-duration');
+        this.sequenceDurationValue = document.getElementById('sequence-duration-value');
+        this.sequenceAddBtn = document.getElementById('sequence-add-btn');
+        this.sequencePlayBtn = document.getElementById('sequence-play-btn');
+        this.sequenceNextBtn = document.getElementById('sequence-next-btn');
+        this.sequenceClearBtn = document.getElementById('sequence-clear-btn');
+        this.sequenceLoopToggle = document.getElementById('sequence-loop-toggle');
+
+        // Video render elements
+        this.renderFormatSelect = document.getElementById('render-format');
+        this.renderSizeSelect = document.getElementById('render-size');
+        this.renderFpsSelect = document.getElementById('render-fps');
+        this.renderStatus = document.getElementById('render-status');
+        this.renderPercent = document.getElementById('render-percent');
+        this.renderProgressBar = document.getElementById('render-progress-bar');
+        this.renderBtn = document.getElementById('render-btn');
+
+        // Force field elements
+        this.handTouchSelect = document.getElementById('hand-touch-mode');
+        this.handTouchStrengthSlider = document.getElementById('hand-touch-strength');
+        this.handTouchStrengthValue = document.getElementById('hand-touch-strength-value');
+        this.handTouchRadiusSlider = document.getElementById('hand-touch-radius');
+        this.handTouchRadiusValue = document.getElementById('hand-touch-radius-value');
+        this.forceFieldList = document.getElementById('force-field-list');
+        this.forceFieldTypeSelect = document.getElementById('force-field-type');
+        this.forceFieldAddBtn = document.getElementById('force-field-add-btn');
+        this.forceFieldEditor = document.getElementById('force-field-editor');
+        this.forceFieldAnchorSelect = document.getElementById('force-field-anchor');
+        this.forceFieldFalloffSelect = document.getElementById('force-field-falloff');
+        this.forceFieldDirectionControl = document.getElementById('force-field-direction-control');
+        this.forceFieldDirectionSelect = document.getElementById('force-field-direction');
+
+        // Audio mapping elements
+        this.audioBpmValue = document.getElementById('audio-bpm');
+        this.audioMeters = document.getElementById('audio-meters');
+        this.audioBandRoutes = document.getElementById('audio-band-routes');
+        this.audioAttackSlider = document.getElementById('audio-attack');
+        this.audioAttackValue = document.getElementById('audio-attack-value');
+        this.audioReleaseSlider = document.getElementById('audio-release');
+        this.audioReleaseValue = document.getElementById('audio-release-value');
+        this.beatActionSelect = document.getElementById('beat-action');
+        this.beatSyncSettings = document.getElementById('beat-sync-settings');
+        this.beatUnitSelect = document.getElementById('beat-unit');
+        this.beatEverySlider = document.getElementById('beat-every');
+        this.beatEveryValue = document.getElementById('beat-every-value');
+        this.beatBarLengthSlider = document.getElementById('beat-bar-length');
+        this.beatBarLengthValue = document.getElementById('beat-bar-length-value');
+        this.beatDebounceSlider = document.getElementById('beat-debounce');
+        this.beatDebounceValue = document.getElementById('beat-debounce-value');
+        this.forceFieldParams = document.getElementById('force-field-params');
 
         // Onboarding elements
         this.onboardingOverlay = document.getElementById('onboarding-overlay');
@@ -123,20 +254,43 @@ export class UIController {
 
         // Callbacks
         this.onPatternChange = null;
+        this.onPatternBlendChange = null;
+        this.onBlendWeightChange = null;
+        this.onBlendSourceChange = null;
+        this.onPatternParamsChange = null;
+        this.onImageImport = null;
+        this.onModelImport = null;
+        this.onFormulaApply = null;
+        this.onSourceColorsToggle = null;
         this.onColorChange = null;
+        this.onGradientChange = null;
+        this.onGradientModeChange = null;
+        this.onGradientAxisChange = null;
         this.onParticleCountChange = null;
         this.onParticleSizeChange = null;
         this.onGlowIntensityChange = null;
         this.onRotationSpeedChange = null;
         this.onMorphSpeedChange = null;
+        this.onMorphStyleChange = null;
+        this.onMatchPathsToggle = null;
+        this.onPatternAnimationToggle = null;
         this.onIdleAmplitudeChange = null;
+        this.onTurbulenceNoiseChange = null;
         this.onCameraToggle = null;
         this.onAutoRotateToggle = null;
         this.onReset = null;
         this.onRandomize = null;
         this.onScreenshot = null;
         this.onConnectionsToggle = null;
+        this.onConnectionSettingsChange = null;
         this.onAudioToggle = null;
+        this.onAudioSourceChange = null;
+        this.onAudioFileSelect = null;
+        this.onAudioPlayToggle = null;
+        this.onAudioSeek = null;
+        this.onAudioLoopToggle = null;
+        this.onAudioMappingChange = null;
+        this.onBeatSyncChange = null;
         this.onBackgroundToggle = null;
         this.onMouseControlToggle = null;
         this.onBloomToggle = null;
@@ -147,10 +301,38 @@ export class UIController {
         this.onPresetLoad = null;
         this.onReducedMotionToggle = null;
         this.onAutoAdjustToggle = null;
+        this.onSimulationBackendChange = null;
+        this.onSeedChange = null;
+        this.onSequenceAdd = null;
+        this.onSequencePlayToggle = null;
+        this.onSequenceNext = null;
+        this.onSequenceClear = null;
+        this.onSequenceRemove = null;
+        this.onSequenceSelect = null;
+        this.onSequenceLoopToggle = null;
+        this.onRenderToggle = null;
+        this.onForceFieldsChange = null;
+        this.onHandTouchChange = null;
 
         // State
         this.currentPattern = 'sphere';
+        this.patternParams = {}; // pattern name -> slider overrides
+        this.blendPattern = null; // Second pattern of a blend, null = no blend
+        this.blendWeight = 0;
+        this.blendSource = 'manual';
         this.currentColor = '#00d4ff';
+        this.currentGradient = null; // Array of hex stops, null = solid color
+        this.gradientMode = 'axis';
+        this.gradientAxis = 'y';
+        this.currentSeed = null; // null = Math.random
+        this.morphStyle = 'spring';
+        this.morphDuration = null; // null = the style's own duration/easing
+        this.morphEasing = null;
+        this.audioDuration = 0; // Of the loaded audio file, for the seek slider
+        this.audioSeeking = false; // Seek slider held, so playback updates don't move it
+        this.rendering = false; // Offline render running: live audio controls are locked
+        this.forceFields = []; // ForceField objects, world space
+        this.selectedForceField = -1;
         this.isPanelCollapsed = false;
         this.isFullscreen = false;
         this.currentOnboardingStep = 1;
@@ -169,16 +351,33 @@ export class UIController {
         this.defaults = {
             pattern: 'sphere',
             color: '#00d4ff',
+            gradient: null,
+            gradientMode: 'axis',
+            gradientAxis: 'y',
+            blendPattern: null,
+            blendWeight: 0,
+            blendSource: 'manual',
+            seed: null,
+            sourceColors: false,
             particleCount: 15000,
             particleSize: 1,
             glowIntensity: 1,
             rotationSpeed: 1,
             morphSpeed: 1,
+            morphStyle: 'spring',
+            matchPaths: true,
+            animatePatterns: true,
+            forceFields: [],
+            handTouch: { mode: 'push', strength: 1, radius: 25 },
             idleAmplitude: 1,
+            turbulenceNoise: { scale: 0.02, speed: 0.3, octaves: 2 },
             cameraPreview: true,
             autoRotate: true,
             connections: false,
+            connectionSettings: { mode: 'radius', distance: 15, neighbors: 3, maxConnections: 5000 },
             audio: false,
+            audioMapping: AudioAnalyzer.normalizeMapping(),
+            beatSync: BeatSync.normalize(),
             background: true,
             mouseControl: true
         };
@@ -274,14 +473,109 @@ export class UIController {
             });
         });
 
-        // Pattern buttons
-        this.patternButtons.forEach(btn => {
-            btn.addEventListener('click', () => {
-                const pattern = btn.dataset.pattern;
-                this.selectPattern(pattern);
-                this.playSound('click');
+        // Pattern buttons (built from the registry; rebuilt when patterns are registered later)
+        this.renderPatternButtons();
+        this.renderPatternParams();
+        this.renderBlendOptions();
+        PatternGenerator.onChange(() => {
+            this.renderPatternButtons();
+            this.renderPatternParams();
+            this.renderBlendOptions();
+        });
+
+        // Pattern blend: second pattern, weight slider and what drives the weight
+        if (this.blendPatternSelect) {
+            this.blendPatternSelect.addEventListener('change', (e) => {
+                this.setPatternBlend({ pattern: e.target.value || null });
+                if (this.onPatternBlendChange) this.onPatternBlendChange(this.getPatternBlend());
+            });
+
+            this.blendWeightSlider.addEventListener('input', (e) => {
+                this.setPatternBlend({ weight: parseFloat(e.target.value) });
+                if (this.onBlendWeightChange) this.onBlendWeightChange(this.blendWeight);
+            });
+
+            this.blendSourceSelect.addEventListener('change', (e) => {
+                this.setPatternBlend({ source: e.target.value });
+                if (this.onBlendSourceChange) this.onBlendSourceChange(this.blendSource);
+            });
+        }
+
+        this.patternGrid.addEventListener('click', (e) => {
+            const btn = e.target.closest('.pattern-btn');
+            if (!btn) return;
+            this.selectPattern(btn.dataset.pattern);
+            this.playSound('click');
+        });
+
+        // Image / SVG import
+        if (this.imageImportBtn && this.imageFileInput) {
+            this.imageImportBtn.addEventListener('click', () => this.imageFileInput.click());
+            this.imageFileInput.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file && this.onImageImport) this.onImageImport(file);
+                e.target.value = '';
+            });
+        }
+
+        // 3D model import and picker (stored models)
+        if (this.modelImportBtn && this.modelFileInput) {
+            this.modelImportBtn.addEventListener('click', () => this.modelFileInput.click());
+            this.modelFileInput.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file && this.onModelImport) this.onModelImport(file);
+                e.target.value = '';
+            });
+        }
+        if (this.modelSelect) {
+            this.modelSelect.addEventListener('change', (e) => {
+                if (e.target.value) this.showModelPattern(e.target.value);
+            });
+        }
+
+        // Custom formula editor: examples fill the inputs, Apply (or Enter) validates and morphs
+        if (this.formulaExampleSelect) {
+            Object.entries(FORMULA_EXAMPLES).forEach(([key, example]) => {
+                const option = document.createElement('option');
+                option.value = key;
+                option.textContent = example.name;
+                this.formulaExampleSelect.appendChild(option);
+            });
+            this.formulaExampleSelect.addEventListener('change', (e) => {
+                const example = FORMULA_EXAMPLES[e.target.value];
+                if (!example) return;
+                const { name, ...values } = example;
+                this.setFormulaInputs(values);
+                this.emitFormula();
+            });
+        }
+        if (this.formulaModeSelect) {
+            this.formulaModeSelect.addEventListener('change', (e) => this.updateFormulaMode(e.target.value));
+        }
+        Object.values(this.formulaInputs).forEach(input => {
+            if (!input) return;
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') this.emitFormula();
+            });
+            input.addEventListener('input', () => {
+                if (this.formulaExampleSelect) this.formulaExampleSelect.value = '';
             });
         });
+        if (this.formulaApplyBtn) {
+            this.formulaApplyBtn.addEventListener('click', () => this.emitFormula());
+        }
+
+        // Text pattern: typing (Enter / blur) or changing the font morphs into the words
+        if (this.patternTextInput) {
+            this.patternTextInput.addEventListener('change', (e) => {
+                this.setPatternText({ text: e.target.value.trim() || 'AETHER' });
+            });
+        }
+        if (this.patternFontSelect) {
+            this.patternFontSelect.addEventListener('change', (e) => {
+                this.setPatternText({ font: e.target.value });
+            });
+        }
 
         // Color picker
         this.colorPreview.addEventListener('click', () => this.colorPicker.click());
@@ -301,13 +595,29 @@ export class UIController {
         // Gradient presets
         this.gradientPresets.forEach(preset => {
             preset.addEventListener('click', () => {
-                const startColor = preset.dataset.start;
-                this.setColor(startColor);
-                preset.classList.add('active');
-                setTimeout(() => preset.classList.remove('active'), 300);
+                this.setGradient(this.getGradientStops(preset));
+                this.playSound('click');
             });
         });
 
+        if (this.gradientModeSelect) {
+            this.gradientModeSelect.addEventListener('change', (e) => {
+                this.setGradientMode(e.target.value);
+            });
+        }
+
+        if (this.gradientAxisSelect) {
+            this.gradientAxisSelect.addEventListener('change', (e) => {
+                this.setGradientAxis(e.target.value);
+            });
+        }
+
+        if (this.sourceColorsToggle) {
+            this.sourceColorsToggle.addEventListener('change', (e) => {
+                if (this.onSourceColorsToggle) this.onSourceColorsToggle(e.target.checked);
+            });
+        }
+
         // Particle sliders
         this.particleCountSlider.addEventListener('input', (e) => {
             const count = parseInt(e.target.value);
@@ -340,12 +650,52 @@ export class UIController {
             if (this.onMorphSpeedChange) this.onMorphSpeedChange(speed);
         });
 
+        // Morph transition style; duration and easing start at the style's defaults
+        if (this.morphStyleSelect) {
+            this.renderMorphStyles();
+
+            this.morphStyleSelect.addEventListener('change', (e) => {
+                this.setMorphStyle(e.target.value);
+                this.emitMorphStyle();
+            });
+
+            this.morphEasingSelect.addEventListener('change', (e) => {
+                this.morphEasing = e.target.value || null;
+                this.emitMorphStyle();
+            });
+
+            this.morphDurationSlider.addEventListener('input', (e) => {
+                this.morphDuration = parseFloat(e.target.value);
+                this.morphDurationValue.textContent = `${this.morphDuration.toFixed(1)}s`;
+                this.emitMorphStyle();
+            });
+
+            this.matchPathsToggle.addEventListener('change', (e) => {
+                if (this.onMatchPathsToggle) this.onMatchPathsToggle(e.target.checked);
+            });
+        }
+
+        if (this.animatePatternsToggle) {
+            this.animatePatternsToggle.addEventListener('change', (e) => {
+                if (this.onPatternAnimationToggle) this.onPatternAnimationToggle(e.target.checked);
+            });
+        }
+
         this.idleAmplitudeSlider.addEventListener('input', (e) => {
             const amplitude = parseFloat(e.target.value);
             this.idleAmplitudeValue.textContent = `${amplitude.toFixed(1)}x`;
             if (this.onIdleAmplitudeChange) this.onIdleAmplitudeChange(amplitude);
         });
 
+        if (this.noiseScaleSlider) {
+            [this.noiseScaleSlider, this.noiseSpeedSlider, this.noiseOctavesSlider].forEach(slider => {
+                slider.addEventListener('input', () => {
+                    this.setTurbulenceNoise(this.getTurbulenceNoise());
+                    if (this.onTurbulenceNoiseChange) this.onTurbulenceNoiseChange(this.getTurbulenceNoise());
+                });
+            });
+        }
+
         // Settings toggles
         this.cameraToggle.addEventListener('change', (e) => {
             this.toggleCamera(e.target.checked);
@@ -378,16 +728,69 @@ export class UIController {
         // Effects toggles
         if (this.connectionsToggle) {
             this.connectionsToggle.addEventListener('change', (e) => {
+                this.showConnectionSettings(e.target.checked);
                 if (this.onConnectionsToggle) this.onConnectionsToggle(e.target.checked);
             });
         }
 
+        if (this.connectionsSettings) {
+            const emit = () => {
+                this.setConnectionSettings(this.getConnectionSettings());
+                if (this.onConnectionSettingsChange) this.onConnectionSettingsChange(this.getConnectionSettings());
+            };
+            this.connectionModeSelect.addEventListener('change', emit);
+            this.connectionDistanceSlider.addEventListener('input', emit);
+            this.connectionNeighborsSlider.addEventListener('input', emit);
+            this.maxConnectionsSlider.addEventListener('input', emit);
+        }
+
         if (this.audioToggle) {
             this.audioToggle.addEventListener('change', (e) => {
                 if (this.onAudioToggle) this.onAudioToggle(e.target.checked);
             });
         }
 
+        // Audio source, file picker and file transport
+        if (this.audioSourceSelect) {
+            this.audioSourceSelect.addEventListener('change', (e) => {
+                this.showAudioFileSettings(e.target.value === 'file');
+                if (this.onAudioSourceChange) this.onAudioSourceChange(e.target.value);
+            });
+            this.audioFileBtn.addEventListener('click', () => this.audioFileInput.click());
+            this.audioFileInput.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file && this.onAudioFileSelect) this.onAudioFileSelect(file);
+                e.target.value = '';
+            });
+            this.audioPlayBtn.addEventListener('click', () => {
+                if (this.onAudioPlayToggle) this.onAudioPlayToggle();
+            });
+            // Dragging shows the target time; the seek happens on release
+            this.audioSeekSlider.addEventListener('input', (e) => {
+                this.audioSeeking = true;
+                const duration = this.audioDuration || 0;
+                this.audioTimeValue.textContent = `${this.formatTime(e.target.value / 1000 * duration)} / ${this.formatTime(duration)}`;
+            });
+            this.audioSeekSlider.addEventListener('change', (e) => {
+                this.audioSeeking = false;
+                if (this.onAudioSeek) this.onAudioSeek(e.target.value / 1000 * (this.audioDuration || 0));
+            });
+            this.audioLoopToggle.addEventListener('change', (e) => {
+                if (this.onAudioLoopToggle) this.onAudioLoopToggle(e.target.checked);
+            });
+
+            // Dropping an audio file anywhere plays it
+            document.addEventListener('dragover', (e) => {
+                if (e.dataTransfer.types.includes('Files')) e.preventDefault();
+            });
+            document.addEventListener('drop', (e) => {
+                const file = [...e.dataTransfer.files].find(item => this.isAudioFile(item));
+                if (!file || this.rendering) return;
+                e.preventDefault();
+                if (this.onAudioFileSelect) this.onAudioFileSelect(file);
+            });
+        }
+
         if (this.backgroundToggle) {
             this.backgroundToggle.addEventListener('change', (e) => {
                 if (this.onBackgroundToggle) this.onBackgroundToggle(e.target.checked);
@@ -468,6 +871,18 @@ export class UIController {
         // Initialize preset functionality
         this.initPresets();
 
+        // Initialize sequencer controls
+        this.initSequencer();
+
+        // Initialize video render controls
+        this.initRender();
+
+        // Initialize force field editor
+        this.initForceFields();
+
+        // Initialize audio band routing
+        this.initAudioMapping();
+
         // Initialize accessibility settings
         this.initAccessibility();
 
@@ -531,21 +946,78 @@ export class UIController {
         return {
             pattern: this.currentPattern,
             color: this.currentColor,
+            gradient: this.currentGradient,
+            gradientMode: this.gradientMode,
+            gradientAxis: this.gradientAxis,
+            patternParams: this.getPatternParams(),
+            blendPattern: this.blendPattern,
+            blendWeight: this.blendWeight,
+            blendSource: this.blendSource,
+            sourceColors: this.sourceColorsToggle?.checked || false,
+            seed: this.currentSeed,
             particleCount: parseInt(this.particleCountSlider.value),
             particleSize: parseFloat(this.particleSizeSlider.value),
             glowIntensity: parseFloat(this.glowIntensitySlider.value),
             rotationSpeed: parseFloat(this.rotationSpeedSlider.value),
             morphSpeed: parseFloat(this.morphSpeedSlider.value),
+            morphStyle: this.morphStyle,
+            morphDuration: this.morphDuration,
+            morphEasing: this.morphEasing,
+            matchPaths: this.matchPathsToggle?.checked ?? true,
+            animatePatterns: this.animatePatternsToggle?.checked ?? true,
+            forceFields: this.getForceFields(),
+            handTouch: this.getHandTouch(),
             idleAmplitude: parseFloat(this.idleAmplitudeSlider.value),
+            turbulenceNoise: this.getTurbulenceNoise(),
             connections: this.connectionsToggle?.checked || false,
+            connectionSettings: this.getConnectionSettings(),
+            audioMapping: this.getAudioMapping(),
+            beatSync: this.getBeatSync(),
             autoRotate: this.autoRotateToggle?.checked || true
         };
     }
 
     loadPreset(preset) {
-        // Update UI
-        if (preset.pattern) this.selectPattern(preset.pattern);
-        if (preset.color) this.setColor(preset.color);
+        // Seed first so the pattern and particles below are generated from it
+        if (preset.seed !== undefined) {
+            this.setSeed(preset.seed);
+            if (this.onSeedChange) this.onSeedChange(this.currentSeed);
+        }
+
+        // Morph settings before the pattern so the change below uses them
+        if (preset.morphStyle) {
+            this.setMorphStyle(preset.morphStyle, { duration: preset.morphDuration, easing: preset.morphEasing });
+            this.emitMorphStyle();
+        }
+        if (preset.matchPaths !== undefined) {
+            this.setMatchPaths(preset.matchPaths);
+            if (this.onMatchPathsToggle) this.onMatchPathsToggle(preset.matchPaths);
+        }
+
+        // Blend state before the pattern, which is applied together with it
+        const hasBlend = preset.blendPattern !== undefined;
+        if (hasBlend) {
+            this.setPatternBlend({ pattern: preset.blendPattern, weight: preset.blendWeight ?? 0, source: preset.blendSource || 'manual' });
+            if (this.onBlendSourceChange) this.onBlendSourceChange(this.blendSource);
+        }
+
+        // Update UI (params first so the pattern morphs straight to the saved shape)
+        if (preset.pattern) {
+            if (preset.patternParams) this.patternParams[preset.pattern] = { ...preset.patternParams };
+            if (preset.pattern === this.currentPattern) {
+                this.setPatternParams(this.getPatternParams());
+            } else {
+                this.selectPattern(preset.pattern);
+            }
+        }
+        if (hasBlend && this.onPatternBlendChange) this.onPatternBlendChange(this.getPatternBlend());
+        if (preset.gradientMode) this.setGradientMode(preset.gradientMode);
+        if (preset.gradientAxis) this.setGradientAxis(preset.gradientAxis);
+        if (preset.gradient) {
+            this.setGradient(preset.gradient);
+        } else if (preset.color) {
+            this.setColor(preset.color);
+        }
 
         if (preset.particleCount !== undefined) {
             this.particleCountSlider.value = preset.particleCount;
@@ -582,9 +1054,45 @@ export class UIController {
             this.idleAmplitudeValue.textContent = `${preset.idleAmplitude.toFixed(1)}x`;
             if (this.onIdleAmplitudeChange) this.onIdleAmplitudeChange(preset.idleAmplitude);
         }
+        if (preset.turbulenceNoise) {
+            this.setTurbulenceNoise(preset.turbulenceNoise);
+            if (this.onTurbulenceNoiseChange) this.onTurbulenceNoiseChange(this.getTurbulenceNoise());
+        }
 
+        if (preset.sourceColors !== undefined) {
+            this.setSourceColors(preset.sourceColors);
+        }
+
+        if (preset.animatePatterns !== undefined) {
+            if (this.animatePatternsToggle) this.animatePatternsToggle.checked = preset.animatePatterns;
+            if (this.onPatternAnimationToggle) this.onPatternAnimationToggle(preset.animatePatterns);
+        }
+
+        if (preset.forceFields !== undefined) {
+            this.setForceFields(preset.forceFields);
+            this.emitForceFields();
+        }
+        if (preset.handTouch) {
+            this.setHandTouch(preset.handTouch);
+            this.emitHandTouch();
+        }
+
+        if (preset.audioMapping) {
+            this.setAudioMapping(preset.audioMapping);
+            this.emitAudioMapping();
+        }
+        if (preset.beatSync) {
+            this.setBeatSync(preset.beatSync);
+            this.emitBeatSync();
+        }
+
+        if (preset.connectionSettings) {
+            this.setConnectionSettings(preset.connectionSettings);
+            if (this.onConnectionSettingsChange) this.onConnectionSettingsChange(this.getConnectionSettings());
+        }
         if (preset.connections !== undefined && this.connectionsToggle) {
             this.connectionsToggle.checked = preset.connections;
+            this.showConnectionSettings(preset.connections);
             if (this.onConnectionsToggle) this.onConnectionsToggle(preset.connections);
         }
 
@@ -602,7 +1110,10 @@ export class UIController {
         };
 
         this.customPresets.push(preset);
-        this.saveCustomPresetsToStorage();
+        if (!this.saveCustomPresetsToStorage()) {
+            this.customPresets.pop();
+            return;
+        }
         this.renderCustomPresets();
         this.showToast(`Saved "${name}" preset`, 'success');
         this.playSound('success');
@@ -618,8 +1129,19 @@ export class UIController {
         }
     }
 
+    /**
+     * @returns {boolean} False (after a toast) when storage is full, e.g. from large images in presets
+     */
     saveCustomPresetsToStorage() {
-        localStorage.setItem('customPresets', JSON.stringify(this.customPresets));
+        try {
+            localStorage.setItem('customPresets', JSON.stringify(this.customPresets));
+            return true;
+        } catch (e) {
+            console.warn('Could not save presets:', e);
+            this.showToast('Not enough storage to save presets', 'error');
+            this.playSound('error');
+            return false;
+        }
     }
 
     loadCustomPresets() {
@@ -635,6 +1157,7 @@ export class UIController {
     }
 
     renderCustomPresets() {
+        this.updateSequenceSources();
         if (!this.customPresetsList) return;
 
         this.customPresetsList.innerHTML = '';
@@ -696,8 +1219,12 @@ export class UIController {
                 const data = JSON.parse(e.target.result);
                 if (data.presets && Array.isArray(data.presets)) {
                     const count = data.presets.length;
+                    const previous = this.customPresets;
                     this.customPresets = [...this.customPresets, ...data.presets];
-                    this.saveCustomPresetsToStorage();
+                    if (!this.saveCustomPresetsToStorage()) {
+                        this.customPresets = previous;
+                        return;
+                    }
                     this.renderCustomPresets();
                     this.showToast(`Imported ${count} preset(s)!`, 'success');
                     this.playSound('success');
@@ -713,6 +1240,613 @@ export class UIController {
         event.target.value = '';
     }
 
+    /**
+     * Look up a built-in preset by key or a custom preset by name
+     */
+    getPreset(name) {
+        return this.builtInPresets[name] || this.customPresets.find(preset => preset.name === name) || null;
+    }
+
+    // ============================================
+    // Video Render
+    // ============================================
+
+    initRender() {
+        if (!this.renderBtn) return;
+
+        Object.entries(RENDER_FORMATS).forEach(([format, label]) => {
+            const option = document.createElement('option');
+            option.value = format;
+            option.textContent = label;
+            // Video needs WebCodecs; PNG frames work everywhere
+            option.disabled = format === 'webm' && !OfflineRenderer.isVideoSupported();
+            this.renderFormatSelect.appendChild(option);
+        });
+        this.renderFormatSelect.value = OfflineRenderer.isVideoSupported() ? 'webm' : 'png';
+
+        this.renderBtn.addEventListener('click', () => {
+            if (this.onRenderToggle) this.onRenderToggle();
+        });
+    }
+
+    /**
+     * @returns {Object} { format, width, height, fps } for OfflineRenderer.render
+     */
+    getRenderOptions() {
+        const [width, height] = this.renderSizeSelect.value.split('x').map(Number);
+        return {
+            format: this.renderFormatSelect.value,
+            width,
+            height,
+            fps: parseInt(this.renderFpsSelect.value)
+        };
+    }
+
+    /**
+     * Switch the panel between render settings and a running render (cancel button, live
+     * audio controls locked)
+     */
+    setRendering(rendering) {
+        this.rendering = rendering;
+        if (!this.renderBtn) return;
+
+        this.renderBtn.textContent = rendering ? 'Cancel' : 'Render';
+        [this.renderFormatSelect, this.renderSizeSelect, this.renderFpsSelect].forEach(select => {
+            select.disabled = rendering;
+        });
+        [this.audioToggle, this.audioSourceSelect, this.audioFileBtn, this.audioPlayBtn, this.audioSeekSlider].forEach(control => {
+            if (control) control.disabled = rendering;
+        });
+        this.updateRenderProgress({ stage: rendering ? 'analyzing' : 'idle', progress: 0 });
+    }
+
+    /**
+     * @param {Object} state - OfflineRenderer progress: { stage, progress, frame, frameCount }
+     */
+    updateRenderProgress({ stage, progress, frame = 0, frameCount = 0 }) {
+        if (!this.renderBtn) return;
+
+        const labels = {
+            analyzing: 'Analyzing audio...',
+            rendering: `Frame ${frame} / ${frameCount}`,
+            finishing: 'Finishing...'
+        };
+        if (labels[stage]) this.renderStatus.textContent = labels[stage];
+        this.renderPercent.textContent = stage === 'idle' ? '' : `${Math.round(progress * 100)}%`;
+        this.renderProgressBar.style.width = `${progress * 100}%`;
+    }
+
+    // ============================================
+    // Sequencer
+    // ============================================
+    initSequencer() {
+        if (!this.sequenceList) return;
+
+        this.sequenceDurationSlider.addEventListener('input', (e) => {
+            this.sequenceDurationValue.textContent = `${e.target.value}s`;
+        });
+
+        // New entry: a preset, or the current pattern with its params and color/gradient
+        this.sequenceAddBtn.addEventListener('click', () => {
+            const entry = {
+                duration: parseFloat(this.sequenceDurationSlider.value),
+                transition: this.sequenceTransitionSelect.value
+            };
+
+            const preset = this.sequenceSourceSelect.value;
+            if (preset) {
+                entry.preset = preset;
+            } else {
+                entry.pattern = this.currentPattern;
+                entry.patternParams = this.getPatternParams();
+                if (this.currentGradient) {
+                    entry.gradient = this.currentGradient;
+                    entry.gradientMode = this.gradientMode;
+                    entry.gradientAxis = this.gradientAxis;
+                } else {
+                    entry.color = this.currentColor;
+                }
+            }
+
+            if (this.onSequenceAdd) this.onSequenceAdd(entry);
+            this.playSound('click');
+        });
+
+        this.sequencePlayBtn.addEventListener('click', () => {
+            if (this.onSequencePlayToggle) this.onSequencePlayToggle();
+        });
+        this.sequenceNextBtn.addEventListener('click', () => {
+            if (this.onSequenceNext) this.onSequenceNext();
+        });
+        this.sequenceClearBtn.addEventListener('click', () => {
+            if (this.onSequenceClear) this.onSequenceClear();
+        });
+        this.sequenceLoopToggle.addEventListener('change', (e) => {
+            if (this.onSequenceLoopToggle) this.onSequenceLoopToggle(e.target.checked);
+        });
+    }
+
+    /**
+     * Redraw the playlist from Sequencer.getState()
+     */
+    renderSequence(state) {
+        if (!this.sequenceList) return;
+
+        this.sequenceList.innerHTML = '';
+        this.sequencePlayBtn.textContent = state.playing ? 'Pause' : 'Play';
+        this.sequenceLoopToggle.checked = state.loop;
+
+        if (state.entries.length === 0) {
+            this.sequenceList.innerHTML = '<p style="font-size: 10px; color: var(--text-muted); text-align: center; padding: 10px;">Playlist is empty</p>';
+            return;
+        }
+
+        state.entries.forEach((entry, index) => {
+            const item = document.createElement('div');
+            item.className = 'custom-preset-item sequence-item';
+            item.classList.toggle('active', index === state.index);
+
+            const label = document.createElement('span');
+            const preset = entry.preset ? this.getPreset(entry.preset) : null;
+            const meta = entry.pattern ? PatternGenerator.getPatternMeta(entry.pattern) : null;
+            const title = preset ? preset.name : (meta ? meta.displayName : entry.pattern || 'Entry');
+            label.textContent = `${index + 1}. ${title} · ${entry.duration}s · ${entry.transition}`;
+
+            const remove = document.createElement('button');
+            remove.className = 'delete-preset';
+            remove.title = 'Remove';
+            remove.textContent = '×';
+
+            const progress = document.createElement('div');
+            progress.className = 'sequence-progress';
+            progress.style.width = index === state.index ? `${state.progress * 100}%` : '0';
+
+            label.addEventListener('click', () => {
+                if (this.onSequenceSelect) this.onSequenceSelect(index);
+            });
+            remove.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (this.onSequenceRemove) this.onSequenceRemove(index);
+            });
+
+            item.append(label, remove, progress);
+            this.sequenceList.appendChild(item);
+        });
+    }
+
+    /**
+     * Move the active entry's progress bar without rebuilding the list
+     */
+    updateSequenceProgress(state) {
+        const progress = this.sequenceList?.querySelectorAll('.sequence-progress')[state.index];
+        if (progress) progress.style.width = `${state.progress * 100}%`;
+    }
+
+    /**
+     * Keep custom presets selectable as playlist entries
+     */
+    updateSequenceSources() {
+        if (!this.sequenceSourceSelect) return;
+
+        this.sequenceSourceSelect.querySelectorAll('option[data-custom]').forEach(option => option.remove());
+        this.customPresets.forEach(preset => {
+            const option = document.createElement('option');
+            option.value = preset.name;
+            option.textContent = `Preset: ${preset.name}`;
+            option.dataset.custom = 'true';
+            this.sequenceSourceSelect.appendChild(option);
+        });
+    }
+
+    // ============================================
+    // Force Fields
+    // ============================================
+    initForceFields() {
+        if (!this.forceFieldList) return;
+
+        Object.entries(FIELD_TYPES).forEach(([type, info]) => {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = info.displayName;
+            option.title = info.description;
+            this.forceFieldTypeSelect.appendChild(option);
+        });
+        Object.entries(FIELD_FALLOFFS).forEach(([falloff, label]) => {
+            const option = document.createElement('option');
+            option.value = falloff;
+            option.textContent = label;
+            this.forceFieldFalloffSelect.appendChild(option);
+        });
+
+        this.forceFieldAddBtn.addEventListener('click', () => {
+            if (this.forceFields.length >= MAX_FORCE_FIELDS) {
+                this.showToast(`Up to ${MAX_FORCE_FIELDS} force fields`, 'warning');
+                return;
+            }
+            this.forceFields.push(ForceField.create(this.forceFieldTypeSelect.value));
+            this.selectedForceField = this.forceFields.length - 1;
+            this.renderForceFields();
+            this.emitForceFields();
+            this.playSound('click');
+        });
+
+        this.forceFieldAnchorSelect.addEventListener('change', (e) => {
+            this.updateSelectedForceField({ anchor: e.target.value });
+            this.renderForceFields();
+        });
+        this.forceFieldFalloffSelect.addEventListener('change', (e) => {
+            this.updateSelectedForceField({ falloff: e.target.value });
+        });
+        this.forceFieldDirectionSelect.addEventListener('change', (e) => {
+            this.updateSelectedForceField({ direction: e.target.value.split(',').map(Number) });
+        });
+
+        if (this.handTouchSelect) {
+            this.handTouchSelect.addEventListener('change', () => this.emitHandTouch());
+            this.handTouchStrengthSlider.addEventListener('input', (e) => {
+                this.handTouchStrengthValue.textContent = parseFloat(e.target.value).toFixed(1);
+                this.emitHandTouch();
+            });
+            this.handTouchRadiusSlider.addEventListener('input', (e) => {
+                this.handTouchRadiusValue.textContent = e.target.value;
+                this.emitHandTouch();
+            });
+        }
+
+        this.renderForceFields();
+    }
+
+    /**
+     * Redraw the field list and the selected field's editor
+     */
+    renderForceFields() {
+        if (!this.forceFieldList) return;
+
+        this.forceFieldList.innerHTML = '';
+        if (this.forceFields.length === 0) {
+            this.forceFieldList.innerHTML = '<p style="font-size: 10px; color: var(--text-muted); text-align: center; padding: 10px;">No force fields</p>';
+        }
+
+        this.forceFields.forEach((field, index) => {
+            const item = document.createElement('div');
+            item.className = 'custom-preset-item force-field-item';
+            item.classList.toggle('active', index === this.selectedForceField);
+
+            const label = document.createElement('span');
+            const anchor = field.anchor === 'hand' ? 'Hand' : 'Scene';
+            label.textContent = `${index + 1}. ${FIELD_TYPES[field.type].displayName} · ${anchor}`;
+
+            const remove = document.createElement('button');
+            remove.className = 'delete-preset';
+            remove.title = 'Remove';
+            remove.textContent = '×';
+
+            item.addEventListener('click', () => {
+                this.selectedForceField = index;
+                this.renderForceFields();
+            });
+            remove.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.forceFields.splice(index, 1);
+                if (this.selectedForceField >= index) this.selectedForceField--;
+                if (this.selectedForceField < 0 && this.forceFields.length) this.selectedForceField = 0;
+                this.renderForceFields();
+                this.emitForceFields();
+            });
+
+            item.append(label, remove);
+            this.forceFieldList.appendChild(item);
+        });
+
+        this.renderForceFieldEditor();
+    }
+
+    /**
+     * Selects and sliders for the selected field (position only for scene-anchored fields)
+     */
+    renderForceFieldEditor() {
+        const field = this.forceFields[this.selectedForceField];
+        this.forceFieldEditor.hidden = !field;
+        if (!field) return;
+
+        this.forceFieldAnchorSelect.value = field.anchor;
+        this.forceFieldFalloffSelect.value = field.falloff;
+        this.forceFieldDirectionControl.hidden = !FIELD_TYPES[field.type].directional;
+        this.forceFieldDirectionSelect.value = field.direction.join(',');
+
+        this.forceFieldParams.innerHTML = '';
+        FIELD_PARAMS
+            .filter(param => (!param.types || param.types.includes(field.type))
+                && (!param.anchors || param.anchors.includes(field.anchor)))
+            .forEach(param => {
+                const control = document.createElement('div');
+                control.className = 'slider-control';
+
+                const header = document.createElement('div');
+                header.className = 'slider-header';
+                const label = document.createElement('label');
+                label.textContent = param.label;
+                const valueLabel = document.createElement('span');
+                valueLabel.className = 'slider-value';
+                header.append(label, valueLabel);
+
+                const slider = document.createElement('input');
+                slider.type = 'range';
+                slider.min = param.min;
+                slider.max = param.max;
+                slider.step = param.step;
+                slider.value = param.axis !== undefined ? field.position[param.axis] : field[param.name];
+
+                const decimals = String(param.step).includes('.') ? String(param.step).split('.')[1].length : 0;
+                valueLabel.textContent = Number(slider.value).toFixed(decimals);
+
+                slider.addEventListener('input', (e) => {
+                    const value = parseFloat(e.target.value);
+                    valueLabel.textContent = value.toFixed(decimals);
+
+                    if (param.axis !== undefined) {
+                        const position = [...this.forceFields[this.selectedForceField].position];
+                        position[param.axis] = value;
+                        this.updateSelectedForceField({ position });
+                    } else {
+                        this.updateSelectedForceField({ [param.name]: value });
+                    }
+                });
+
+                control.append(header, slider);
+                this.forceFieldParams.appendChild(control);
+            });
+    }
+
+    updateSelectedForceField(changes) {
+        const field = this.forceFields[this.selectedForceField];
+        if (!field) return;
+
+        this.forceFields[this.selectedForceField] = ForceField.normalize({ ...field, ...changes });
+        this.emitForceFields();
+    }
+
+    /**
+     * Show a set of fields in the panel (presets, reset); doesn't notify
+     */
+    setForceFields(fields) {
+        this.forceFields = (fields || [])
+            .map(field => ForceField.normalize(field))
+            .filter(Boolean)
+            .slice(0, MAX_FORCE_FIELDS);
+        this.selectedForceField = this.forceFields.length ? 0 : -1;
+        this.renderForceFields();
+    }
+
+    getForceFields() {
+        return this.forceFields.map(field => ({ ...field }));
+    }
+
+    emitForceFields() {
+        if (this.onForceFieldsChange) this.onForceFieldsChange(this.getForceFields());
+    }
+
+    /**
+     * Show hand touch settings in the panel (presets, reset); doesn't notify
+     * @param {Object} touch - { mode, strength, radius }
+     */
+    setHandTouch(touch) {
+        if (!this.handTouchSelect) return;
+
+        const current = this.getHandTouch();
+        const strength = touch.strength ?? current.strength;
+        const radius = touch.radius ?? current.radius;
+        this.handTouchSelect.value = touch.mode ?? current.mode;
+        this.handTouchStrengthSlider.value = strength;
+        this.handTouchStrengthValue.textContent = Number(strength).toFixed(1);
+        this.handTouchRadiusSlider.value = radius;
+        this.handTouchRadiusValue.textContent = radius;
+    }
+
+    getHandTouch() {
+        if (!this.handTouchSelect) return { ...this.defaults.handTouch };
+
+        return {
+            mode: this.handTouchSelect.value,
+            strength: parseFloat(this.handTouchStrengthSlider.value),
+            radius: parseFloat(this.handTouchRadiusSlider.value)
+        };
+    }
+
+    emitHandTouch() {
+        if (this.onHandTouchChange) this.onHandTouchChange(this.getHandTouch());
+    }
+
+    // ============================================
+    // Audio Mapping
+    // ============================================
+    initAudioMapping() {
+        this.audioMapping = AudioAnalyzer.normalizeMapping();
+        this.audioMeterFills = {};
+        if (!this.audioBandRoutes) return;
+
+        Object.entries(AUDIO_BANDS).forEach(([band, info]) => {
+            const row = document.createElement('div');
+            row.className = 'stat-row';
+            const label = document.createElement('span');
+            label.className = 'stat-label';
+            label.textContent = info.displayName;
+            const meter = document.createElement('div');
+            meter.className = 'audio-meter';
+            const fill = document.createElement('div');
+            fill.className = 'audio-meter-fill';
+            meter.appendChild(fill);
+            row.append(label, meter);
+            this.audioMeters.appendChild(row);
+            this.audioMeterFills[band] = fill;
+        });
+
+        this.audioAttackSlider.addEventListener('input', (e) => {
+            this.audioAttackValue.textContent = `${e.target.value}ms`;
+            this.audioMapping.attack = parseFloat(e.target.value) / 1000;
+            this.emitAudioMapping();
+        });
+        this.audioReleaseSlider.addEventListener('input', (e) => {
+            this.audioReleaseValue.textContent = `${e.target.value}ms`;
+            this.audioMapping.release = parseFloat(e.target.value) / 1000;
+            this.emitAudioMapping();
+        });
+
+        this.renderAudioMapping();
+
+        // Beat-synced actions
+        Object.entries(BEAT_ACTIONS).forEach(([action, label]) => {
+            const option = document.createElement('option');
+            option.value = action;
+            option.textContent = label;
+            this.beatActionSelect.appendChild(option);
+        });
+        this.beatActionSelect.value = this.defaults.beatSync.action;
+
+        const emitBeatSync = () => {
+            this.setBeatSync(this.getBeatSync());
+            this.emitBeatSync();
+        };
+        this.beatActionSelect.addEventListener('change', emitBeatSync);
+        this.beatUnitSelect.addEventListener('change', emitBeatSync);
+        this.beatEverySlider.addEventListener('input', emitBeatSync);
+        this.beatBarLengthSlider.addEventListener('input', emitBeatSync);
+        this.beatDebounceSlider.addEventListener('input', emitBeatSync);
+    }
+
+    /**
+     * Target select and amount slider for each band
+     */
+    renderAudioMapping() {
+        if (!this.audioBandRoutes) return;
+
+        this.audioBandRoutes.innerHTML = '';
+        Object.entries(AUDIO_BANDS).forEach(([band, info]) => {
+            const route = this.audioMapping.bands[band];
+
+            const selectControl = document.createElement('div');
+            selectControl.className = 'select-control';
+            selectControl.dataset.tooltip = `What ${info.min}-${info.max}Hz drives`;
+            const selectLabel = document.createElement('label');
+            selectLabel.textContent = info.displayName;
+            const select = document.createElement('select');
+            Object.entries(AUDIO_TARGETS).forEach(([target, targetInfo]) => {
+                const option = document.createElement('option');
+                option.value = target;
+                option.textContent = targetInfo.displayName;
+                select.appendChild(option);
+            });
+            select.value = route.target;
+            selectControl.append(selectLabel, select);
+
+            const sliderControl = document.createElement('div');
+            sliderControl.className = 'slider-control';
+            sliderControl.hidden = route.target === 'none';
+            const header = document.createElement('div');
+            header.className = 'slider-header';
+            const label = document.createElement('label');
+            label.textContent = `${info.displayName} Amount`;
+            const valueLabel = document.createElement('span');
+            valueLabel.className = 'slider-value';
+            valueLabel.textContent = route.amount.toFixed(2);
+            header.append(label, valueLabel);
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.min = 0;
+            slider.max = 2;
+            slider.step = 0.05;
+            slider.value = route.amount;
+            sliderControl.append(header, slider);
+
+            select.addEventListener('change', (e) => {
+                route.target = e.target.value;
+                sliderControl.hidden = route.target === 'none';
+                this.emitAudioMapping();
+            });
+            slider.addEventListener('input', (e) => {
+                route.amount = parseFloat(e.target.value);
+                valueLabel.textContent = route.amount.toFixed(2);
+                this.emitAudioMapping();
+            });
+
+            this.audioBandRoutes.append(selectControl, sliderControl);
+        });
+    }
+
+    /**
+     * Show band routing in the panel (presets, reset); doesn't notify
+     * @param {Object} mapping - { attack, release, bands: { [band]: { target, amount } } }
+     */
+    setAudioMapping(mapping) {
+        this.audioMapping = AudioAnalyzer.normalizeMapping(mapping);
+        if (!this.audioBandRoutes) return;
+
+        const attack = Math.round(this.audioMapping.attack * 1000);
+        const release = Math.round(this.audioMapping.release * 1000);
+        this.audioAttackSlider.value = attack;
+        this.audioAttackValue.textContent = `${attack}ms`;
+        this.audioReleaseSlider.value = release;
+        this.audioReleaseValue.textContent = `${release}ms`;
+        this.renderAudioMapping();
+    }
+
+    getAudioMapping() {
+        return AudioAnalyzer.normalizeMapping(this.audioMapping);
+    }
+
+    emitAudioMapping() {
+        if (this.onAudioMappingChange) this.onAudioMappingChange(this.getAudioMapping());
+    }
+
+    getBeatSync() {
+        if (!this.beatActionSelect) return { ...this.defaults.beatSync };
+
+        return {
+            action: this.beatActionSelect.value,
+            unit: this.beatUnitSelect.value,
+            every: parseInt(this.beatEverySlider.value),
+            barLength: parseInt(this.beatBarLengthSlider.value),
+            debounce: parseFloat(this.beatDebounceSlider.value)
+        };
+    }
+
+    /**
+     * Show beat-sync settings (presets, reset, control changes); doesn't notify
+     * @param {Object} settings - { action, unit, every, barLength, debounce }
+     */
+    setBeatSync(settings) {
+        if (!this.beatActionSelect) return;
+
+        const { action, unit, every, barLength, debounce } = BeatSync.normalize({ ...this.getBeatSync(), ...settings });
+        this.beatActionSelect.value = action;
+        this.beatSyncSettings.style.display = action === 'off' ? 'none' : 'block';
+        this.beatUnitSelect.value = unit;
+        this.beatEverySlider.value = every;
+        this.beatEveryValue.textContent = `${every} ${unit === 'bar' ? 'bar' : 'beat'}${every === 1 ? '' : 's'}`;
+        this.beatBarLengthSlider.value = barLength;
+        this.beatBarLengthValue.textContent = barLength;
+        this.beatDebounceSlider.value = debounce;
+        this.beatDebounceValue.textContent = `${debounce.toFixed(1)}s`;
+    }
+
+    emitBeatSync() {
+        if (this.onBeatSyncChange) this.onBeatSyncChange(this.getBeatSync());
+    }
+
+    /**
+     * Band meters, tempo and beat flash
+     * @param {Object} analysis - ParticleSystem.getAudioAnalysis()
+     */
+    updateAudioMeters(analysis) {
+        if (!this.audioBpmValue) return;
+
+        Object.entries(this.audioMeterFills).forEach(([band, fill]) => {
+            fill.style.width = `${Math.round(Math.min(1, analysis.bands[band]) * 100)}%`;
+        });
+        this.audioBpmValue.textContent = analysis.bpm ? `${analysis.bpm} BPM` : '--';
+        this.audioBpmValue.classList.toggle('beat', analysis.beatPulse > 0.3);
+    }
+
     // ============================================
     // Toast Notifications
     // ============================================
@@ -823,6 +1957,119 @@ export class UIController {
                 if (this.onAutoAdjustToggle) this.onAutoAdjustToggle(e.target.checked);
             });
         }
+
+        // Simulation backend
+        if (this.simulationSelect) {
+            this.simulationSelect.addEventListener('change', (e) => {
+                if (this.onSimulationBackendChange) this.onSimulationBackendChange(e.target.value);
+            });
+        }
+
+        // Deterministic seed
+        if (this.seedInput) {
+            this.seedInput.addEventListener('change', (e) => {
+                this.setSeed(e.target.value);
+                if (this.onSeedChange) this.onSeedChange(this.currentSeed);
+            });
+        }
+    }
+
+    /**
+     * Store a seed (number or string, empty/null for random) and show it in the input
+     */
+    setSeed(seed) {
+        const text = seed === null || seed === undefined ? '' : String(seed).trim();
+        if (text === '') {
+            this.currentSeed = null;
+        } else {
+            this.currentSeed = /^\d+$/.test(text) ? parseInt(text, 10) : text;
+        }
+
+        if (this.seedInput) {
+            this.seedInput.value = text;
+        }
+    }
+
+    getSeed() {
+        return this.currentSeed;
+    }
+
+    /**
+     * Fill the morph style select, and offer each style as a sequencer transition too
+     */
+    renderMorphStyles() {
+        Object.entries(MORPH_STYLES).forEach(([style, meta]) => {
+            const option = document.createElement('option');
+            option.value = style;
+            option.textContent = meta.displayName;
+            option.title = meta.description;
+            this.morphStyleSelect.appendChild(option);
+
+            if (this.sequenceTransitionSelect && style !== 'spring') {
+                this.sequenceTransitionSelect.appendChild(option.cloneNode(true));
+            }
+        });
+        this.setMorphStyle(this.morphStyle);
+    }
+
+    /**
+     * Show a morph style; duration/easing left null follow the style's defaults
+     */
+    setMorphStyle(style, { duration = null, easing = null } = {}) {
+        if (!MORPH_STYLES[style]) return;
+
+        this.morphStyle = style;
+        this.morphDuration = duration ?? null;
+        this.morphEasing = easing || null;
+        if (!this.morphStyleSelect) return;
+
+        const meta = MORPH_STYLES[style];
+        const animated = style !== 'spring';
+        const shownDuration = this.morphDuration ?? meta.duration;
+
+        this.morphStyleSelect.value = style;
+        this.morphEasingSelect.value = this.morphEasing || '';
+        this.morphEasingSelect.disabled = !animated;
+        this.morphDurationSlider.disabled = !animated;
+        this.morphDurationSlider.value = shownDuration;
+        this.morphDurationValue.textContent = animated ? `${shownDuration.toFixed(1)}s` : '-';
+    }
+
+    getMorphStyle() {
+        return { style: this.morphStyle, duration: this.morphDuration, easing: this.morphEasing };
+    }
+
+    emitMorphStyle() {
+        if (this.onMorphStyleChange) {
+            this.onMorphStyleChange(this.morphStyle, { duration: this.morphDuration, easing: this.morphEasing });
+        }
+    }
+
+    setMatchPaths(enabled) {
+        if (this.matchPathsToggle) this.matchPathsToggle.checked = enabled;
+    }
+
+    setSimulationBackend(backend) {
+        if (this.simulationSelect) {
+            this.simulationSelect.value = backend;
+        }
+    }
+
+    /**
+     * Raise or lower the particle count slider ceiling (GPU simulation handles more)
+     */
+    setParticleCountMax(max) {
+        this.particleCountSlider.max = max;
+        if (this.particleCountMax) {
+            this.particleCountMax.textContent = `${Math.round(max / 1000)}K`;
+        }
+
+        const count = parseInt(this.particleCountSlider.value);
+        if (count > max) {
+            this.particleCountSlider.value = max;
+            this.particleCountValue.textContent = max.toLocaleString();
+            if (this.onParticleCountChange) this.onParticleCountChange(max);
+        }
     }
 
     // ============================================
@@ -941,7 +2188,7 @@ export class UIController {
             if (Math.abs(scale - 1) > 0.1) {
                 const currentCount = parseInt(this.particleCountSlider.value);
                 const newCount = Math.round(currentCount * (scale > 1 ? 1.02 : 0.98));
-                const clampedCount = Math.max(5000, Math.min(30000, newCount));
+                const clampedCount = Math.max(5000, Math.min(parseInt(this.particleCountSlider.max), newCount));
 
                 this.particleCountSlider.value = clampedCount;
                 this.particleCountValue.textContent = clampedCount.toLocaleString();
@@ -959,18 +2206,8 @@ export class UIController {
 
             // Swipe to change pattern
             if (Math.abs(deltaX) > 100 && Math.abs(deltaX) > Math.abs(deltaY)) {
-                const patterns = ['sphere', 'cube', 'heart', 'galaxy', 'dna', 'torus', 'star', 'wave', 'pyramid', 'infinity', 'firework', 'tornado'];
-                const currentIndex = patterns.indexOf(this.currentPattern);
-
-                if (deltaX > 0) {
-                    // Swipe right - previous pattern
-                    const newIndex = (currentIndex - 1 + patterns.length) % patterns.length;
-                    this.selectPattern(patterns[newIndex]);
-                } else {
-                    // Swipe left - next pattern
-                    const newIndex = (currentIndex + 1) % patterns.length;
-                    this.selectPattern(patterns[newIndex]);
-                }
+                // Swipe right - previous pattern, swipe left - next pattern
+                this.cyclePattern(deltaX > 0 ? -1 : 1);
             }
 
             this.touchStartX = 0;
@@ -1033,7 +2270,7 @@ export class UIController {
         // Ignore if typing in input
         if (e.target.tagName === 'INPUT') return;
 
-        const patterns = ['sphere', 'cube', 'heart', 'galaxy', 'dna', 'torus', 'star', 'wave', 'pyramid', 'infinity', 'firework', 'tornado'];
+        const patterns = PatternGenerator.getPatternNames();
 
         switch (e.key) {
             case '1': case '2': case '3': case '4': case '5':
@@ -1064,7 +2301,7 @@ export class UIController {
                 break;
             case 'a':
             case 'A':
-                if (this.audioToggle) {
+                if (this.audioToggle && !this.audioToggle.disabled) {
                     this.audioToggle.checked = !this.audioToggle.checked;
                     if (this.onAudioToggle) this.onAudioToggle(this.audioToggle.checked);
                 }
@@ -1128,20 +2365,323 @@ export class UIController {
         this.controlPanel.classList.toggle('collapsed', this.isPanelCollapsed);
     }
 
+    /**
+     * Build one button per visible registered pattern
+     */
+    renderPatternButtons() {
+        this.patternGrid.innerHTML = '';
+
+        PatternGenerator.getPatterns().forEach(meta => {
+            const btn = document.createElement('button');
+            btn.className = 'pattern-btn';
+            btn.classList.toggle('active', meta.name === this.currentPattern);
+            btn.dataset.pattern = meta.name;
+            btn.title = meta.description;
+
+            const preview = document.createElement('div');
+            preview.className = 'pattern-preview';
+            preview.innerHTML = meta.icon;
+
+            const label = document.createElement('span');
+            label.textContent = meta.displayName;
+
+            btn.append(preview, label);
+            this.patternGrid.appendChild(btn);
+        });
+    }
+
+    /**
+     * Build sliders for the current pattern's parameter schema (section hidden when it has none)
+     */
+    renderPatternParams() {
+        const meta = PatternGenerator.getPatternMeta(this.currentPattern);
+        const schema = meta ? meta.params : [];
+        const values = { ...(meta ? meta.defaultParams : {}), ...this.patternParams[this.currentPattern] };
+
+        this.patternParamsContainer.innerHTML = '';
+        this.patternParamsSection.hidden = schema.length === 0;
+        this.syncPatternInputs();
+
+        schema.forEach(param => {
+            const control = document.createElement('div');
+            control.className = 'slider-control';
+
+            const header = document.createElement('div');
+            header.className = 'slider-header';
+            const label = document.createElement('label');
+            label.textContent = param.label;
+            const valueLabel = document.createElement('span');
+            valueLabel.className = 'slider-value';
+            header.append(label, valueLabel);
+
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.min = param.min;
+            slider.max = param.max;
+            slider.step = param.step;
+            slider.value = values[param.name];
+
+            const decimals = String(param.step).includes('.') ? String(param.step).split('.')[1].length : 0;
+            valueLabel.textContent = Number(slider.value).toFixed(decimals);
+
+            slider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                valueLabel.textContent = value.toFixed(decimals);
+                this.patternParams[this.currentPattern] = {
+                    ...this.patternParams[this.currentPattern],
+                    [param.name]: value
+                };
+                if (this.onPatternParamsChange) this.onPatternParamsChange(this.getPatternParams());
+            });
+
+            control.append(header, slider);
+            this.patternParamsContainer.appendChild(control);
+        });
+    }
+
+    /**
+     * Update the text pattern's text/font and switch to it (or re-morph if it's already active)
+     */
+    setPatternText(values) {
+        this.patternParams.text = { ...this.patternParams.text, ...values };
+
+        if (this.currentPattern === 'text') {
+            this.setPatternParams(this.patternParams.text);
+        } else {
+            this.selectPattern('text');
+        }
+        this.playSound('click');
+    }
+
+    /**
+     * Switch to the image pattern with a freshly imported source
+     */
+    showImagePattern(src) {
+        this.patternParams.image = { ...this.patternParams.image, src };
+
+        if (this.currentPattern === 'image') {
+            this.setPatternParams(this.patternParams.image);
+        } else {
+            this.selectPattern('image');
+        }
+    }
+
+    /**
+     * Switch to the model pattern showing a stored model
+     */
+    showModelPattern(id) {
+        this.patternParams.model = { ...this.patternParams.model, model: id };
+        if (this.modelSelect) this.modelSelect.value = id;
+
+        if (this.currentPattern === 'model') {
+            this.setPatternParams(this.patternParams.model);
+        } else {
+            this.selectPattern('model');
+        }
+    }
+
+    /**
+     * Fill the model picker with stored models ([{ id, name }])
+     */
+    setModelOptions(models) {
+        if (!this.modelSelect) return;
+
+        const selected = this.getPatternParams('model').model || '';
+        this.modelSelect.innerHTML = '';
+
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = models.length ? 'Choose...' : 'None saved';
+        this.modelSelect.appendChild(placeholder);
+
+        models.forEach(model => {
+            const option = document.createElement('option');
+            option.value = model.id;
+            option.textContent = model.name;
+            this.modelSelect.appendChild(option);
+        });
+        this.modelSelect.value = models.some(model => model.id === selected) ? selected : '';
+    }
+
+    /**
+     * Current formula editor contents, in the formula pattern's param shape
+     */
+    getFormulaInputs() {
+        const values = { mode: this.formulaModeSelect ? this.formulaModeSelect.value : 'parametric' };
+        Object.entries(this.formulaInputs).forEach(([key, input]) => {
+            if (input) values[key] = key === 'range' ? parseFloat(input.value) || 2 : input.value.trim();
+        });
+        return values;
+    }
+
+    setFormulaInputs(values) {
+        if (values.mode && this.formulaModeSelect) {
+            this.formulaModeSelect.value = values.mode;
+            this.updateFormulaMode(values.mode);
+        }
+        Object.entries(this.formulaInputs).forEach(([key, input]) => {
+            if (input && values[key] !== undefined) input.value = values[key];
+        });
+    }
+
+    updateFormulaMode(mode) {
+        if (this.formulaParametricGroup) this.formulaParametricGroup.hidden = mode === 'implicit';
+        if (this.formulaImplicitGroup) this.formulaImplicitGroup.hidden = mode !== 'implicit';
+        this.showFormulaError(null);
+    }
+
+    emitFormula() {
+        if (this.onFormulaApply) this.onFormulaApply(this.getFormulaInputs());
+    }
+
+    /**
+     * Show a formula error under the editor (null clears it)
+     */
+    showFormulaError(message) {
+        if (!this.formulaError) return;
+        this.formulaError.textContent = message || '';
+        this.formulaError.hidden = !message;
+    }
+
+    /**
+     * Store checked formulas in the formula pattern's params and switch to it (or re-sample it)
+     */
+    showFormulaPattern(values) {
+        this.patternParams.formula = { ...this.patternParams.formula, ...values };
+        this.showFormulaError(null);
+
+        if (this.currentPattern === 'formula') {
+            this.setPatternParams(this.patternParams.formula);
+        } else {
+            this.selectPattern('formula');
+        }
+        this.playSound('click');
+    }
+
+    setSourceColors(enabled) {
+        if (this.sourceColorsToggle) this.sourceColorsToggle.checked = enabled;
+        if (this.onSourceColorsToggle) this.onSourceColorsToggle(enabled);
+    }
+
+    /**
+     * Show the text pattern's text/font, the chosen model and the formula in their inputs
+     */
+    syncPatternInputs() {
+        const meta = PatternGenerator.getPatternMeta('text');
+        if (meta) {
+            const values = { ...meta.defaultParams, ...this.patternParams.text };
+            if (this.patternTextInput) this.patternTextInput.value = values.text;
+            if (this.patternFontSelect) this.patternFontSelect.value = values.font;
+        }
+
+        const modelId = this.getPatternParams('model').model;
+        if (this.modelSelect && modelId && [...this.modelSelect.options].some(option => option.value === modelId)) {
+            this.modelSelect.value = modelId;
+        }
+
+        const formulaMeta = PatternGenerator.getPatternMeta('formula');
+        if (formulaMeta) {
+            this.setFormulaInputs({ ...formulaMeta.defaultParams, ...this.patternParams.formula });
+        }
+    }
+
     selectPattern(pattern) {
+        pattern = PatternGenerator.resolveName(pattern);
         if (pattern === this.currentPattern) return;
 
         this.currentPattern = pattern;
 
-        this.patternButtons.forEach(btn => {
+        this.patternGrid.querySelectorAll('.pattern-btn').forEach(btn => {
             btn.classList.toggle('active', btn.dataset.pattern === pattern);
         });
+        this.renderPatternParams();
 
         if (this.onPatternChange) this.onPatternChange(pattern);
     }
 
+    /**
+     * Offer every visible pattern as the blend partner
+     */
+    renderBlendOptions() {
+        if (!this.blendPatternSelect) return;
+
+        this.blendPatternSelect.querySelectorAll('option[value]:not([value=""])').forEach(option => option.remove());
+        PatternGenerator.getPatterns().forEach(meta => {
+            const option = document.createElement('option');
+            option.value = meta.name;
+            option.textContent = meta.displayName;
+            this.blendPatternSelect.appendChild(option);
+        });
+        this.blendPatternSelect.value = this.blendPattern || '';
+    }
+
+    /**
+     * Update blend state and controls without notifying (missing keys keep their value)
+     */
+    setPatternBlend({ pattern = this.blendPattern, weight = this.blendWeight, source = this.blendSource } = {}) {
+        this.blendPattern = pattern ? PatternGenerator.resolveName(pattern) : null;
+        this.blendWeight = weight;
+        this.blendSource = source;
+        if (!this.blendPatternSelect) return;
+
+        this.blendPatternSelect.value = this.blendPattern || '';
+        this.blendSourceSelect.value = source;
+        this.blendWeightSlider.value = weight;
+        this.blendWeightValue.textContent = `${Math.round(weight * 100)}%`;
+        // The slider only matters for a manual blend
+        this.blendWeightControl.hidden = !this.blendPattern || source !== 'manual';
+    }
+
+    getPatternBlend() {
+        return { pattern: this.blendPattern, weight: this.blendWeight, source: this.blendSource };
+    }
+
+    /**
+     * Slider overrides for a pattern (defaults are filled in by PatternGenerator)
+     */
+    getPatternParams(pattern = this.currentPattern) {
+        return { ...this.patternParams[pattern] };
+    }
+
+    /**
+     * Replace a pattern's overrides, refresh the sliders and notify when it's the active pattern
+     */
+    setPatternParams(params, pattern = this.currentPattern) {
+        this.patternParams[pattern] = { ...params };
+        if (pattern !== this.currentPattern) return;
+
+        this.renderPatternParams();
+        if (this.onPatternParamsChange) this.onPatternParamsChange(this.getPatternParams());
+    }
+
+    /**
+     * Move forward (1) or back (-1) through the registered patterns
+     * @returns {string} The newly selected pattern
+     */
+    cyclePattern(direction = 1) {
+        const patterns = PatternGenerator.getPatternNames();
+        const currentIndex = patterns.indexOf(this.currentPattern);
+        const nextIndex = (currentIndex + direction + patterns.length) % patterns.length;
+        this.selectPattern(patterns[nextIndex]);
+        return patterns[nextIndex];
+    }
+
+    /**
+     * Move forward (1) or back (-1) through the color presets
+     * @returns {string} The newly selected color
+     */
+    cycleColor(direction = 1) {
+        const colors = [...this.colorPresets].map(preset => preset.dataset.color);
+        const currentIndex = colors.findIndex(color => color.toLowerCase() === this.currentColor.toLowerCase());
+        // Off-palette colors (picker, gradients) continue from the first preset
+        const nextIndex = currentIndex < 0 ? 0 : (currentIndex + direction + colors.length) % colors.length;
+        this.setColor(colors[nextIndex]);
+        return colors[nextIndex];
+    }
+
     setColor(color) {
         this.currentColor = color;
+        this.currentGradient = null;
         this.colorPicker.value = color;
         this.colorPreview.style.background = color;
         this.colorValue.textContent = color.toUpperCase();
@@ -1151,10 +2691,64 @@ export class UIController {
             const isActive = preset.dataset.color.toLowerCase() === color.toLowerCase();
             preset.classList.toggle('active', isActive);
         });
+        this.gradientPresets.forEach(preset => preset.classList.remove('active'));
 
         if (this.onColorChange) this.onColorChange(color);
     }
 
+    /**
+     * Apply a multi-stop gradient (array of hex colors)
+     */
+    setGradient(stops) {
+        this.currentGradient = [...stops];
+        this.currentColor = stops[0];
+        this.colorPicker.value = stops[0];
+        this.colorPreview.style.background = `linear-gradient(135deg, ${stops.join(', ')})`;
+        this.colorValue.textContent = `${stops[0]} → ${stops[stops.length - 1]}`.toUpperCase();
+
+        this.colorPresets.forEach(preset => preset.classList.remove('active'));
+        this.gradientPresets.forEach(preset => {
+            const presetStops = this.getGradientStops(preset).join(',').toLowerCase();
+            preset.classList.toggle('active', presetStops === stops.join(',').toLowerCase());
+        });
+
+        if (this.onGradientChange) this.onGradientChange(this.currentGradient, this.gradientMode);
+    }
+
+    setGradientMode(mode) {
+        // Presets saved with a mode that no longer exists fall back to the default
+        if (this.gradientModeSelect && ![...this.gradientModeSelect.options].some(option => option.value === mode)) {
+            mode = this.defaults.gradientMode;
+        }
+
+        this.gradientMode = mode;
+        if (this.gradientModeSelect) {
+            this.gradientModeSelect.value = mode;
+        }
+        if (this.gradientAxisControl) {
+            this.gradientAxisControl.hidden = mode !== 'axis';
+        }
+        if (this.onGradientModeChange) this.onGradientModeChange(mode);
+    }
+
+    /**
+     * @param {string} axis - 'x', 'y' or 'z', for the 'axis' gradient mode
+     */
+    setGradientAxis(axis) {
+        this.gradientAxis = axis;
+        if (this.gradientAxisSelect) {
+            this.gradientAxisSelect.value = axis;
+        }
+        if (this.onGradientAxisChange) this.onGradientAxisChange(axis);
+    }
+
+    /**
+     * Read the two or three color stops stored on a gradient preset button
+     */
+    getGradientStops(preset) {
+        return [preset.dataset.start, preset.dataset.mid, preset.dataset.end].filter(Boolean);
+    }
+
     toggleCamera(show) {
         this.cameraContainer.classList.toggle('hidden', !show);
         if (this.onCameraToggle) this.onCameraToggle(show);
@@ -1199,17 +2793,34 @@ export class UIController {
 
         this.morphSpeedSlider.value = this.defaults.morphSpeed;
         this.morphSpeedValue.textContent = `${this.defaults.morphSpeed.toFixed(1)}x`;
+        this.setMorphStyle(this.defaults.morphStyle);
+        this.setMatchPaths(this.defaults.matchPaths);
+        if (this.animatePatternsToggle) this.animatePatternsToggle.checked = this.defaults.animatePatterns;
+        this.setForceFields(this.defaults.forceFields);
+        this.setHandTouch(this.defaults.handTouch);
 
         this.idleAmplitudeSlider.value = this.defaults.idleAmplitude;
         this.idleAmplitudeValue.textContent = `${this.defaults.idleAmplitude.toFixed(1)}x`;
+        this.setTurbulenceNoise(this.defaults.turbulenceNoise);
+        this.setConnectionSettings(this.defaults.connectionSettings);
+        this.setAudioMapping(this.defaults.audioMapping);
+        this.setBeatSync(this.defaults.beatSync);
 
         // Reset toggles
         this.cameraToggle.checked = this.defaults.cameraPreview;
         this.autoRotateToggle.checked = this.defaults.autoRotate;
         this.toggleCamera(this.defaults.cameraPreview);
 
-        // Reset pattern and color
+        this.setSeed(this.defaults.seed);
+
+        // Reset pattern, its parameters, blend and color
+        this.patternParams = {};
+        this.setPatternBlend({ pattern: this.defaults.blendPattern, weight: this.defaults.blendWeight, source: this.defaults.blendSource });
+        this.setSourceColors(this.defaults.sourceColors);
         this.selectPattern(this.defaults.pattern);
+        this.renderPatternParams();
+        this.setGradientMode(this.defaults.gradientMode);
+        this.setGradientAxis(this.defaults.gradientAxis);
         this.setColor(this.defaults.color);
 
         // Trigger callback
@@ -1217,7 +2828,7 @@ export class UIController {
     }
 
     randomize() {
-        const patterns = ['sphere', 'cube', 'heart', 'galaxy', 'dna', 'torus', 'star', 'wave'];
+        const patterns = PatternGenerator.getRandomizablePatternNames();
         const colors = ['#00d4ff', '#ff006e', '#8338ec', '#ffbe0b', '#06ffa5', '#ff5400', '#ffffff', '#ff0000'];
 
         // Random pattern
@@ -1299,6 +2910,18 @@ export class UIController {
         return this.currentColor;
     }
 
+    getCurrentGradient() {
+        return this.currentGradient;
+    }
+
+    getGradientMode() {
+        return this.gradientMode;
+    }
+
+    getGradientAxis() {
+        return this.gradientAxis;
+    }
+
     getParticleCount() {
         return parseInt(this.particleCountSlider.value);
     }
@@ -1322,4 +2945,128 @@ export class UIController {
     getIdleAmplitude() {
         return parseFloat(this.idleAmplitudeSlider.value);
     }
+
+    isAudioFile(file) {
+        return file.type.startsWith('audio/') || /\.(mp3|wav|ogg|oga|m4a|flac|aac)$/i.test(file.name);
+    }
+
+    getAudioSource() {
+        return this.audioSourceSelect ? this.audioSourceSelect.value : 'mic';
+    }
+
+    /**
+     * Show the source in the panel (file loaded, capture ended); doesn't notify
+     */
+    setAudioSource(source) {
+        if (!this.audioSourceSelect) return;
+        this.audioSourceSelect.value = source;
+        this.showAudioFileSettings(source === 'file');
+    }
+
+    showAudioFileSettings(visible) {
+        if (this.audioFileSettings) {
+            this.audioFileSettings.style.display = visible ? 'block' : 'none';
+        }
+    }
+
+    /**
+     * Check or uncheck the audio toggle without notifying (audio started or stopped elsewhere)
+     */
+    setAudioEnabled(enabled) {
+        if (this.audioToggle) this.audioToggle.checked = enabled;
+    }
+
+    /**
+     * File name, position and play state
+     * @param {Object} state - AudioInput.getState()
+     */
+    updateAudioTransport(state) {
+        if (!this.audioSourceSelect) return;
+
+        this.audioDuration = state.duration;
+        this.audioFileName.textContent = state.fileName || 'No file';
+        this.audioFileName.title = state.fileName;
+        this.audioPlayBtn.textContent = state.playing ? 'Pause' : 'Play';
+        this.audioPlayBtn.disabled = !state.duration || this.rendering;
+        this.audioSeekSlider.disabled = !state.duration || this.rendering;
+        this.audioLoopToggle.checked = state.loop;
+
+        // The render button works on the loaded file
+        if (this.renderBtn && !this.rendering) {
+            this.renderBtn.disabled = !state.duration;
+            this.renderStatus.textContent = state.duration
+                ? `${this.formatTime(state.duration)} of audio to render`
+                : 'Load an audio file first';
+        }
+        if (this.audioSeeking) return;
+
+        this.audioSeekSlider.value = state.duration ? Math.round(state.time / state.duration * 1000) : 0;
+        this.audioTimeValue.textContent = `${this.formatTime(state.time)} / ${this.formatTime(state.duration)}`;
+    }
+
+    formatTime(seconds) {
+        const whole = Math.floor(seconds);
+        return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+    }
+
+    showConnectionSettings(enabled) {
+        if (this.connectionsSettings) {
+            this.connectionsSettings.style.display = enabled ? 'block' : 'none';
+        }
+    }
+
+    getConnectionSettings() {
+        if (!this.connectionsSettings) return { ...this.defaults.connectionSettings };
+
+        return {
+            mode: this.connectionModeSelect.value,
+            distance: parseFloat(this.connectionDistanceSlider.value),
+            neighbors: parseInt(this.connectionNeighborsSlider.value),
+            maxConnections: parseInt(this.maxConnectionsSlider.value)
+        };
+    }
+
+    /**
+     * Show connection settings (presets, reset, slider moves); doesn't notify
+     * @param {Object} settings - { mode, distance, neighbors, maxConnections }
+     */
+    setConnectionSettings(settings) {
+        if (!this.connectionsSettings) return;
+
+        const { mode, distance, neighbors, maxConnections } = { ...this.getConnectionSettings(), ...settings };
+        this.connectionModeSelect.value = mode;
+        this.connectionDistanceSlider.value = distance;
+        this.connectionDistanceValue.textContent = distance;
+        this.connectionNeighborsSlider.value = neighbors;
+        this.connectionNeighborsValue.textContent = neighbors;
+        this.maxConnectionsSlider.value = maxConnections;
+        this.maxConnectionsValue.textContent = maxConnections;
+    }
+
+    getTurbulenceNoise() {
+        if (!this.noiseScaleSlider) return { ...this.defaults.turbulenceNoise };
+
+        return {
+            scale: parseFloat(this.noiseScaleSlider.value),
+            speed: parseFloat(this.noiseSpeedSlider.value),
+            octaves: parseInt(this.noiseOctavesSlider.value)
+        };
+    }
+
+    /**
+     * Show flow noise settings (presets, reset, slider moves); doesn't notify
+     * @param {Object} noise - { scale, speed, octaves }
+     */
+    setTurbulenceNoise(noise) {
+        if (!this.noiseScaleSlider) return;
+
+        const current = this.getTurbulenceNoise();
+        const { scale, speed, octaves } = { ...current, ...noise };
+        this.noiseScaleSlider.value = scale;
+        this.noiseScaleValue.textContent = Number(scale).toFixed(3);
+        this.noiseSpeedSlider.value = speed;
+        this.noiseSpeedValue.textContent = Number(speed).toFixed(2);
+        this.noiseOctavesSlider.value = octaves;
+        this.noiseOctavesValue.textContent = octaves;
+    }
 }
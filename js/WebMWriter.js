@@ -0,0 +1,306 @@
+/**
+ * WebMWriter - Muxes encoded VP8/VP9 video and Opus audio chunks (WebCodecs output) into a WebM file
+ * Clusters start at video keyframes and are kept as Blobs while rendering; finalize() lays out
+ * the header, a seek head, the clusters and a cue per cluster, so the file has its duration and
+ * seeks in any player
+ */
+
+// EBML element IDs (Matroska spec)
+const ID = {
+    EBML: 0x1A45DFA3,
+    EBMLVersion: 0x4286,
+    EBMLReadVersion: 0x42F7,
+    EBMLMaxIDLength: 0x42F2,
+    EBMLMaxSizeLength: 0x42F3,
+    DocType: 0x4282,
+    DocTypeVersion: 0x4287,
+    DocTypeReadVersion: 0x4285,
+    Segment: 0x18538067,
+    SeekHead: 0x114D9B74,
+    Seek: 0x4DBB,
+    SeekID: 0x53AB,
+    SeekPosition: 0x53AC,
+    Info: 0x1549A966,
+    TimecodeScale: 0x2AD7B1,
+    MuxingApp: 0x4D80,
+    WritingApp: 0x5741,
+    Duration: 0x4489,
+    Tracks: 0x1654AE6B,
+    TrackEntry: 0xAE,
+    TrackNumber: 0xD7,
+    TrackUID: 0x73C5,
+    TrackType: 0x83,
+    FlagLacing: 0x9C,
+    CodecID: 0x86,
+    CodecPrivate: 0x63A2,
+    CodecDelay: 0x56AA,
+    SeekPreRoll: 0x56BB,
+    DefaultDuration: 0x23E383,
+    Video: 0xE0,
+    PixelWidth: 0xB0,
+    PixelHeight: 0xBA,
+    Audio: 0xE1,
+    SamplingFrequency: 0xB5,
+    Channels: 0x9F,
+    Cluster: 0x1F43B675,
+    Timecode: 0xE7,
+    SimpleBlock: 0xA3,
+    Cues: 0x1C53BB6B,
+    CuePoint: 0xBB,
+    CueTime: 0xB3,
+    CueTrackPositions: 0xB7,
+    CueTrack: 0xF7,
+    CueClusterPosition: 0xF1
+};
+
+// WebCodecs codec strings and their Matroska codec IDs
+export const WEBM_VIDEO_CODECS = {
+    'vp09.00.10.08': 'V_VP9',
+    vp8: 'V_VP8'
+};
+
+const VIDEO_TRACK = 1;
+const AUDIO_TRACK = 2;
+
+// Block timecodes are 16-bit offsets from their cluster's, in milliseconds
+const MAX_CLUSTER_SPAN = 30000;
+
+const textEncoder = new TextEncoder();
+
+/**
+ * Unsigned big-endian integer, in the fewest bytes or exactly `bytes`
+ */
+function uint(value, bytes = 0) {
+    let length = 1;
+    while (length < 8 && value >= 2 ** (8 * length)) length++;
+    length = Math.max(length, bytes);
+
+    const out = new Uint8Array(length);
+    for (let i = length - 1; i >= 0; i--) {
+        out[i] = value % 256;
+        value = Math.floor(value / 256);
+    }
+    return out;
+}
+
+function float64(value) {
+    const out = new Uint8Array(8);
+    new DataView(out.buffer).setFloat64(0, value);
+    return out;
+}
+
+/**
+ * Element size as a variable-length integer (the length marker is the leading 1 bit)
+ */
+function vint(size) {
+    let length = 1;
+    while (length < 8 && size >= 2 ** (7 * length) - 1) length++;
+
+    const out = uint(size, length);
+    out[0] |= 0x80 >> (length - 1);
+    return out;
+}
+
+function concat(parts) {
+    const out = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => {
+        out.set(part, offset);
+        offset += part.length;
+    });
+    return out;
+}
+
+/**
+ * One element; content is bytes, a number (unsigned integer), a string or an array of elements
+ */
+function element(id, content) {
+    let data;
+    if (content instanceof Uint8Array) {
+        data = content;
+    } else if (typeof content === 'number') {
+        data = uint(content);
+    } else if (typeof content === 'string') {
+        data = textEncoder.encode(content);
+    } else {
+        data = concat(content);
+    }
+    return concat([uint(id), vint(data.length), data]);
+}
+
+export class WebMWriter {
+    /**
+     * @param {Object} options
+     * @param {Object} options.video - { codecId ('V_VP9' or 'V_VP8'), width, height, frameRate }
+     * @param {Object} [options.audio] - { sampleRate, channels, codecPrivate (OpusHead bytes), codecDelay (ns) }
+     */
+    constructor({ video, audio = null }) {
+        this.video = video;
+        this.audio = audio;
+
+        this.clusters = []; // { blob, size, time }
+        this.clusterBlocks = null; // SimpleBlocks of the cluster being filled
+        this.clusterTime = 0;
+        this.pendingAudio = []; // Audio chunks waiting for the video to catch up
+        this.duration = 0; // Milliseconds
+    }
+
+    /**
+     * @param {Uint8Array} data - Encoded frame
+     * @param {number} timestamp - Microseconds
+     */
+    addVideoChunk(data, timestamp, keyframe) {
+        const time = Math.round(timestamp / 1000);
+
+        // Audio goes in ahead of the frame it plays under, so blocks stay in time order
+        this.writeAudioUntil(time);
+        if (keyframe || !this.clusterBlocks || time - this.clusterTime > MAX_CLUSTER_SPAN) {
+            this.startCluster(time);
+        }
+        this.writeBlock(VIDEO_TRACK, data, time, keyframe);
+        this.duration = Math.max(this.duration, time + 1000 / this.video.frameRate);
+    }
+
+    /**
+     * Queue an Opus packet; it's written once the video has reached its time
+     * @param {number} timestamp - Microseconds
+     */
+    addAudioChunk(data, timestamp, duration = 0) {
+        const time = Math.round(timestamp / 1000);
+        this.pendingAudio.push({ data, time });
+        this.duration = Math.max(this.duration, time + duration / 1000);
+    }
+
+    writeAudioUntil(time) {
+        while (this.pendingAudio.length && this.pendingAudio[0].time < time) {
+            const chunk = this.pendingAudio.shift();
+            if (!this.clusterBlocks || chunk.time - this.clusterTime > MAX_CLUSTER_SPAN) {
+                this.startCluster(chunk.time);
+            }
+            this.writeBlock(AUDIO_TRACK, chunk.data, chunk.time, true);
+        }
+    }
+
+    writeBlock(track, data, time, keyframe) {
+        const header = new Uint8Array(4);
+        header[0] = 0x80 | track;
+        new DataView(header.buffer).setInt16(1, time - this.clusterTime);
+        header[3] = keyframe ? 0x80 : 0;
+        this.clusterBlocks.push(element(ID.SimpleBlock, concat([header, data])));
+    }
+
+    startCluster(time) {
+        this.closeCluster();
+        this.clusterTime = time;
+        this.clusterBlocks = [element(ID.Timecode, time)];
+    }
+
+    closeCluster() {
+        if (!this.clusterBlocks) return;
+
+        const bytes = element(ID.Cluster, this.clusterBlocks);
+        this.clusters.push({ blob: new Blob([bytes]), size: bytes.length, time: this.clusterTime });
+        this.clusterBlocks = null;
+    }
+
+    createTracks() {
+        const { codecId, width, height, frameRate } = this.video;
+        const tracks = [element(ID.TrackEntry, [
+            element(ID.TrackNumber, VIDEO_TRACK),
+            element(ID.TrackUID, VIDEO_TRACK),
+            element(ID.TrackType, 1),
+            element(ID.FlagLacing, 0),
+            element(ID.CodecID, codecId),
+            element(ID.DefaultDuration, Math.round(1e9 / frameRate)),
+            element(ID.Video, [
+                element(ID.PixelWidth, width),
+                element(ID.PixelHeight, height)
+            ])
+        ])];
+
+        if (this.audio) {
+            const { sampleRate, channels, codecPrivate, codecDelay = 0 } = this.audio;
+            tracks.push(element(ID.TrackEntry, [
+                element(ID.TrackNumber, AUDIO_TRACK),
+                element(ID.TrackUID, AUDIO_TRACK),
+                element(ID.TrackType, 2),
+                element(ID.FlagLacing, 0),
+                element(ID.CodecID, 'A_OPUS'),
+                element(ID.CodecPrivate, codecPrivate),
+                element(ID.CodecDelay, codecDelay),
+                element(ID.SeekPreRoll, 80000000), // Opus decoders need 80ms to converge after a seek
+                element(ID.Audio, [
+                    element(ID.SamplingFrequency, float64(sampleRate)),
+                    element(ID.Channels, channels)
+                ])
+            ]));
+        }
+        return element(ID.Tracks, tracks);
+    }
+
+    /**
+     * Write out everything added so far
+     * @returns {Blob} The WebM file
+     */
+    finalize() {
+        this.writeAudioUntil(Infinity);
+        this.closeCluster();
+
+        const header = element(ID.EBML, [
+            element(ID.EBMLVersion, 1),
+            element(ID.EBMLReadVersion, 1),
+            element(ID.EBMLMaxIDLength, 4),
+            element(ID.EBMLMaxSizeLength, 8),
+            element(ID.DocType, 'webm'),
+            element(ID.DocTypeVersion, 4),
+            element(ID.DocTypeReadVersion, 2)
+        ]);
+        const info = element(ID.Info, [
+            element(ID.TimecodeScale, 1000000), // Timecodes in milliseconds
+            element(ID.MuxingApp, 'AETHER'),
+            element(ID.WritingApp, 'AETHER'),
+            element(ID.Duration, float64(this.duration))
+        ]);
+        const tracks = this.createTracks();
+
+        // Positions are relative to the start of the segment's content. The seek head's positions
+        // are fixed-width, so its size is known before they are
+        const seekHead = (positions) => element(ID.SeekHead, positions.map(([id, position]) => element(ID.Seek, [
+            element(ID.SeekID, uint(id)),
+            element(ID.SeekPosition, uint(position, 8))
+        ])));
+        const seekHeadSize = seekHead([[ID.Info, 0], [ID.Tracks, 0], [ID.Cues, 0]]).length;
+
+        let position = seekHeadSize + info.length + tracks.length;
+        const cuePoints = this.clusters.map(cluster => {
+            const cue = element(ID.CuePoint, [
+                element(ID.CueTime, cluster.time),
+                element(ID.CueTrackPositions, [
+                    element(ID.CueTrack, VIDEO_TRACK),
+                    element(ID.CueClusterPosition, position)
+                ])
+            ]);
+            position += cluster.size;
+            return cue;
+        });
+        const cues = element(ID.Cues, cuePoints);
+
+        const segmentHead = seekHead([
+            [ID.Info, seekHeadSize],
+            [ID.Tracks, seekHeadSize + info.length],
+            [ID.Cues, position]
+        ]);
+        const segmentSize = position + cues.length;
+
+        return new Blob([
+            header,
+            uint(ID.Segment),
+            vint(segmentSize),
+            segmentHead,
+            info,
+            tracks,
+            ...this.clusters.map(cluster => cluster.blob),
+            cues
+        ], { type: 'video/webm' });
+    }
+}
@@ -0,0 +1,138 @@
+/**
+ * WorkerSimulation - Main-thread handle for SimulationWorker
+ * Posts gesture/force state in each frame and copies finished positions into the render buffer,
+ * so MediaPipe's onResults and the physics loop no longer stall each other
+ */
+
+// Longest single integration step, in 60fps frames; a step that covers frames skipped while the
+// last one was in flight is split so the forces stay stable. Time beyond MAX_SUBSTEPS of them is
+// dropped, as the CPU loop drops frame time past its maxDeltaTime
+export const MAX_SUBSTEP = 1.5;
+export const MAX_SUBSTEPS = 4;
+
+export class WorkerSimulation {
+    static isSupported() {
+        return typeof Worker !== 'undefined';
+    }
+
+    /**
+     * @param {Float32Array} positions - Render buffer that receives simulated positions
+     * @param {Float32Array} velocities - Initial velocities
+     * @param {Float32Array} basePositions - Pattern target positions
+     */
+    constructor(positions, velocities, basePositions) {
+        this.particleCount = positions.length / 3;
+        this.positions = positions;
+        this.pending = false;
+        this.hasNewPositions = false;
+        this.skippedFrames = 0; // frameScale of frames that came while a step was in flight
+        this.generation = 0; // Bumped when positions or velocities are replaced, to drop older steps
+        this.idleCallbacks = []; // whenIdle() promises waiting on the step in flight
+
+        // SharedArrayBuffer is only available when the page is cross-origin isolated
+        this.useShared = typeof SharedArrayBuffer !== 'undefined' && self.crossOriginIsolated === true;
+        this.sharedPositions = this.useShared
+            ? new Float32Array(new SharedArrayBuffer(positions.byteLength))
+            : null;
+        this.spareBuffer = this.useShared ? null : new ArrayBuffer(positions.byteLength);
+
+        this.worker = new Worker(new URL('./SimulationWorker.js', import.meta.url), { type: 'module' });
+        this.worker.onmessage = (e) => this.onMessage(e.data);
+        this.worker.onerror = (error) => console.warn('Simulation worker error:', error.message);
+
+        this.worker.postMessage({
+            type: 'init',
+            count: this.particleCount,
+            positions: new Float32Array(positions),
+            velocities: new Float32Array(velocities),
+            basePositions: new Float32Array(basePositions),
+            sharedBuffer: this.sharedPositions ? this.sharedPositions.buffer : null
+        });
+    }
+
+    onMessage(message) {
+        if (message.type !== 'stepped') return;
+
+        // A step started before setPositions/resetVelocities would undo them, so only its buffer is kept
+        const current = message.generation === this.generation;
+        if (this.useShared) {
+            if (current) this.positions.set(this.sharedPositions);
+        } else {
+            if (current) this.positions.set(new Float32Array(message.buffer));
+            this.spareBuffer = message.buffer;
+        }
+
+        this.pending = false;
+        this.hasNewPositions = this.hasNewPositions || current;
+
+        const callbacks = this.idleCallbacks;
+        this.idleCallbacks = [];
+        callbacks.forEach(callback => callback());
+    }
+
+    /**
+     * Resolves once no step is in flight, for callers that need lock-step frames (offline rendering)
+     */
+    whenIdle() {
+        if (!this.pending) return Promise.resolve();
+        return new Promise(resolve => this.idleCallbacks.push(resolve));
+    }
+
+    setBasePositions(positions) {
+        this.worker.postMessage({ type: 'setBasePositions', basePositions: new Float32Array(positions) });
+    }
+
+    resetVelocities() {
+        this.generation++;
+        this.worker.postMessage({ type: 'resetVelocities' });
+    }
+
+    resetFlow() {
+        this.worker.postMessage({ type: 'resetFlow' });
+    }
+
+    setPositions(positions) {
+        this.generation++;
+        this.worker.postMessage({ type: 'setPositions', positions: new Float32Array(positions) });
+    }
+
+    /**
+     * Request the next frame. While the previous one is still in flight the frame is held back, and
+     * its frameScale is added to the next step so the simulation keeps up with wall-clock time
+     * @returns {boolean} Whether new positions arrived since the last call
+     */
+    step(params) {
+        const updated = this.hasNewPositions;
+        this.hasNewPositions = false;
+
+        const frameScale = params.frameScale ?? 1;
+        if (this.pending) {
+            this.skippedFrames = Math.min(this.skippedFrames + frameScale, MAX_SUBSTEP * MAX_SUBSTEPS);
+        } else {
+            this.pending = true;
+            const message = {
+                type: 'step',
+                params: { ...params, frameScale: Math.min(frameScale + this.skippedFrames, MAX_SUBSTEP * MAX_SUBSTEPS) },
+                generation: this.generation
+            };
+            this.skippedFrames = 0;
+
+            if (this.useShared) {
+                this.worker.postMessage(message);
+            } else {
+                message.buffer = this.spareBuffer;
+                this.spareBuffer = null;
+                this.worker.postMessage(message, [message.buffer]);
+            }
+        }
+
+        return updated;
+    }
+
+    dispose() {
+        this.worker.terminate();
+        this.worker = null;
+        this.idleCallbacks.forEach(callback => callback());
+        this.idleCallbacks = [];
+    }
+}
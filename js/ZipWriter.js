@@ -0,0 +1,111 @@
+/**
+ * ZipWriter - Builds an uncompressed (stored) zip from Blobs, for frame sequences
+ * PNGs are already compressed, so storing skips the work without growing the archive. File
+ * data stays in its Blobs; only headers are built in memory. No zip64, so archives stop at
+ * 65535 files and 4GB
+ */
+
+export const MAX_ZIP_ENTRIES = 0xFFFF;
+const MAX_ZIP_SIZE = 0xFFFFFFFF;
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c;
+});
+
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+const textEncoder = new TextEncoder();
+
+export class ZipWriter {
+    constructor() {
+        this.parts = []; // Local headers and file data, in archive order
+        this.entries = []; // { name, crc, size, offset } for the central directory
+        this.offset = 0;
+
+        // DOS time and date of creation, shared by every entry
+        const now = new Date();
+        this.dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+        this.dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+    }
+
+    /**
+     * @param {string} name - Path inside the archive (ASCII)
+     * @param {Blob} blob
+     * @throws {Error} When the archive would outgrow the zip format
+     */
+    async addFile(name, blob) {
+        if (this.entries.length >= MAX_ZIP_ENTRIES) {
+            throw new Error(`A zip holds at most ${MAX_ZIP_ENTRIES} files`);
+        }
+        if (this.offset + blob.size + 30 + name.length > MAX_ZIP_SIZE) {
+            throw new Error('A zip holds at most 4GB');
+        }
+
+        const crc = crc32(new Uint8Array(await blob.arrayBuffer()));
+        const nameBytes = textEncoder.encode(name);
+
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034B50, true); // Local file header signature
+        header.setUint16(4, 10, true); // Version needed: 1.0
+        header.setUint16(6, 0, true); // Flags
+        header.setUint16(8, 0, true); // Method: stored
+        header.setUint16(10, this.dosTime, true);
+        header.setUint16(12, this.dosDate, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, blob.size, true); // Compressed size
+        header.setUint32(22, blob.size, true); // Uncompressed size
+        header.setUint16(26, nameBytes.length, true);
+        header.setUint16(28, 0, true); // Extra field length
+
+        this.entries.push({ nameBytes, crc, size: blob.size, offset: this.offset });
+        this.parts.push(header, nameBytes, blob);
+        this.offset += 30 + nameBytes.length + blob.size;
+    }
+
+    /**
+     * @returns {Blob} The zip file
+     */
+    finalize() {
+        const directory = [];
+        let directorySize = 0;
+
+        this.entries.forEach(({ nameBytes, crc, size, offset }) => {
+            const header = new DataView(new ArrayBuffer(46));
+            header.setUint32(0, 0x02014B50, true); // Central directory header signature
+            header.setUint16(4, 20, true); // Version made by
+            header.setUint16(6, 10, true); // Version needed
+            header.setUint16(8, 0, true);
+            header.setUint16(10, 0, true);
+            header.setUint16(12, this.dosTime, true);
+            header.setUint16(14, this.dosDate, true);
+            header.setUint32(16, crc, true);
+            header.setUint32(20, size, true);
+            header.setUint32(24, size, true);
+            header.setUint16(28, nameBytes.length, true);
+            // Extra and comment lengths, disk number and attributes stay zero
+            header.setUint32(42, offset, true);
+
+            directory.push(header, nameBytes);
+            directorySize += 46 + nameBytes.length;
+        });
+
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true); // End of central directory signature
+        end.setUint16(8, this.entries.length, true); // Entries on this disk
+        end.setUint16(10, this.entries.length, true); // Entries in total
+        end.setUint32(12, directorySize, true);
+        end.setUint32(16, this.offset, true);
+
+        return new Blob([...this.parts, ...directory, end], { type: 'application/zip' });
+    }
+}
@@ -3,9 +3,17 @@
  * Integrates ParticleSystem, GestureDetector (enhanced), and UIController
  */
 
-import { ParticleSystem } from './ParticleSystem.js';
+import { ParticleSystem, SIMULATION_BACKENDS } from './ParticleSystem.js';
 import { GestureDetector } from './GestureDetector.js';
 import { UIController } from './UIController.js';
+import { PatternGenerator } from './PatternGenerator.js';
+import { ImageSampler } from './ImageSampler.js';
+import { ModelSampler } from './ModelSampler.js';
+import { FormulaPattern } from './FormulaPattern.js';
+import './AttractorPatterns.js'; // Registers the attractor and fractal patterns
+import { Sequencer } from './Sequencer.js';
+import { BeatSync } from './BeatSync.js';
+import { OfflineRenderer } from './OfflineRenderer.js';
 
 class App {
     constructor() {
@@ -42,6 +50,51 @@ class App {
             this.particleSystem.setRotationSpeed(this.uiController.getRotationSpeed());
             this.particleSystem.setMorphSpeed(this.uiController.getMorphSpeed());
             this.particleSystem.setIdleAmplitude(this.uiController.getIdleAmplitude());
+            this.particleSystem.setTurbulenceNoise(this.uiController.getTurbulenceNoise());
+            this.particleSystem.setConnectionSettings(this.uiController.getConnectionSettings());
+            this.particleSystem.setHandTouch(this.uiController.getHandTouch());
+            this.particleSystem.setAudioMapping(this.uiController.getAudioMapping());
+            this.updateAudioControls();
+
+            // Simulation backend can be forced with ?sim=cpu, ?sim=worker or ?sim=gpu (for side-by-side comparisons)
+            const params = new URLSearchParams(window.location.search);
+            const simParam = params.get('sim');
+            if (simParam) {
+                this.setSimulationBackend(simParam);
+            }
+
+            // ?seed=42 makes the run reproducible (add ?step=60 for a fixed 60fps time step)
+            const seedParam = params.get('seed');
+            if (seedParam) {
+                this.uiController.setSeed(seedParam);
+                this.particleSystem.setSeed(this.uiController.getSeed());
+            }
+            const stepParam = parseFloat(params.get('step'));
+            if (stepParam > 0) {
+                this.particleSystem.setFixedTimeStep(1 / stepParam);
+            }
+
+            // Beat-synced actions: the audio-driven counterpart of the special gestures
+            this.beatSync = new BeatSync(this.particleSystem);
+            this.beatSync.setSettings(this.uiController.getBeatSync());
+            this.beatSync.onTrigger = (action) => this.handleBeatAction(action);
+
+            // Offline audio-to-video rendering
+            this.offlineRenderer = new OfflineRenderer(this.particleSystem);
+            this.offlineRenderer.onProgress = (progress) => {
+                this.uiController.updateRenderProgress(progress);
+            };
+
+            // Pattern sequencer (playlist restored from localStorage; ?autoplay starts it)
+            this.sequencer = new Sequencer(this.particleSystem, this.uiController);
+            this.sequencer.onStateChange = (state) => {
+                this.uiController.renderSequence(state);
+            };
+            this.sequencer.load();
+            this.uiController.renderSequence(this.sequencer.getState());
+            if (params.has('autoplay')) {
+                this.sequencer.play();
+            }
 
             // Initialize MediaPipe
             this.uiController.setLoadingMessage('Loading MediaPipe...');
@@ -140,8 +193,95 @@ class App {
 
     setupUICallbacks() {
         // Pattern change
-        this.uiController.onPatternChange = (pattern) => {
-            this.particleSystem.setPattern(pattern);
+        this.uiController.onPatternChange = () => {
+            this.applyPattern();
+        };
+
+        // Pattern blend (second pattern, weight and what drives it)
+        this.uiController.onPatternBlendChange = () => {
+            this.applyPattern();
+        };
+
+        this.uiController.onBlendWeightChange = (weight) => {
+            this.particleSystem.setBlendWeight(weight);
+        };
+
+        this.uiController.onBlendSourceChange = (source) => {
+            this.particleSystem.setBlendSource(source);
+        };
+
+        // Pattern parameter sliders (re-morph live)
+        this.uiController.onPatternParamsChange = (params) => {
+            this.particleSystem.setPatternParams(params);
+        };
+
+        // Image / SVG import
+        this.uiController.onImageImport = async (file) => {
+            try {
+                const src = await ImageSampler.load(file);
+                this.uiController.showImagePattern(src);
+                this.uiController.setSourceColors(true);
+                this.uiController.showToast(`Imported ${file.name}`, 'success');
+                this.uiController.playSound('success');
+            } catch (error) {
+                console.warn('Image import failed:', error);
+                this.uiController.showToast(`Could not import ${file.name}`, 'error');
+                this.uiController.playSound('error');
+            }
+        };
+
+        // Images referenced by presets decode asynchronously; re-morph once they're ready
+        ImageSampler.onReady(() => {
+            if (this.particleSystem.currentPattern === 'image') {
+                this.particleSystem.generatePattern();
+            }
+        });
+
+        // 3D model import (stored in IndexedDB for presets and reloads)
+        this.uiController.onModelImport = async (file) => {
+            try {
+                this.uiController.showToast(`Loading ${file.name}...`, 'info');
+                const model = await ModelSampler.load(file);
+                this.uiController.setModelOptions(await ModelSampler.listModels());
+                this.uiController.showModelPattern(model.id);
+                this.uiController.showToast(`Imported ${model.name}`, 'success');
+                this.uiController.playSound('success');
+            } catch (error) {
+                console.warn('Model import failed:', error);
+                this.uiController.showToast(`Could not import ${file.name}`, 'error');
+                this.uiController.playSound('error');
+            }
+        };
+
+        ModelSampler.onReady(() => {
+            if (this.particleSystem.currentPattern === 'model') {
+                this.particleSystem.generatePattern();
+            }
+        });
+
+        if (ModelSampler.isSupported()) {
+            ModelSampler.listModels()
+                .then(models => this.uiController.setModelOptions(models))
+                .catch(error => console.warn('Model storage unavailable:', error));
+        }
+
+        // Custom formula: check it compiles and yields points before morphing into it
+        this.uiController.onFormulaApply = (values) => {
+            const meta = PatternGenerator.getPatternMeta('formula');
+            const params = { ...meta.defaultParams, ...this.uiController.getPatternParams('formula'), ...values };
+            const error = FormulaPattern.validate(params)
+                || (FormulaPattern.sample(64, params, Math.random) ? null : 'No points: the surface is undefined or outside the range');
+
+            if (error) {
+                this.uiController.showFormulaError(error);
+                this.uiController.playSound('error');
+                return;
+            }
+            this.uiController.showFormulaPattern(values);
+        };
+
+        this.uiController.onSourceColorsToggle = (enabled) => {
+            this.particleSystem.setSourceColors(enabled);
         };
 
         // Color change
@@ -149,13 +289,26 @@ class App {
             this.particleSystem.setColor(color);
         };
 
+        // Gradient change
+        this.uiController.onGradientChange = (stops, mode) => {
+            this.particleSystem.setGradient(stops, mode);
+        };
+
+        this.uiController.onGradientModeChange = (mode) => {
+            this.particleSystem.setGradientMode(mode);
+        };
+
+        this.uiController.onGradientAxisChange = (axis) => {
+            this.particleSystem.setGradientAxis(axis);
+        };
+
         // Particle count change (debounced)
         let countTimeout = null;
         this.uiController.onParticleCountChange = (count) => {
             clearTimeout(countTimeout);
             countTimeout = setTimeout(() => {
                 this.particleSystem.setParticleCount(count);
-                this.particleSystem.setPattern(this.uiController.getCurrentPattern());
+                this.applyPattern();
             }, 300);
         };
 
@@ -179,11 +332,36 @@ class App {
             this.particleSystem.setMorphSpeed(speed);
         };
 
+        this.uiController.onMorphStyleChange = (style, options) => {
+            this.particleSystem.setMorphStyle(style, options);
+        };
+
+        this.uiController.onMatchPathsToggle = (enabled) => {
+            this.particleSystem.setMatchMorphPaths(enabled);
+        };
+
+        this.uiController.onPatternAnimationToggle = (enabled) => {
+            this.particleSystem.setPatternAnimation(enabled);
+        };
+
+        // Force fields placed in the panel (or loaded from a preset)
+        this.uiController.onForceFieldsChange = (fields) => {
+            this.particleSystem.setForceFields(fields);
+        };
+
+        this.uiController.onHandTouchChange = (touch) => {
+            this.particleSystem.setHandTouch(touch);
+        };
+
         // Idle amplitude change
         this.uiController.onIdleAmplitudeChange = (amplitude) => {
             this.particleSystem.setIdleAmplitude(amplitude);
         };
 
+        this.uiController.onTurbulenceNoiseChange = (noise) => {
+            this.particleSystem.setTurbulenceNoise(noise);
+        };
+
         // Camera toggle (visibility handled by UIController)
         this.uiController.onCameraToggle = () => {};
 
@@ -194,14 +372,25 @@ class App {
 
         // Reset callback
         this.uiController.onReset = (defaults) => {
+            this.particleSystem.setSeed(defaults.seed);
             this.particleSystem.setParticleCount(defaults.particleCount);
+            this.particleSystem.setMorphStyle(defaults.morphStyle);
+            this.particleSystem.setMatchMorphPaths(defaults.matchPaths);
+            this.particleSystem.setPatternAnimation(defaults.animatePatterns);
+            this.particleSystem.setForceFields(defaults.forceFields);
+            this.particleSystem.setHandTouch(defaults.handTouch);
             this.particleSystem.setPattern(defaults.pattern);
+            this.particleSystem.setPatternParams({});
             this.particleSystem.setColor(defaults.color);
             this.particleSystem.setParticleSize(defaults.particleSize);
             this.particleSystem.setGlowIntensity(defaults.glowIntensity);
             this.particleSystem.setRotationSpeed(defaults.rotationSpeed);
             this.particleSystem.setMorphSpeed(defaults.morphSpeed);
             this.particleSystem.setIdleAmplitude(defaults.idleAmplitude);
+            this.particleSystem.setTurbulenceNoise(defaults.turbulenceNoise);
+            this.particleSystem.setConnectionSettings(defaults.connectionSettings);
+            this.particleSystem.setAudioMapping(defaults.audioMapping);
+            this.beatSync.setSettings(defaults.beatSync);
             this.particleSystem.setAutoRotate(defaults.autoRotate);
         };
 
@@ -220,15 +409,73 @@ class App {
             this.particleSystem.setConnectionsEnabled(enabled);
         };
 
+        this.uiController.onConnectionSettingsChange = (settings) => {
+            this.particleSystem.setConnectionSettings(settings);
+        };
+
         this.uiController.onAudioToggle = async (enabled) => {
             if (enabled) {
-                const success = await this.particleSystem.initAudio();
-                if (!success) {
-                    console.warn('Could not enable audio reactive mode');
-                }
+                await this.startAudio(this.uiController.getAudioSource());
+            } else {
+                this.particleSystem.stopAudio();
+                this.updateAudioControls();
+            }
+        };
+
+        this.uiController.onAudioSourceChange = async (source) => {
+            if (!this.particleSystem.audioEnabled) return;
+            this.particleSystem.stopAudio();
+            await this.startAudio(source);
+        };
+
+        this.uiController.onAudioFileSelect = async (file) => {
+            try {
+                this.uiController.showToast(`Loading ${file.name}...`, 'info');
+                await this.particleSystem.loadAudioFile(file);
+                this.uiController.setAudioSource('file');
+                this.uiController.setAudioEnabled(true);
+                this.uiController.showToast(`Playing ${file.name}`, 'success');
+            } catch (error) {
+                console.warn('Audio file failed to load:', error);
+                this.uiController.showToast(`Could not play ${file.name}`, 'error');
+                this.uiController.playSound('error');
+            }
+            this.updateAudioControls();
+        };
+
+        this.uiController.onAudioPlayToggle = async () => {
+            if (this.particleSystem.audioEnabled) {
+                this.particleSystem.audioInput.togglePlayback();
+                this.updateAudioControls();
             } else {
+                await this.startAudio('file');
+            }
+        };
+
+        this.uiController.onAudioSeek = (seconds) => {
+            this.particleSystem.audioInput.seek(seconds);
+            this.updateAudioControls();
+        };
+
+        this.uiController.onAudioLoopToggle = (loop) => {
+            this.particleSystem.audioInput.setLoop(loop);
+        };
+
+        // A shared tab or window can be stopped from the browser's own controls
+        this.particleSystem.audioInput.onEnded = () => {
+            if (!this.particleSystem.audioInput.kind) {
                 this.particleSystem.stopAudio();
+                this.uiController.setAudioEnabled(false);
             }
+            this.updateAudioControls();
+        };
+
+        this.uiController.onAudioMappingChange = (mapping) => {
+            this.particleSystem.setAudioMapping(mapping);
+        };
+
+        this.uiController.onBeatSyncChange = (settings) => {
+            this.beatSync.setSettings(settings);
         };
 
         this.uiController.onBackgroundToggle = (enabled) => {
@@ -261,8 +508,162 @@ class App {
             this.particleSystem.setTrailOpacity(opacity);
         };
 
+        // Simulation backend
+        this.uiController.onSimulationBackendChange = (backend) => {
+            this.setSimulationBackend(backend);
+        };
+
+        // Deterministic seed
+        this.uiController.onSeedChange = (seed) => {
+            this.particleSystem.setSeed(seed);
+        };
+
+        // Sequencer playlist
+        this.uiController.onSequenceAdd = (entry) => {
+            this.sequencer.addEntry(entry);
+        };
+
+        this.uiController.onSequencePlayToggle = () => {
+            this.sequencer.toggle();
+        };
+
+        this.uiController.onSequenceNext = () => {
+            this.sequencer.next();
+        };
+
+        this.uiController.onSequenceClear = () => {
+            this.sequencer.clear();
+        };
+
+        this.uiController.onSequenceRemove = (index) => {
+            this.sequencer.removeEntry(index);
+        };
+
+        this.uiController.onSequenceSelect = (index) => {
+            this.sequencer.goTo(index);
+        };
+
+        this.uiController.onSequenceLoopToggle = (loop) => {
+            this.sequencer.setLoop(loop);
+        };
+
+        // Video render of the loaded audio file (the button cancels while rendering)
+        this.uiController.onRenderToggle = () => {
+            if (this.offlineRenderer.rendering) {
+                this.offlineRenderer.cancel();
+            } else {
+                this.renderVideo(this.uiController.getRenderOptions());
+            }
+        };
+
         // Start FPS update loop
         this.startFPSUpdater();
+
+        // Audio meters follow every frame while listening (the FPS loop is too slow for beats)
+        this.particleSystem.addUpdateHook(() => {
+            if (this.particleSystem.audioEnabled) {
+                this.uiController.updateAudioMeters(this.particleSystem.getAudioAnalysis());
+            }
+        });
+    }
+
+    /**
+     * Show the UI's current pattern, blended with its blend partner when one is chosen
+     */
+    applyPattern() {
+        const pattern = this.uiController.getCurrentPattern();
+        const params = this.uiController.getPatternParams(pattern);
+        const blend = this.uiController.getPatternBlend();
+
+        if (blend.pattern) {
+            this.particleSystem.setPatternBlend(pattern, blend.pattern, blend.weight, {
+                paramsA: params,
+                paramsB: this.uiController.getPatternParams(blend.pattern)
+            });
+        } else {
+            this.particleSystem.setPattern(pattern, params);
+        }
+    }
+
+    setSimulationBackend(backend) {
+        const success = this.particleSystem.setSimulationBackend(backend);
+        const active = this.particleSystem.getSimulationBackend();
+
+        if (!success) {
+            const message = SIMULATION_BACKENDS.includes(backend)
+                ? `${backend.toUpperCase()} simulation not supported in this browser`
+                : `Unknown simulation backend "${backend}" (use cpu, worker or gpu)`;
+            this.uiController.showToast(message, 'warning');
+        }
+
+        this.uiController.setSimulationBackend(active);
+        this.uiController.setParticleCountMax(active === 'gpu' ? 100000 : 30000);
+    }
+
+    /**
+     * Start audio-reactive mode on a source, unchecking the toggle when it can't start
+     * @param {string} source - 'mic', 'file' or 'display'
+     */
+    async startAudio(source) {
+        if (source === 'file' && !this.particleSystem.audioInput.hasFile()) {
+            this.uiController.setAudioEnabled(false);
+            this.uiController.showToast('Choose or drop an audio file first', 'info');
+            return;
+        }
+
+        const success = await this.particleSystem.initAudio(source);
+        if (!success) {
+            const messages = {
+                mic: 'Could not access the microphone',
+                display: 'No audio was shared; tick "Share audio" when picking a tab',
+                file: 'Could not play the audio file'
+            };
+            this.uiController.setAudioEnabled(false);
+            this.uiController.showToast(messages[source] || messages.mic, 'error');
+            this.uiController.playSound('error');
+        }
+        this.updateAudioControls();
+    }
+
+    updateAudioControls() {
+        this.uiController.updateAudioTransport(this.particleSystem.audioInput.getState());
+        this.uiController.updateAudioMeters(this.particleSystem.getAudioAnalysis());
+    }
+
+    /**
+     * Render the loaded audio file offline and download the result
+     * @param {Object} options - { format, width, height, fps }
+     */
+    async renderVideo(options) {
+        this.uiController.setRendering(true);
+        try {
+            const result = await this.offlineRenderer.render(options);
+            if (result) {
+                const link = document.createElement('a');
+                link.download = `aether-render-${Date.now()}.${result.extension}`;
+                link.href = URL.createObjectURL(result.blob);
+                link.click();
+                setTimeout(() => URL.revokeObjectURL(link.href), 10000);
+
+                if (result.hasAudio) {
+                    this.uiController.showToast('Render saved', 'success');
+                } else {
+                    this.uiController.showToast('Render saved without sound (no Opus encoder in this browser)', 'warning');
+                }
+                this.uiController.playSound('success');
+            } else {
+                this.uiController.showToast('Render cancelled', 'info');
+            }
+        } catch (error) {
+            console.warn('Render failed:', error);
+            this.uiController.showToast(`Render failed: ${error.message}`, 'error');
+            this.uiController.playSound('error');
+        }
+
+        // Live audio was stopped for the render
+        this.uiController.setRendering(false);
+        this.uiController.setAudioEnabled(false);
+        this.updateAudioControls();
     }
 
     takeScreenshot() {
@@ -279,6 +680,14 @@ class App {
             const fps = this.particleSystem.getFPS();
             this.uiController.updateFPS(fps);
 
+            if (this.sequencer) {
+                this.uiController.updateSequenceProgress(this.sequencer.getState());
+            }
+
+            if (this.particleSystem.audioInput.hasFile()) {
+                this.uiController.updateAudioTransport(this.particleSystem.audioInput.getState());
+            }
+
             // Update performance stats
             const particleCount = this.particleSystem.getParticleCount();
             const lodLevel = this.particleSystem.getLODLevel();
@@ -293,7 +702,10 @@ class App {
     }
 
     onGestureUpdate(gestureData) {
-        this.particleSystem.setGestureData(gestureData);
+        // The hand would end up in the video; it's ignored until an offline render is done
+        if (!this.offlineRenderer?.rendering) {
+            this.particleSystem.setGestureData(gestureData);
+        }
         this.uiController.updateGestureIndicator(
             gestureData.openness,
             gestureData.isHandDetected,
@@ -302,15 +714,33 @@ class App {
         );
     }
 
+    /**
+     * Run a beat-sync action; quiet (no toasts or sounds) since it can fire every beat
+     */
+    handleBeatAction(action) {
+        switch (action) {
+            case 'pattern':
+                this.uiController.cyclePattern(1);
+                break;
+
+            case 'color':
+                this.uiController.cycleColor(1);
+                break;
+
+            case 'explosion':
+                this.particleSystem.pulseExplosion();
+                break;
+        }
+    }
+
     handleSpecialGesture(gesture) {
+        if (this.offlineRenderer?.rendering) return;
+
         switch (gesture) {
             case 'thumbsUp':
                 // Thumbs up: Cycle to next pattern
-                const patterns = ['sphere', 'cube', 'heart', 'galaxy', 'dna', 'torus', 'star', 'wave', 'pyramid', 'infinity', 'firework', 'tornado'];
-                const currentIndex = patterns.indexOf(this.uiController.currentPattern);
-                const nextIndex = (currentIndex + 1) % patterns.length;
-                this.uiController.selectPattern(patterns[nextIndex]);
-                this.uiController.showToast(`Pattern: ${patterns[nextIndex]}`, 'info');
+                const nextPattern = this.uiController.cyclePattern(1);
+                this.uiController.showToast(`Pattern: ${PatternGenerator.getPatternMeta(nextPattern).displayName}`, 'info');
                 this.uiController.playSound('success');
                 break;
 
@@ -328,6 +758,7 @@ class App {
                 if (this.uiController.connectionsToggle) {
                     this.uiController.connectionsToggle.checked = !this.uiController.connectionsToggle.checked;
                     this.particleSystem.setConnectionsEnabled(this.uiController.connectionsToggle.checked);
+                    this.uiController.showConnectionSettings(this.uiController.connectionsToggle.checked);
                     this.uiController.showToast(
                         this.uiController.connectionsToggle.checked ? 'Connections enabled' : 'Connections disabled',
                         'info'